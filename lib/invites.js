@@ -0,0 +1,83 @@
+"use strict";
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Invite links stay valid for a week.
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+// Load the secret used to sign invites, creating one on first boot so that
+// links keep working across restarts. INVITE_SECRET overrides the file.
+function loadInviteSecret(dataDir) {
+  if (process.env.INVITE_SECRET) {
+    return process.env.INVITE_SECRET;
+  }
+  const secretPath = path.join(dataDir, 'invite-secret');
+  if (fs.existsSync(secretPath)) {
+    return fs.readFileSync(secretPath, 'utf8').trim();
+  }
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+  return secret;
+}
+
+function sign(secret, payload) {
+  return base64url(crypto.createHmac('sha256', secret).update(payload).digest());
+}
+
+// Create a signed token granting `role` ('host' or 'viewer') in `room`.
+function createInviteToken(secret, room, role) {
+  const payload = base64url(JSON.stringify({ room, role, exp: Date.now() + INVITE_TTL_MS }));
+  return `${payload}.${sign(secret, payload)}`;
+}
+
+// Return the token's { room, role, exp } if it is authentic and unexpired,
+// otherwise null.
+function verifyInviteToken(secret, token) {
+  if (typeof token !== 'string' || !token.includes('.')) {
+    return null;
+  }
+  const [payload, signature] = token.split('.');
+  if (!safeEqual(signature, sign(secret, payload))) {
+    return null;
+  }
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (typeof claims.exp !== 'number' || claims.exp < Date.now()) {
+      return null;
+    }
+    return claims;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Constant-time string comparison for passcodes and signatures.
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') {
+    return false;
+  }
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// An eight digit passcode that is still easy to read out in a meeting.
+// Wrong guesses are throttled where it is checked.
+function generatePasscode() {
+  return String(crypto.randomInt(0, 100000000)).padStart(8, '0');
+}
+
+module.exports = {
+  loadInviteSecret,
+  createInviteToken,
+  verifyInviteToken,
+  safeEqual,
+  generatePasscode
+};
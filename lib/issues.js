@@ -0,0 +1,98 @@
+"use strict";
+
+const { v4: uuidv4 } = require('uuid');
+
+// Review issues raised against the parts of a product. An issue names a
+// part and may also hold a point on it (in the part's own space) and the
+// camera view it was raised from, so it can be found again later.
+
+const ISSUE_STATUSES = ['open', 'in-progress', 'resolved'];
+
+function cleanText(value, max) {
+  return typeof value === 'string' ? value.trim().slice(0, max) : '';
+}
+
+// A new issue from a client's request. Returns null when it has no title.
+function createIssue(data, author, number) {
+  const title = cleanText(data.title, 200);
+  if (!title) {
+    return null;
+  }
+  const now = new Date().toISOString();
+  return {
+    id: uuidv4(),
+    number,
+    title,
+    description: cleanText(data.description, 2000),
+    part: data.part,
+    position: data.position || null,
+    camera: data.camera || null,
+    status: 'open',
+    assignee: cleanText(data.assignee, 40),
+    author: author.name,
+    authorId: author.clientId,
+    comments: [],
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+// Apply a client's change of title, status or assignee. Returns whether the
+// issue changed.
+function updateIssue(issue, changes) {
+  let changed = false;
+  const title = cleanText(changes.title, 200);
+  if (title && title !== issue.title) {
+    issue.title = title;
+    changed = true;
+  }
+  if (ISSUE_STATUSES.includes(changes.status) && changes.status !== issue.status) {
+    issue.status = changes.status;
+    changed = true;
+  }
+  if (typeof changes.assignee === 'string' && cleanText(changes.assignee, 40) !== issue.assignee) {
+    issue.assignee = cleanText(changes.assignee, 40);
+    changed = true;
+  }
+  if (changed) {
+    issue.updatedAt = new Date().toISOString();
+  }
+  return changed;
+}
+
+// Add a comment to an issue's thread. Returns false for an empty comment.
+function addComment(issue, text, author) {
+  const cleaned = cleanText(text, 2000);
+  if (!cleaned) {
+    return false;
+  }
+  const now = new Date().toISOString();
+  issue.comments.push({ id: uuidv4(), text: cleaned, author: author.name, authorId: author.clientId, createdAt: now });
+  issue.updatedAt = now;
+  return true;
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Issues as CSV, one row per issue with its comments joined.
+function issuesToCsv(issues) {
+  const header = ['number', 'title', 'status', 'part', 'assignee', 'author', 'description', 'comments', 'createdAt', 'updatedAt'];
+  const rows = issues.map(issue => [
+    issue.number,
+    issue.title,
+    issue.status,
+    issue.part,
+    issue.assignee,
+    issue.author,
+    issue.description,
+    issue.comments.map(comment => `${comment.author}: ${comment.text}`).join('\n'),
+    issue.createdAt,
+    issue.updatedAt
+  ]);
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { ISSUE_STATUSES, createIssue, updateIssue, addComment, issuesToCsv };
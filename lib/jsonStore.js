@@ -0,0 +1,65 @@
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+
+// A directory of JSON documents, one file per document id.
+// Writes go to a temporary file that is then renamed into place, so a crash
+// in the middle of a save never leaves a truncated document behind.
+function createJsonStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  let tmpCounter = 0;
+
+  function filePath(id) {
+    return path.join(dir, `${encodeURIComponent(id)}.json`);
+  }
+
+  return {
+    // Read every document. Only used at boot, so it is synchronous.
+    loadAll() {
+      return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+          try {
+            return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+          } catch (err) {
+            console.error(`Skipping unreadable document ${file}:`, err);
+            return null;
+          }
+        })
+        .filter(Boolean);
+    },
+
+    load(id, callback) {
+      fs.readFile(filePath(id), 'utf8', (err, contents) => {
+        if (err) {
+          return callback(err.code === 'ENOENT' ? null : err, null);
+        }
+        try {
+          callback(null, JSON.parse(contents));
+        } catch (parseErr) {
+          callback(parseErr, null);
+        }
+      });
+    },
+
+    save(id, data, callback = () => {}) {
+      const target = filePath(id);
+      const tmp = `${target}.${process.pid}.${tmpCounter++}.tmp`;
+      fs.writeFile(tmp, JSON.stringify(data, null, 2), (err) => {
+        if (err) {
+          return callback(err);
+        }
+        fs.rename(tmp, target, callback);
+      });
+    },
+
+    remove(id, callback = () => {}) {
+      fs.unlink(filePath(id), (err) => {
+        callback(err && err.code !== 'ENOENT' ? err : null);
+      });
+    }
+  };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,104 @@
+"use strict";
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createJsonStore } = require('./jsonStore');
+
+// Recorded review sessions. Each recording is a JSON Lines file of the
+// room's scene events, `<id>.jsonl`: a header line holding the session
+// snapshot at the start, then one { t, event, data } line per event with `t`
+// in milliseconds since the start. A small `<id>.json` document next to it
+// describes the recording for listings. Replay links carry the id, so it
+// ends in enough random bytes that it cannot be guessed.
+function createRecordingStore(dir) {
+  const meta = createJsonStore(dir);
+
+  function eventsPath(id) {
+    return path.join(dir, `${id}.jsonl`);
+  }
+
+  return {
+    // Ids are generated here and checked before touching the disk.
+    isValidId(id) {
+      return typeof id === 'string' && /^[a-z0-9_-]+$/i.test(id);
+    },
+
+    // Start recording `room`. Returns the recorder used to append events
+    // and to stop it.
+    start(room, snapshot) {
+      const startedAt = new Date();
+      const id = `${room}-${startedAt.toISOString().replace(/[^0-9]/g, '').slice(0, 14)}-${crypto.randomBytes(16).toString('hex')}`;
+      const info = { id, room, startedAt: startedAt.toISOString(), endedAt: null, duration: 0, events: 0 };
+      const stream = fs.createWriteStream(eventsPath(id), { flags: 'wx' });
+      stream.on('error', (err) => console.error(`Error writing recording ${id}:`, err));
+      stream.write(`${JSON.stringify({ type: 'header', room, startedAt: info.startedAt, snapshot })}\n`);
+      meta.save(id, info);
+
+      return {
+        id,
+        startedAt: info.startedAt,
+        append(event, data) {
+          info.events++;
+          stream.write(`${JSON.stringify({ t: Date.now() - startedAt.getTime(), event, data })}\n`);
+        },
+        stop(callback = () => {}) {
+          info.endedAt = new Date().toISOString();
+          info.duration = Date.now() - startedAt.getTime();
+          stream.end(`${JSON.stringify({ type: 'end', duration: info.duration })}\n`, () => {
+            meta.save(id, info, (err) => callback(err, info));
+          });
+        }
+      };
+    },
+
+    // Descriptions of all recordings, newest first.
+    list(callback) {
+      fs.readdir(dir, (err, files) => {
+        if (err) {
+          return callback(err);
+        }
+        const ids = files.filter(file => file.endsWith('.json')).map(file => decodeURIComponent(file.slice(0, -5)));
+        const recordings = [];
+        let remaining = ids.length;
+        if (remaining === 0) {
+          return callback(null, recordings);
+        }
+        ids.forEach((id) => {
+          meta.load(id, (loadErr, info) => {
+            if (loadErr) {
+              console.error(`Skipping unreadable recording ${id}:`, loadErr);
+            } else if (info) {
+              recordings.push(info);
+            }
+            remaining--;
+            if (remaining === 0) {
+              recordings.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+              callback(null, recordings);
+            }
+          });
+        });
+      });
+    },
+
+    load(id, callback) {
+      meta.load(id, callback);
+    },
+
+    // Stream the events file of a recording.
+    createReadStream(id) {
+      return fs.createReadStream(eventsPath(id));
+    },
+
+    remove(id, callback = () => {}) {
+      fs.unlink(eventsPath(id), (err) => {
+        if (err && err.code !== 'ENOENT') {
+          return callback(err);
+        }
+        meta.remove(id, callback);
+      });
+    }
+  };
+}
+
+module.exports = { createRecordingStore };
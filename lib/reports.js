@@ -0,0 +1,290 @@
+"use strict";
+
+// Review reports: a snapshot of a session's notes, parts, issues and
+// screenshots, rendered on request as a self-contained HTML page or as a
+// PDF. A report is stored as a plain object:
+//   { id, room, title, createdAt, notes, parts: [{ name, file, size }],
+//     issues: [{ number, title, status, part, assignee }],
+//     views: [{ name, image }] }  (image: base64 JPEG data URL)
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatSize(bytes) {
+  if (typeof bytes !== 'number') {
+    return 'unknown size';
+  }
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+const ISSUE_STATUS_LABELS = { open: 'Open', 'in-progress': 'In progress', resolved: 'Resolved' };
+
+function renderReportHtml(report) {
+  const parts = report.parts.map(part => `
+        <tr><td>${escapeHtml(part.name)}</td><td>${escapeHtml(part.file)}</td><td>${escapeHtml(formatSize(part.size))}</td></tr>`).join('');
+  const issues = report.issues.map(issue => `
+        <tr><td>#${issue.number}</td><td>${escapeHtml(issue.title)}</td><td>${escapeHtml(issue.part)}</td><td>${escapeHtml(ISSUE_STATUS_LABELS[issue.status] || issue.status)}</td><td>${escapeHtml(issue.assignee)}</td></tr>`).join('');
+  const views = report.views.map(view => `
+    <figure>
+      <img src="${escapeHtml(view.image)}" alt="${escapeHtml(view.name)}">
+      <figcaption>${escapeHtml(view.name)}</figcaption>
+    </figure>`).join('');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(report.title)}</title>
+  <style>
+    body { font-family: sans-serif; color: #222; max-width: 900px; margin: 40px auto; padding: 0 20px; }
+    h1 { color: #d00024; margin-bottom: 4px; }
+    .meta { color: #666; margin-top: 0; }
+    .notes { white-space: pre-wrap; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #ddd; }
+    figure { margin: 20px 0; page-break-inside: avoid; }
+    img { max-width: 100%; border: 1px solid #ddd; }
+    figcaption { color: #666; margin-top: 4px; }
+    @media print { body { margin: 0; max-width: none; } a { display: none; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(report.title)}</h1>
+  <p class="meta">Room ${escapeHtml(report.room)}, ${escapeHtml(new Date(report.createdAt).toUTCString())}</p>
+  <h2>Notes</h2>
+  <p class="notes">${report.notes ? escapeHtml(report.notes) : '<em>No notes.</em>'}</p>
+  <h2>Parts</h2>
+  <table>
+    <thead><tr><th>Part</th><th>File</th><th>Size</th></tr></thead>
+    <tbody>${parts}
+    </tbody>
+  </table>
+  <h2>Issues</h2>
+  ${report.issues.length === 0 ? '<p><em>No issues.</em></p>' : `<table>
+    <thead><tr><th>#</th><th>Issue</th><th>Part</th><th>Status</th><th>Assignee</th></tr></thead>
+    <tbody>${issues}
+    </tbody>
+  </table>`}
+  <h2>Views</h2>${views}
+</body>
+</html>
+`;
+}
+
+//
+// --- PDF ---
+//
+// A minimal PDF writer: A4 pages with Helvetica text and the screenshots as
+// embedded JPEGs, enough for a printable report without extra dependencies.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+
+// Typographic characters WinAnsiEncoding has outside Latin-1.
+const WIN_ANSI_EXTRAS = {
+  '\u20ac': '\x80', '\u2018': '\x91', '\u2019': '\x92', '\u201c': '\x93',
+  '\u201d': '\x94', '\u2022': '\x95', '\u2013': '\x96', '\u2014': '\x97', '\u2026': '\x85'
+};
+
+// PDF strings are WinAnsi here; other characters are replaced.
+function pdfString(text) {
+  const latin1 = String(text)
+    .replace(/[\u20ac\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u2026]/g, char => WIN_ANSI_EXTRAS[char])
+    .replace(/[^\x20-\xff]/g, '?');
+  return `(${latin1.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)')})`;
+}
+
+// Break text into lines of at most `width` points, estimating Helvetica's
+// average character width.
+function wrapText(text, size, width) {
+  const maxChars = Math.max(10, Math.floor(width / (size * 0.5)));
+  const lines = [];
+  String(text).split('\n').forEach((paragraph) => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+      while (word.length > maxChars) {
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(word.slice(0, maxChars));
+        word = word.slice(maxChars);
+      }
+      if (!line) {
+        line = word;
+      } else if (line.length + 1 + word.length <= maxChars) {
+        line += ` ${word}`;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+// Width, height and colour components of a JPEG, from its frame header.
+function readJpegInfo(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7),
+        components: buffer[offset + 9]
+      };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+function decodeJpegDataUrl(dataUrl) {
+  const match = /^data:image\/jpeg;base64,(.+)$/.exec(dataUrl || '');
+  if (!match) {
+    return null;
+  }
+  const data = Buffer.from(match[1], 'base64');
+  const info = readJpegInfo(data);
+  return info ? { data, ...info } : null;
+}
+
+function renderReportPdf(report) {
+  const pages = [];
+  const images = [];
+  let content = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  function newPage() {
+    content = [];
+    pages.push({ content, images: [] });
+    y = PAGE_HEIGHT - MARGIN;
+  }
+  function ensureSpace(height) {
+    if (y - height < MARGIN) {
+      newPage();
+    }
+  }
+  function text(value, { size = 11, bold = false, indent = 0 } = {}) {
+    wrapText(value, size, CONTENT_WIDTH - indent).forEach((line) => {
+      ensureSpace(size * 1.4);
+      y -= size * 1.4;
+      content.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${MARGIN + indent} ${y.toFixed(2)} Td ${pdfString(line)} Tj ET`);
+    });
+  }
+  function gap(height) {
+    y -= height;
+  }
+
+  newPage();
+  text(report.title, { size: 20, bold: true });
+  text(`Room ${report.room}, ${new Date(report.createdAt).toUTCString()}`, { size: 10 });
+  gap(10);
+  text('Notes', { size: 14, bold: true });
+  text(report.notes || 'No notes.');
+  gap(10);
+  text('Parts', { size: 14, bold: true });
+  report.parts.forEach((part) => text(`${part.name}: ${part.file} (${formatSize(part.size)})`));
+  gap(10);
+  text('Issues', { size: 14, bold: true });
+  if (report.issues.length === 0) {
+    text('No issues.');
+  }
+  report.issues.forEach((issue) => {
+    const assignee = issue.assignee ? `, ${issue.assignee}` : '';
+    text(`#${issue.number} ${issue.title} [${ISSUE_STATUS_LABELS[issue.status] || issue.status}] ${issue.part}${assignee}`);
+  });
+  gap(10);
+  text('Views', { size: 14, bold: true });
+  report.views.forEach((view) => {
+    const image = decodeJpegDataUrl(view.image);
+    if (!image) {
+      return;
+    }
+    const width = CONTENT_WIDTH;
+    const height = Math.min(PAGE_HEIGHT - 2 * MARGIN - 30, width * image.height / image.width);
+    const drawWidth = height * image.width / image.height;
+    ensureSpace(height + 30);
+    y -= height;
+    const name = `Im${images.length + 1}`;
+    images.push({ name, ...image });
+    pages[pages.length - 1].images.push(name);
+    content.push(`q ${drawWidth.toFixed(2)} 0 0 ${height.toFixed(2)} ${MARGIN} ${y.toFixed(2)} cm /${name} Do Q`);
+    text(view.name, { size: 10 });
+    gap(10);
+  });
+
+  // Objects: 1 catalog, 2 page tree, 3-4 fonts, then images, then a content
+  // stream and a page per page.
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+  addObject('<< /Type /Catalog /Pages 2 0 R >>');
+  addObject(null); // Page tree, filled in once the pages are known.
+  addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const imageIds = {};
+  images.forEach((image) => {
+    const colorSpace = image.components === 1 ? '/DeviceGray' : image.components === 4 ? '/DeviceCMYK' : '/DeviceRGB';
+    imageIds[image.name] = addObject([
+      `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>\nstream\n`,
+      image.data,
+      '\nendstream'
+    ]);
+  });
+  const pageIds = pages.map((page) => {
+    const stream = page.content.join('\n');
+    const contentId = addObject(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+    const xObjects = page.images.map(name => `/${name} ${imageIds[name]} 0 R`).join(' ');
+    return addObject(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Contents ${contentId} 0 R /Resources << /Font << /F1 3 0 R /F2 4 0 R >> /XObject << ${xObjects} >> >> >>`);
+  });
+  objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let length = chunks[0].length;
+  const offsets = [];
+  objects.forEach((body, index) => {
+    offsets.push(length);
+    const parts = [`${index + 1} 0 obj\n`, ...(Array.isArray(body) ? body : [body]), '\nendobj\n'];
+    parts.forEach((part) => {
+      const chunk = Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1');
+      chunks.push(chunk);
+      length += chunk.length;
+    });
+  });
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF\n'
+  ].join('\n');
+  chunks.push(Buffer.from(xref, 'latin1'));
+  return Buffer.concat(chunks);
+}
+
+module.exports = { renderReportHtml, renderReportPdf, formatSize };
@@ -0,0 +1,333 @@
+"use strict";
+
+// Schemas for the payloads clients may send over the socket. Every event is
+// checked before its handler runs so that malformed or malicious clients
+// cannot push NaN coordinates, huge blobs or foreign URLs to other clients.
+//
+// A schema is a function (value, path, context) returning an error message
+// or null; the helpers below build them.
+
+// Largest JSON payload accepted for any event, in bytes.
+const MAX_PAYLOAD_BYTES = 16 * 1024;
+// Coordinates beyond this are treated as garbage rather than geometry.
+const MAX_COORDINATE = 1e6;
+
+function describe(path) {
+  return path || 'payload';
+}
+
+function string({ max = 256, min = 0 } = {}) {
+  return (value, path) => {
+    if (typeof value !== 'string') return `${describe(path)} must be a string`;
+    if (value.length < min) return `${describe(path)} must not be empty`;
+    if (value.length > max) return `${describe(path)} is longer than ${max} characters`;
+    return null;
+  };
+}
+
+function number({ min = -MAX_COORDINATE, max = MAX_COORDINATE } = {}) {
+  return (value, path) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `${describe(path)} must be a finite number`;
+    if (value < min || value > max) return `${describe(path)} must be between ${min} and ${max}`;
+    return null;
+  };
+}
+
+function boolean() {
+  return (value, path) => (typeof value === 'boolean' ? null : `${describe(path)} must be true or false`);
+}
+
+function oneOf(values) {
+  return (value, path) => (values.includes(value) ? null : `${describe(path)} must be one of ${values.join(', ')}`);
+}
+
+function optional(schema) {
+  return (value, path, context) => (value === undefined || value === null ? null : schema(value, path, context));
+}
+
+function array(item, { max = 100, min = 0 } = {}) {
+  return (value, path, context) => {
+    if (!Array.isArray(value)) return `${describe(path)} must be an array`;
+    if (value.length < min || value.length > max) return `${describe(path)} must have ${min} to ${max} items`;
+    for (let i = 0; i < value.length; i++) {
+      const error = item(value[i], `${describe(path)}[${i}]`, context);
+      if (error) return error;
+    }
+    return null;
+  };
+}
+
+// A fixed-length tuple of schemas, e.g. an Euler angle [x, y, z, order].
+function tuple(items, { minLength = items.length } = {}) {
+  return (value, path, context) => {
+    if (!Array.isArray(value) || value.length < minLength || value.length > items.length) {
+      return `${describe(path)} must be an array of ${minLength === items.length ? items.length : `${minLength} to ${items.length}`} values`;
+    }
+    for (let i = 0; i < value.length; i++) {
+      const error = items[i](value[i], `${describe(path)}[${i}]`, context);
+      if (error) return error;
+    }
+    return null;
+  };
+}
+
+// An object with exactly the listed keys; unknown keys are rejected.
+function object(shape) {
+  return (value, path, context) => {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      return `${describe(path)} must be an object`;
+    }
+    const unknown = Object.keys(value).find(key => !Object.prototype.hasOwnProperty.call(shape, key));
+    if (unknown) return `${path ? `${path}.` : ''}${unknown} is not allowed`;
+    for (const key of Object.keys(shape)) {
+      const error = shape[key](value[key], path ? `${path}.${key}` : key, context);
+      if (error) return error;
+    }
+    return null;
+  };
+}
+
+// Events that carry no payload.
+function none() {
+  return (value, path) => (value === undefined || value === null ? null : `${describe(path)} must be empty`);
+}
+
+// Where a node sits in a part's glTF scene: child indices joined by dots,
+// e.g. "0.2.1".
+function nodePath() {
+  return (value, path) => {
+    const error = string({ max: 256, min: 1 })(value, path);
+    if (error) return error;
+    return /^\d+(\.\d+)*$/.test(value) ? null : `${describe(path)} must be child indices joined by dots`;
+  };
+}
+
+// A CSS hex color such as "#d00024".
+function hexColor() {
+  return (value, path) => (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)
+    ? null
+    : `${describe(path)} must be a color like #d00024`);
+}
+
+// Part files may only come from this server's /uploads and /assets folders,
+// so a client cannot make everyone fetch an arbitrary URL. Absolute URLs
+// must point at one of `context.hosts`.
+function partUrl() {
+  return (value, path, context) => {
+    const error = string({ max: 2048, min: 1 })(value, path);
+    if (error) return error;
+    let url;
+    try {
+      url = new URL(value, 'http://relative.invalid');
+    } catch (err) {
+      return `${describe(path)} is not a valid URL`;
+    }
+    const isRelative = url.host === 'relative.invalid';
+    if (!isRelative && (!['http:', 'https:'].includes(url.protocol) || !context.hosts.includes(url.host))) {
+      return `${describe(path)} must point at this server`;
+    }
+    let pathname;
+    try {
+      pathname = decodeURIComponent(url.pathname);
+    } catch (err) {
+      return `${describe(path)} is not a valid URL`;
+    }
+    if (!/^\/(uploads|assets)\/[^/]+$/.test(pathname) || pathname.includes('..') || url.search || url.hash) {
+      return `${describe(path)} must be a file in /uploads or /assets`;
+    }
+    return null;
+  };
+}
+
+const vector3 = tuple([number(), number(), number()]);
+// Euler angles as sent by THREE.Euler#toArray: [x, y, z, order].
+const euler = tuple([number(), number(), number(), oneOf(['XYZ', 'YXZ', 'ZXY', 'ZYX', 'YZX', 'XZY'])], { minLength: 3 });
+// Sequence number and sender timestamp of throttled updates.
+const sequence = optional(number({ min: 0, max: Number.MAX_SAFE_INTEGER }));
+
+// Part names key plain objects on the server (transforms, locks, finishes),
+// so names that would reach Object.prototype are refused.
+const RESERVED_PART_NAMES = ['__proto__', 'constructor', 'prototype'];
+
+function partName(value, path) {
+  const error = string({ max: 256, min: 1 })(value, path);
+  if (error) return error;
+  return RESERVED_PART_NAMES.includes(value) ? `${describe(path)} must not be ${value}` : null;
+}
+
+const transform = object({
+  position: vector3,
+  rotation: euler,
+  scale: tuple([number({ min: 0, max: 1e4 }), number({ min: 0, max: 1e4 }), number({ min: 0, max: 1e4 })])
+});
+
+const cameraView = object({ position: vector3, target: vector3 });
+
+// A step of an assembly sequence: the parts shown, each moving from `start`
+// (when it moves) to `end`, and the camera view.
+const sequenceStep = object({
+  caption: string({ max: 500 }),
+  parts: array(object({ part: partName, start: optional(transform), end: transform }), { max: 200 }),
+  camera: optional(cameraView)
+});
+
+const EVENT_SCHEMAS = {
+  'join-room': object({ room: string({ max: 256 }) }),
+  'set-display-name': object({ name: string({ max: 256 }) }),
+  'register-host': optional(object({ passcode: optional(string({ max: 64 })) })),
+  'request-host': optional(object({ passcode: optional(string({ max: 64 })) })),
+  'set-handover-policy': object({
+    mode: oneOf(['auto-approve', 'approval', 'timed']),
+    timeout: optional(number({ min: 0, max: 3600 })),
+    grace: optional(number({ min: 0, max: 3600 }))
+  }),
+  'release-host': object({ requestId: string({ max: 64 }) }),
+  'deny-host': object({ requestId: string({ max: 64 }) }),
+  'get-invite-links': none(),
+  'cancel-host-request': none(),
+  'give-up-host': none(),
+  'set-collaboration': object({
+    enabled: boolean(),
+    editors: oneOf(['everyone', 'selected']),
+    allowed: array(string({ max: 128 }), { max: 200 })
+  }),
+  'lock-part': object({ part: partName }),
+  'unlock-part': object({ part: partName }),
+  'model-transform': object({
+    customId: partName,
+    position: vector3,
+    rotation: euler,
+    scale: tuple([number({ min: 0, max: 1e4 }), number({ min: 0, max: 1e4 }), number({ min: 0, max: 1e4 })]),
+    seq: sequence,
+    t: sequence
+  }),
+  'camera-update': object({
+    position: vector3,
+    rotation: euler,
+    target: vector3,
+    seq: sequence,
+    t: sequence
+  }),
+  'section-update': object({
+    planes: array(object({
+      axis: oneOf(['x', 'y', 'z', 'custom']),
+      normal: vector3,
+      constant: number()
+    }), { max: 3 }),
+    excluded: array(partName, { max: 500 }),
+    hatchColor: string({ max: 7, min: 7 }),
+    seq: sequence,
+    t: sequence
+  }),
+  'explode-update': object({
+    factor: number({ min: 0, max: 1 }),
+    seq: sequence,
+    t: sequence
+  }),
+  'add-sequence-step': object({ step: sequenceStep, index: optional(number({ min: 0, max: 1000 })) }),
+  'update-sequence-step': object({ id: string({ max: 64, min: 1 }), step: sequenceStep }),
+  'remove-sequence-step': object({ id: string({ max: 64, min: 1 }) }),
+  'move-sequence-step': object({ id: string({ max: 64, min: 1 }), index: number({ min: 0, max: 1000 }) }),
+  'play-sequence-step': object({ index: number({ min: -1, max: 1000 }) }),
+  'set-explode-direction': object({ part: partName, direction: optional(vector3) }),
+  'set-visibility': object({
+    hidden: array(partName, { max: 200 }),
+    hiddenNodes: array(object({ part: partName, node: nodePath() }), { max: 500 }),
+    selected: array(partName, { max: 200 }),
+    xray: boolean()
+  }),
+  'set-material-variant': object({ variant: optional(string({ max: 256 })) }),
+  'set-part-finish': object({
+    part: partName,
+    finish: optional(object({
+      color: optional(hexColor()),
+      roughness: number({ min: 0, max: 1 }),
+      metalness: number({ min: 0, max: 1 })
+    }))
+  }),
+  'set-material-edit': object({
+    part: partName,
+    slot: number({ min: 0, max: 999 }),
+    edit: optional(object({
+      color: optional(hexColor()),
+      roughness: optional(number({ min: 0, max: 1 })),
+      metalness: optional(number({ min: 0, max: 1 })),
+      opacity: optional(number({ min: 0, max: 1 })),
+      clearcoat: optional(number({ min: 0, max: 1 })),
+      textures: optional(boolean())
+    }))
+  }),
+  'set-label': object({ part: partName, node: optional(nodePath()), label: string({ max: 100 }) }),
+  'reset-all': none(),
+  'product-upload-complete': none(),
+  'host-pointer-toggle': object({ active: boolean() }),
+  'host-pointer-update': object({ position: vector3 }),
+  'ar-session-start': none(),
+  'ar-session-end': none(),
+  'models-cleared': none(),
+  'browse-selection': object({
+    parts: array(object({ url: partUrl(), name: partName }), { min: 1, max: 50 })
+  }),
+  'add-annotation': object({ part: partName, position: vector3, text: string({ max: 1000, min: 1 }) }),
+  'update-annotation': object({ id: string({ max: 64, min: 1 }), text: string({ max: 1000, min: 1 }) }),
+  'remove-annotation': object({ id: string({ max: 64, min: 1 }) }),
+  'create-issue': object({
+    title: string({ max: 200, min: 1 }),
+    description: optional(string({ max: 2000 })),
+    part: partName,
+    position: optional(vector3),
+    camera: optional(object({ position: vector3, target: vector3 })),
+    assignee: optional(string({ max: 40 }))
+  }),
+  'update-issue': object({
+    id: string({ max: 64, min: 1 }),
+    title: optional(string({ max: 200, min: 1 })),
+    status: optional(oneOf(['open', 'in-progress', 'resolved'])),
+    assignee: optional(string({ max: 40 }))
+  }),
+  'comment-issue': object({ id: string({ max: 64, min: 1 }), text: string({ max: 2000, min: 1 }) }),
+  'delete-issue': object({ id: string({ max: 64, min: 1 }) }),
+  'add-measurement': object({
+    type: oneOf(['distance', 'edge', 'angle']),
+    points: array(object({ part: partName, position: vector3 }), { min: 2, max: 3 })
+  }),
+  'remove-measurement': object({ id: string({ max: 64, min: 1 }) }),
+  'clear-measurements': none(),
+  'set-unit-scale': object({ scale: number({ min: 1e-6, max: 1e6 }) }),
+  'set-report-notes': object({ notes: string({ max: 10000 }) }),
+  'add-viewpoint': object({ name: string({ max: 100 }), camera: object({ position: vector3, target: vector3 }) }),
+  'remove-viewpoint': object({ id: string({ max: 64, min: 1 }) }),
+  'start-recording': none(),
+  'stop-recording': none(),
+  'get-session-snapshot': none()
+};
+
+// Check the arguments of a socket event. Returns an error message, or null
+// when the event may be handled. `context.hosts` lists the host names part
+// URLs may point at.
+function validateEvent(event, args, context) {
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) {
+    return `Unknown event ${event}`;
+  }
+  if (args.length > 1) {
+    return 'Too many arguments';
+  }
+  let size;
+  try {
+    size = Buffer.byteLength(JSON.stringify(args[0] === undefined ? null : args[0]));
+  } catch (err) {
+    return 'Payload is not serializable';
+  }
+  if (size > MAX_PAYLOAD_BYTES) {
+    return `Payload is larger than ${MAX_PAYLOAD_BYTES} bytes`;
+  }
+  return schema(args[0], '', context);
+}
+
+module.exports = {
+  MAX_PAYLOAD_BYTES,
+  EVENT_SCHEMAS,
+  validateEvent,
+  schemas: { string, number, boolean, oneOf, optional, array, tuple, object, none, partUrl }
+};
@@ -0,0 +1,383 @@
+import * as THREE from 'three';
+import { createPanel, createButton } from './panelUi.js';
+
+// Assembly sequences: ordered steps showing how the product goes together,
+// saved with the product. A step lists the parts shown, each moving from its
+// start transform (if it moves) to its end transform, plus a camera view and
+// a caption. The host writes the steps in the sequence panel and plays them
+// step by step; every client animates the step being played.
+
+const STEP_DURATION = 1500;
+
+export class AssemblySequence {
+  constructor(app) {
+    this.app = app;
+    this.steps = [];
+    // Index of the step being played, or -1 when not playing.
+    this.playingIndex = -1;
+    // Id of the step open in the editor.
+    this.selectedId = null;
+    // Parts moving in the step being played: [{ part, from, to }]
+    this.moves = [];
+    this.moveStart = 0;
+    // Where the parts were before playing started, by part name, to put them
+    // back when it stops.
+    this.savedTransforms = new Map();
+
+    this.panel = createPanel({ top: '60px', left: '10px', width: '300px', maxHeight: 'calc(100% - 80px)' });
+
+    // Caption of the step being played, shown to everyone.
+    this.captionBar = document.createElement('div');
+    this.captionBar.style.position = 'fixed';
+    this.captionBar.style.top = '70px';
+    this.captionBar.style.left = '50%';
+    this.captionBar.style.transform = 'translateX(-50%)';
+    this.captionBar.style.maxWidth = '60%';
+    this.captionBar.style.display = 'none';
+    this.captionBar.style.alignItems = 'center';
+    this.captionBar.style.gap = '8px';
+    this.captionBar.style.padding = '8px 16px';
+    this.captionBar.style.borderRadius = '9999px';
+    this.captionBar.style.backgroundColor = 'rgba(0, 0, 0, 0.75)';
+    this.captionBar.style.color = 'white';
+    this.captionBar.style.fontFamily = 'sans-serif';
+    this.captionBar.style.fontSize = '14px';
+    this.captionBar.style.zIndex = '1000';
+    document.body.appendChild(this.captionBar);
+  }
+
+  toggle() {
+    this.panel.style.display = this.panel.style.display === 'none' ? 'block' : 'none';
+    this.renderPanel();
+  }
+
+  hide() {
+    this.panel.style.display = 'none';
+    this.renderCaption();
+  }
+
+  setSteps(steps) {
+    this.steps = steps || [];
+    if (this.selectedId && !this.steps.some((step) => step.id === this.selectedId)) {
+      this.selectedId = null;
+    }
+    this.renderPanel();
+    this.renderCaption();
+  }
+
+  // Play step `index` (animating into it), or stop playing with -1.
+  setPlayingStep(index) {
+    if (index === this.playingIndex) {
+      return;
+    }
+    if (index < 0 || !this.steps[index]) {
+      this.stopPlayback();
+      return;
+    }
+    if (this.playingIndex < 0) {
+      this.savedTransforms.clear();
+    }
+    this.playingIndex = index;
+    this.showStep({ animate: true });
+    const step = this.steps[index];
+    if (step.camera) {
+      this.app.flyToView(step.camera);
+    }
+    this.renderPanel();
+    this.renderCaption();
+  }
+
+  // Ask the room to play a step, or to stop with -1. Host only.
+  play(index) {
+    this.app.socket.emit('play-sequence-step', { index });
+  }
+
+  // Show the parts of the step being played and start moving them.
+  showStep({ animate }) {
+    const step = this.steps[this.playingIndex];
+    if (!step) {
+      return;
+    }
+    this.app.interpolator.clear();
+    this.moves = [];
+    this.moveStart = performance.now();
+    this.app.loadedModels.forEach((part, name) => {
+      if (!this.savedTransforms.has(name)) {
+        this.savedTransforms.set(name, captureTransform(part));
+      }
+      const entry = step.parts.find((item) => item.part === name);
+      if (!entry) return;
+      const from = animate && entry.start ? entry.start : entry.end;
+      applyTransform(part, from);
+      this.moves.push({ part, from, to: entry.end });
+    });
+    if (!animate) {
+      this.moves.forEach(({ part, to }) => applyTransform(part, to));
+      this.moves = [];
+    }
+    this.app.partVisibility.refresh();
+  }
+
+  // Whether part `name` is shown: while playing, only the step's parts are.
+  showsPart(name) {
+    const step = this.steps[this.playingIndex];
+    return !step || step.parts.some((item) => item.part === name);
+  }
+
+  // Parts were loaded: show them as the step being played has them.
+  refresh() {
+    if (this.playingIndex >= 0) {
+      this.showStep({ animate: false });
+    }
+    this.renderPanel();
+  }
+
+  stopPlayback() {
+    this.playingIndex = -1;
+    this.moves = [];
+    this.app.loadedModels.forEach((part, name) => {
+      const saved = this.savedTransforms.get(name);
+      if (saved) {
+        applyTransform(part, saved);
+      }
+    });
+    this.savedTransforms.clear();
+    this.app.partVisibility.refresh();
+    this.renderPanel();
+    this.renderCaption();
+  }
+
+  // Move the parts of the step being played. Called every frame.
+  update() {
+    if (this.moves.length === 0) {
+      return;
+    }
+    const progress = Math.min(1, (performance.now() - this.moveStart) / STEP_DURATION);
+    const eased = progress * progress * (3 - 2 * progress);
+    this.moves.forEach(({ part, from, to }) => {
+      part.position.lerpVectors(new THREE.Vector3().fromArray(from.position), new THREE.Vector3().fromArray(to.position), eased);
+      part.quaternion.slerpQuaternions(toQuaternion(from.rotation), toQuaternion(to.rotation), eased);
+      part.scale.lerpVectors(new THREE.Vector3().fromArray(from.scale), new THREE.Vector3().fromArray(to.scale), eased);
+    });
+    if (progress >= 1) {
+      this.moves = [];
+    }
+  }
+
+  // A new step showing the parts as they are now, from the current view.
+  captureStep() {
+    const parts = [];
+    this.app.loadedModels.forEach((part, name) => {
+      if (part.visible) {
+        parts.push({ part: name, end: captureTransform(part) });
+      }
+    });
+    return { caption: '', parts, camera: this.app.getCameraView() };
+  }
+
+  updateStep(step, changes) {
+    const { id, ...rest } = { ...step, ...changes };
+    this.app.socket.emit('update-sequence-step', { id, step: rest });
+  }
+
+  // Set the start or end of every part in the step to where it is now. A
+  // part whose start and end match does not move.
+  captureEnds(step, which) {
+    const parts = step.parts.map((entry) => {
+      const part = this.app.loadedModels.get(entry.part);
+      const next = { ...entry };
+      if (part) {
+        next[which] = captureTransform(part);
+      }
+      if (next.start && sameTransform(next.start, next.end)) {
+        delete next.start;
+      }
+      return next;
+    });
+    this.updateStep(step, { parts });
+  }
+
+  setPartShown(step, name, shown) {
+    const part = this.app.loadedModels.get(name);
+    const parts = step.parts.filter((entry) => entry.part !== name);
+    if (shown && part) {
+      parts.push({ part: name, end: captureTransform(part) });
+    }
+    this.updateStep(step, { parts });
+  }
+
+  renderCaption() {
+    const step = this.steps[this.playingIndex];
+    if (!step) {
+      this.captionBar.style.display = 'none';
+      return;
+    }
+    this.captionBar.innerHTML = '';
+    this.captionBar.style.display = 'flex';
+    const isHost = this.app.isHost && !this.app.replayPlayer;
+    if (isHost) {
+      const prevButton = createButton('Prev');
+      prevButton.disabled = this.playingIndex === 0;
+      prevButton.addEventListener('click', () => this.play(this.playingIndex - 1));
+      this.captionBar.appendChild(prevButton);
+    }
+    const text = document.createElement('span');
+    text.textContent = `Step ${this.playingIndex + 1} of ${this.steps.length}${step.caption ? `: ${step.caption}` : ''}`;
+    this.captionBar.appendChild(text);
+    if (isHost) {
+      const nextButton = createButton('Next');
+      nextButton.disabled = this.playingIndex >= this.steps.length - 1;
+      nextButton.addEventListener('click', () => this.play(this.playingIndex + 1));
+      const stopButton = createButton('Stop');
+      stopButton.addEventListener('click', () => this.play(-1));
+      this.captionBar.appendChild(nextButton);
+      this.captionBar.appendChild(stopButton);
+    }
+  }
+
+  renderPanel() {
+    if (this.panel.style.display === 'none') {
+      return;
+    }
+    // Keep a caption being typed.
+    if (this.captionInput && document.activeElement === this.captionInput) {
+      return;
+    }
+    this.panel.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.style.display = 'flex';
+    header.style.alignItems = 'center';
+    header.style.justifyContent = 'space-between';
+    header.style.marginBottom = '8px';
+    const title = document.createElement('strong');
+    title.textContent = 'Assembly sequence';
+    const playButton = createButton(this.playingIndex >= 0 ? 'Stop' : 'Play');
+    playButton.disabled = this.steps.length === 0;
+    playButton.addEventListener('click', () => this.play(this.playingIndex >= 0 ? -1 : 0));
+    header.appendChild(title);
+    header.appendChild(playButton);
+    this.panel.appendChild(header);
+
+    if (this.steps.length === 0) {
+      const empty = document.createElement('div');
+      empty.textContent = 'No steps. Arrange the parts and the view, then add a step.';
+      empty.style.color = '#999';
+      this.panel.appendChild(empty);
+    }
+    this.steps.forEach((step, index) => {
+      const row = document.createElement('div');
+      row.style.padding = '4px 0';
+      row.style.borderTop = '1px solid #eee';
+      row.style.cursor = 'pointer';
+      row.style.fontWeight = index === this.playingIndex ? 'bold' : 'normal';
+      row.textContent = `${index + 1}. ${step.caption || 'Untitled step'}`;
+      row.addEventListener('click', () => {
+        this.selectedId = this.selectedId === step.id ? null : step.id;
+        this.renderPanel();
+      });
+      this.panel.appendChild(row);
+      if (step.id === this.selectedId) {
+        this.panel.appendChild(this.renderEditor(step, index));
+      }
+    });
+
+    const addButton = createButton('Add step');
+    addButton.style.marginTop = '8px';
+    addButton.addEventListener('click', () => {
+      const selected = this.steps.findIndex((step) => step.id === this.selectedId);
+      this.app.socket.emit('add-sequence-step', {
+        step: this.captureStep(),
+        index: selected === -1 ? this.steps.length : selected + 1
+      });
+    });
+    this.panel.appendChild(addButton);
+  }
+
+  renderEditor(step, index) {
+    const editor = document.createElement('div');
+    editor.style.display = 'flex';
+    editor.style.flexDirection = 'column';
+    editor.style.gap = '6px';
+    editor.style.padding = '6px 0 6px 12px';
+
+    this.captionInput = document.createElement('input');
+    this.captionInput.type = 'text';
+    this.captionInput.placeholder = 'Caption';
+    this.captionInput.maxLength = 500;
+    this.captionInput.value = step.caption;
+    this.captionInput.style.padding = '4px 8px';
+    this.captionInput.style.border = '1px solid #ccc';
+    this.captionInput.style.borderRadius = '4px';
+    this.captionInput.addEventListener('change', () => this.updateStep(step, { caption: this.captionInput.value.trim() }));
+    editor.appendChild(this.captionInput);
+
+    const partsTitle = document.createElement('div');
+    partsTitle.textContent = 'Parts shown (a part moves when its start and end differ)';
+    partsTitle.style.fontSize = '12px';
+    partsTitle.style.color = '#666';
+    editor.appendChild(partsTitle);
+    this.app.loadedModels.forEach((part, name) => {
+      const entry = step.parts.find((item) => item.part === name);
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = !!entry;
+      checkbox.addEventListener('change', () => this.setPartShown(step, name, checkbox.checked));
+      const label = document.createElement('label');
+      label.style.display = 'flex';
+      label.style.gap = '6px';
+      label.style.fontSize = '12px';
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(entry && entry.start ? `${name} (moves)` : name));
+      editor.appendChild(label);
+    });
+
+    const actions = document.createElement('div');
+    actions.style.display = 'flex';
+    actions.style.flexWrap = 'wrap';
+    actions.style.gap = '4px';
+    const buttons = [
+      ['Set start from scene', () => this.captureEnds(step, 'start')],
+      ['Set end from scene', () => this.captureEnds(step, 'end')],
+      ['Set camera', () => this.updateStep(step, { camera: this.app.getCameraView() })],
+      ['Preview', () => this.play(index)],
+      ['Up', () => this.app.socket.emit('move-sequence-step', { id: step.id, index: Math.max(0, index - 1) })],
+      ['Down', () => this.app.socket.emit('move-sequence-step', { id: step.id, index: index + 1 })],
+      ['Delete', () => this.app.socket.emit('remove-sequence-step', { id: step.id })]
+    ];
+    buttons.forEach(([text, onClick]) => {
+      const button = createButton(text);
+      button.addEventListener('click', onClick);
+      actions.appendChild(button);
+    });
+    editor.appendChild(actions);
+    return editor;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1e5) / 1e5;
+}
+
+// A part's transform, rounded to keep saved steps small.
+function captureTransform(part) {
+  return {
+    position: part.position.toArray().map(round),
+    rotation: [round(part.rotation.x), round(part.rotation.y), round(part.rotation.z), part.rotation.order],
+    scale: part.scale.toArray().map(round)
+  };
+}
+
+function sameTransform(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function applyTransform(part, transform) {
+  part.position.fromArray(transform.position);
+  part.rotation.fromArray(transform.rotation);
+  part.scale.fromArray(transform.scale);
+}
+
+function toQuaternion(rotation) {
+  return new THREE.Quaternion().setFromEuler(new THREE.Euler().fromArray(rotation));
+}
@@ -0,0 +1,208 @@
+// Undo and redo for the host: part moves, resets, visibility changes and
+// product loads made here, kept for as long as the page is open. Undoing or
+// redoing sends the restored state to the room like any other change, so
+// viewers simply see the parts move back.
+//
+// Entries hold plain state, e.g.
+//   { type: 'transform', part, before, after }
+//   { type: 'reset', before: { transforms, visibility } }
+//   { type: 'visibility', before, after }
+//   { type: 'load', before: { parts, transforms, visibility }, after: { parts } }
+
+const HISTORY_LIMIT = 100;
+
+export class CommandHistory {
+  constructor(app) {
+    this.app = app;
+    this.undoStack = [];
+    this.redoStack = [];
+    // Set while an entry is being undone or redone, so the changes it makes
+    // aren't recorded again.
+    this.applying = false;
+    // Where the parts were before a load the host started, until the room
+    // confirms the new parts.
+    this.pendingLoad = null;
+
+    window.addEventListener('keydown', (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || isTyping(event.target)) {
+        return;
+      }
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        this.undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        this.redo();
+      }
+    });
+    this.renderButtons();
+  }
+
+  // Whether this user's changes are recorded: the host's, outside replays.
+  isRecording() {
+    return this.app.isHost && !this.app.replayPlayer && !this.applying;
+  }
+
+  canUndo() {
+    return this.isRecording() && this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.isRecording() && this.redoStack.length > 0;
+  }
+
+  push(entry) {
+    if (!this.isRecording()) {
+      return;
+    }
+    this.undoStack.push(entry);
+    if (this.undoStack.length > HISTORY_LIMIT) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.renderButtons();
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.pendingLoad = null;
+    this.renderButtons();
+  }
+
+  // Enable the toolbar's Undo and Redo buttons when there is something to
+  // undo or redo.
+  renderButtons() {
+    const toggleUI = this.app.toggleUI;
+    if (!toggleUI || !toggleUI.undoButton) {
+      return;
+    }
+    [[toggleUI.undoButton, this.canUndo()], [toggleUI.redoButton, this.canRedo()]].forEach(([button, enabled]) => {
+      button.disabled = !enabled;
+      button.style.opacity = enabled ? '1' : '0.5';
+      button.style.cursor = enabled ? 'pointer' : 'default';
+    });
+  }
+
+  // A part was moved, rotated, scaled or reset from `before`.
+  recordTransform(part, before) {
+    const after = getTransform(part);
+    if (JSON.stringify(after) !== JSON.stringify(before)) {
+      this.push({ type: 'transform', part: part.name, before, after });
+    }
+  }
+
+  // Every part is about to be reset, and the room's visibility with it.
+  recordReset() {
+    this.push({ type: 'reset', before: this.getLayout() });
+  }
+
+  recordVisibility(before, after) {
+    if (JSON.stringify(after) !== JSON.stringify(before)) {
+      this.push({ type: 'visibility', before, after });
+    }
+  }
+
+  // The host is about to load other parts; remember the current ones.
+  beginLoad() {
+    if (this.isRecording()) {
+      this.pendingLoad = { parts: this.app.getLoadedParts(), ...this.getLayout() };
+    }
+  }
+
+  // The room now has the parts the host loaded.
+  finishLoad(parts) {
+    if (!this.pendingLoad) {
+      return;
+    }
+    const before = this.pendingLoad;
+    this.pendingLoad = null;
+    this.push({ type: 'load', before, after: { parts: parts.map(({ url, name }) => ({ url, name })) } });
+  }
+
+  // The parts' transforms and the visibility state, to put back later.
+  getLayout() {
+    const transforms = {};
+    this.app.loadedModels.forEach((part, name) => {
+      transforms[name] = getTransform(part);
+    });
+    return { transforms, visibility: this.app.partVisibility.getState() };
+  }
+
+  async undo() {
+    if (!this.canUndo()) {
+      return;
+    }
+    const entry = this.undoStack.pop();
+    this.redoStack.push(entry);
+    await this.apply(entry, 'before');
+  }
+
+  async redo() {
+    if (!this.canRedo()) {
+      return;
+    }
+    const entry = this.redoStack.pop();
+    this.undoStack.push(entry);
+    await this.apply(entry, 'after');
+  }
+
+  // Put the room into the entry's state before (undo) or after (redo) it.
+  async apply(entry, side) {
+    const app = this.app;
+    this.applying = true;
+    this.renderButtons();
+    try {
+      if (entry.type === 'transform') {
+        this.setTransform(entry.part, entry[side]);
+      } else if (entry.type === 'visibility') {
+        app.partVisibility.change(entry[side]);
+      } else if (entry.type === 'reset') {
+        if (side === 'after') {
+          app.resetAll();
+        } else {
+          this.setLayout(entry.before);
+        }
+      } else if (entry.type === 'load') {
+        await app.loadParts(entry[side].parts);
+        if (side === 'before') {
+          this.setLayout(entry.before);
+        }
+      }
+    } finally {
+      this.applying = false;
+      this.renderButtons();
+    }
+  }
+
+  setLayout({ transforms, visibility }) {
+    Object.entries(transforms).forEach(([name, transform]) => this.setTransform(name, transform));
+    this.app.partVisibility.change(visibility);
+  }
+
+  setTransform(name, transform) {
+    const part = this.app.loadedModels.get(name);
+    if (!part) {
+      return;
+    }
+    this.app.interpolator.clear(`part:${name}`);
+    part.position.fromArray(transform.position);
+    part.rotation.fromArray(transform.rotation);
+    part.scale.fromArray(transform.scale);
+    this.app.emitModelTransform(part);
+  }
+}
+
+// A part's transform as plain arrays.
+export function getTransform(part) {
+  return {
+    position: part.position.toArray(),
+    rotation: part.rotation.toArray(),
+    scale: part.scale.toArray()
+  };
+}
+
+function isTyping(element) {
+  return !!element && (element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName));
+}
@@ -0,0 +1,209 @@
+import * as THREE from 'three';
+import { createPanel, createButton, labelled } from './panelUi.js';
+
+// Exploded view: every part moves away from the middle of the assembly, from
+// the centre of its own bounding box outwards, or along a direction the host
+// chose for it (saved with the product). The explode factor runs from 0
+// (assembled) to 1 (fully exploded); the host's factor is synced to viewers
+// and every client animates towards it.
+//
+// Each part container sits in its own group under the product group and only
+// that group is moved, so the parts' own synced transforms are left alone.
+
+const DIRECTIONS = {
+  '+x': [1, 0, 0],
+  '-x': [-1, 0, 0],
+  '+y': [0, 1, 0],
+  '-y': [0, -1, 0],
+  '+z': [0, 0, 1],
+  '-z': [0, 0, -1]
+};
+// How fast the shown factor follows the target, per second.
+const ANIMATION_RATE = 6;
+
+export class ExplodeView {
+  constructor(app) {
+    this.app = app;
+    this.factor = 0;
+    this.target = 0;
+    // Direction overrides by part name: [x, y, z].
+    this.directions = {};
+    // Offset of each part when fully exploded, by part name; null when it
+    // needs working out again.
+    this.offsets = null;
+    this.dirty = false;
+
+    this.panel = createPanel({ bottom: '20px', left: '50%', transform: 'translateX(-50%)', width: '320px', maxHeight: '50%' });
+  }
+
+  toggle() {
+    this.panel.style.display = this.panel.style.display === 'none' ? 'block' : 'none';
+    this.renderPanel();
+  }
+
+  hide() {
+    this.panel.style.display = 'none';
+  }
+
+  // Put a newly loaded part container in its own group, to be added to the
+  // product group in its place.
+  wrapPart(container) {
+    const group = new THREE.Group();
+    group.name = `explode:${container.name}`;
+    group.add(container);
+    this.invalidate();
+    return group;
+  }
+
+  // The parts changed: work out their offsets again.
+  invalidate() {
+    this.offsets = null;
+    this.dirty = true;
+    this.renderPanel();
+  }
+
+  // Move towards `factor`, or jump there when `animate` is false.
+  setFactor(factor, { animate = true } = {}) {
+    this.target = THREE.MathUtils.clamp(factor, 0, 1);
+    if (!animate) {
+      this.factor = this.target;
+    }
+    this.dirty = true;
+    if (this.slider && document.activeElement !== this.slider) {
+      this.slider.value = String(Math.round(this.target * 100));
+    }
+  }
+
+  // The host moved the slider: follow it and send it to the viewers.
+  changeFactor(factor) {
+    this.setFactor(factor);
+    this.app.explodeSyncPending = true;
+  }
+
+  setDirections(directions) {
+    this.directions = directions || {};
+    this.invalidate();
+  }
+
+  // Work out each part's fully exploded offset, in the product group's space,
+  // from where the parts are when assembled.
+  computeOffsets() {
+    const parts = Array.from(this.app.loadedModels.values()).filter((part) => part.parent);
+    const saved = parts.map((part) => part.parent.position.clone());
+    parts.forEach((part) => part.parent.position.set(0, 0, 0));
+    this.app.productGroup.updateMatrixWorld(true);
+
+    const centers = new Map();
+    const assembly = new THREE.Box3();
+    parts.forEach((part) => {
+      const box = new THREE.Box3().setFromObject(part);
+      if (box.isEmpty()) return;
+      assembly.union(box);
+      centers.set(part.name, this.app.productGroup.worldToLocal(box.getCenter(new THREE.Vector3())));
+    });
+    parts.forEach((part, index) => part.parent.position.copy(saved[index]));
+
+    this.offsets = new Map();
+    if (assembly.isEmpty()) {
+      return;
+    }
+    const assemblyCenter = this.app.productGroup.worldToLocal(assembly.getCenter(new THREE.Vector3()));
+    const worldScale = this.app.productGroup.getWorldScale(new THREE.Vector3()).x || 1;
+    const radius = assembly.getSize(new THREE.Vector3()).length() / 2 / worldScale;
+    centers.forEach((center, name) => {
+      const away = center.clone().sub(assemblyCenter);
+      const override = this.directions[name];
+      const direction = override ? new THREE.Vector3().fromArray(override).normalize() : away.clone().normalize();
+      // Parts further out move further, and every part clears the middle.
+      const distance = away.length() + radius * 0.5;
+      this.offsets.set(name, direction.multiplyScalar(distance));
+    });
+  }
+
+  // Animate the factor and move the parts. Called every frame.
+  update(delta) {
+    if (this.factor !== this.target) {
+      const step = (this.target - this.factor) * Math.min(1, delta * ANIMATION_RATE);
+      this.factor = Math.abs(this.target - this.factor) < 0.001 ? this.target : this.factor + step;
+      this.dirty = true;
+    }
+    if (!this.dirty) {
+      return;
+    }
+    this.dirty = false;
+    if (!this.offsets && this.app.loadedModels.size > 0) {
+      this.computeOffsets();
+    }
+    this.app.loadedModels.forEach((part, name) => {
+      if (!part.parent) return;
+      const offset = this.offsets && this.offsets.get(name);
+      if (offset) {
+        part.parent.position.copy(offset).multiplyScalar(this.factor);
+      } else {
+        part.parent.position.set(0, 0, 0);
+      }
+    });
+  }
+
+  renderPanel() {
+    if (this.panel.style.display === 'none') {
+      return;
+    }
+    this.panel.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.style.display = 'flex';
+    header.style.alignItems = 'center';
+    header.style.gap = '8px';
+
+    const title = document.createElement('strong');
+    title.textContent = 'Explode';
+
+    const assembleButton = createButton('Assemble');
+    assembleButton.addEventListener('click', () => this.changeFactor(0));
+
+    this.slider = document.createElement('input');
+    this.slider.type = 'range';
+    this.slider.min = '0';
+    this.slider.max = '100';
+    this.slider.value = String(Math.round(this.target * 100));
+    this.slider.style.flex = '1';
+    this.slider.addEventListener('input', () => this.changeFactor(Number(this.slider.value) / 100));
+
+    const explodeButton = createButton('Explode');
+    explodeButton.addEventListener('click', () => this.changeFactor(1));
+
+    header.appendChild(title);
+    header.appendChild(assembleButton);
+    header.appendChild(this.slider);
+    header.appendChild(explodeButton);
+    this.panel.appendChild(header);
+
+    if (this.app.loadedModels.size > 0) {
+      const directionsTitle = document.createElement('div');
+      directionsTitle.textContent = 'Directions';
+      directionsTitle.style.fontWeight = 'bold';
+      directionsTitle.style.margin = '8px 0 4px';
+      this.panel.appendChild(directionsTitle);
+    }
+    this.app.loadedModels.forEach((part, name) => {
+      const select = document.createElement('select');
+      [['', 'Away from centre'], ...Object.keys(DIRECTIONS).map((key) => [key, key.toUpperCase()])].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+      const current = this.directions[name];
+      select.value = current
+        ? Object.keys(DIRECTIONS).find((key) => DIRECTIONS[key].every((value, index) => value === current[index])) || ''
+        : '';
+      select.addEventListener('change', () => {
+        this.app.socket.emit('set-explode-direction', select.value
+          ? { part: name, direction: DIRECTIONS[select.value] }
+          : { part: name });
+      });
+      this.panel.appendChild(labelled(name, select));
+    });
+  }
+}
@@ -3,8 +3,11 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { DragControls } from 'three/addons/controls/DragControls.js';
 import { XRControllerModelFactory } from 'three/addons/webxr/XRControllerModelFactory.js';
 
-export class InteractionManager {
+// Dispatches 'dragstart', 'drag' and 'dragend' events ({ object }) while an
+// XR controller moves a part, mirroring DragControls so the app can sync both.
+export class InteractionManager extends THREE.EventDispatcher {
     constructor(scene, camera, renderer, domElement) {
+        super();
         this.scene = scene;
         this.camera = camera;
         this.renderer = renderer;
@@ -23,6 +26,8 @@ export class InteractionManager {
         this.lastControllerPosition = new THREE.Vector3();
         this.raycaster = new THREE.Raycaster();
         this.draggableObjects = [];
+        // Whether parts can be dragged with the mouse (off while placing notes).
+        this.dragEnabled = true;
 
         this.setupOrbitControls();
         this.setupDragControls();
@@ -70,14 +75,6 @@ export class InteractionManager {
             // Re-enable orbit controls once dragging ends.
             this.orbitControls.enabled = true;
         });
-
-        this.dragControls.addEventListener('drag', (event) => {
-            // Ensure the object's scale remains its original scale during dragging.
-            const object = event.object;
-            if (object.userData.originalScale) {
-                object.scale.copy(object.userData.originalScale);
-            }
-        });
     }
 
     setupXRControllers() {
@@ -149,8 +146,8 @@ export class InteractionManager {
         
         if (intersects.length > 0) {
             let targetObject = intersects[0].object;
-            // Traverse upward to find the parent product container.
-            while (targetObject.parent && targetObject.parent !== this.scene) {
+            // Traverse upward to find the part container that was hit.
+            while (!this.draggableObjects.includes(targetObject) && targetObject.parent && targetObject.parent !== this.scene) {
                 targetObject = targetObject.parent;
             }
             
@@ -158,11 +155,15 @@ export class InteractionManager {
             this.selectedObject = targetObject;
             this.activeController = controller;
             this.lastControllerPosition.setFromMatrixPosition(controller.matrixWorld);
+            this.dispatchEvent({ type: 'dragstart', object: targetObject });
         }
     }
     
     onControllerSelectEnd() {
         console.log("Controller select end");
+        if (this.selectedObject) {
+            this.dispatchEvent({ type: 'dragend', object: this.selectedObject });
+        }
         this.selectedObject = null;
         this.activeController = null;
         this.rotationMode = false; // End any active rotation.
@@ -190,9 +191,15 @@ export class InteractionManager {
         this.draggableObjects = objects;
         this.dragControls.dispose();
         this.dragControls = new DragControls(objects, this.camera, this.domElement);
+        this.dragControls.enabled = this.dragEnabled;
         this.setupDragControlsEvents();
     }
 
+    setDragEnabled(enabled) {
+        this.dragEnabled = enabled;
+        this.dragControls.enabled = enabled;
+    }
+
     update() {
         if (this.selectedObject && this.activeController && this.isXRSessionActive) {
             if (this.rotationMode) {
@@ -216,6 +223,7 @@ export class InteractionManager {
                 this.selectedObject.position.add(delta);
                 this.lastControllerPosition.copy(currentPosition);
             }
+            this.dispatchEvent({ type: 'drag', object: this.selectedObject });
         }
         
         // Ensure orbit controls are updated when not in XR session.
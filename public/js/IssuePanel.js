@@ -0,0 +1,361 @@
+import { createPanel, createButton, labelled } from './panelUi.js';
+
+// Side panel listing the room's review issues. Each issue belongs to a part
+// and may hold a point on it and a camera view; clicking an issue flies the
+// camera there and opens its details and comment thread.
+
+const STATUS_LABELS = { open: 'Open', 'in-progress': 'In progress', resolved: 'Resolved' };
+const STATUS_COLORS = { open: '#d00024', 'in-progress': '#e08a00', resolved: '#2e7d32' };
+
+export class IssuePanel {
+  constructor(app) {
+    this.app = app;
+    this.issues = [];
+    // The issue whose details are open, the status shown ('' for all) and
+    // the new issue being written, if any.
+    this.expandedId = null;
+    this.statusFilter = '';
+    this.draft = null;
+    // Unsent comments by issue id, kept when the list updates.
+    this.commentDrafts = {};
+
+    this.panel = createPanel({ top: '60px', right: '10px', width: '320px', maxHeight: 'calc(100% - 80px)' });
+  }
+
+  toggle() {
+    this.panel.style.display = this.panel.style.display === 'none' ? 'block' : 'none';
+    this.render();
+  }
+
+  setIssues(issues) {
+    this.issues = issues;
+    const open = issues.filter((issue) => issue.status !== 'resolved').length;
+    if (this.app.toggleUI && this.app.toggleUI.issuesButton) {
+      this.app.toggleUI.issuesButton.textContent = `Issues (${open})`;
+    }
+    this.render();
+  }
+
+  // Rebuild the panel, keeping whatever the user is typing in the new issue form.
+  render() {
+    if (this.panel.style.display === 'none') {
+      return;
+    }
+    this.panel.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.style.display = 'flex';
+    header.style.alignItems = 'center';
+    header.style.justifyContent = 'space-between';
+    header.style.flexWrap = 'wrap';
+    header.style.gap = '8px';
+    header.style.marginBottom = '8px';
+
+    const title = document.createElement('strong');
+    title.textContent = 'Issues';
+
+    const filter = document.createElement('select');
+    [['', 'All'], ...Object.entries(STATUS_LABELS)].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      filter.appendChild(option);
+    });
+    filter.value = this.statusFilter;
+    filter.addEventListener('change', () => {
+      this.statusFilter = filter.value;
+      this.render();
+    });
+
+    const exportLink = document.createElement('a');
+    exportLink.textContent = 'Export CSV';
+    exportLink.href = `/sessions/${encodeURIComponent(this.app.roomName || 'default')}/issues?format=csv`;
+    exportLink.style.color = '#d00024';
+    exportLink.style.fontSize = '12px';
+
+    const newButton = createButton('New issue');
+    newButton.addEventListener('click', () => {
+      this.draft = { title: '', part: '', description: '', assignee: '', position: null, saveView: true };
+      this.render();
+    });
+
+    header.appendChild(title);
+    header.appendChild(filter);
+    header.appendChild(exportLink);
+    header.appendChild(newButton);
+    this.panel.appendChild(header);
+
+    if (this.draft) {
+      this.panel.appendChild(this.renderDraft());
+    }
+
+    const shown = this.issues.filter((issue) => !this.statusFilter || issue.status === this.statusFilter);
+    if (shown.length === 0) {
+      const empty = document.createElement('div');
+      empty.textContent = 'No issues.';
+      empty.style.color = '#999';
+      this.panel.appendChild(empty);
+    }
+    shown.forEach((issue) => this.panel.appendChild(this.renderIssue(issue)));
+  }
+
+  renderIssue(issue) {
+    const item = document.createElement('div');
+    item.style.padding = '6px 0';
+    item.style.borderTop = '1px solid #eee';
+
+    const summary = document.createElement('div');
+    summary.style.cursor = 'pointer';
+    summary.style.display = 'flex';
+    summary.style.justifyContent = 'space-between';
+    summary.style.gap = '8px';
+    const name = document.createElement('span');
+    name.textContent = `#${issue.number} ${issue.title}`;
+    const status = document.createElement('span');
+    status.textContent = STATUS_LABELS[issue.status];
+    status.style.color = STATUS_COLORS[issue.status];
+    status.style.whiteSpace = 'nowrap';
+    summary.appendChild(name);
+    summary.appendChild(status);
+    summary.addEventListener('click', () => {
+      this.expandedId = this.expandedId === issue.id ? null : issue.id;
+      if (this.expandedId) {
+        this.app.flyToIssue(issue);
+      }
+      this.render();
+    });
+
+    const meta = document.createElement('div');
+    meta.style.fontSize = '12px';
+    meta.style.color = '#666';
+    meta.textContent = `${issue.part}${issue.assignee ? ` · ${issue.assignee}` : ''}`;
+
+    item.appendChild(summary);
+    item.appendChild(meta);
+    if (this.expandedId === issue.id) {
+      item.appendChild(this.renderDetails(issue));
+    }
+    return item;
+  }
+
+  renderDetails(issue) {
+    const details = document.createElement('div');
+    details.style.marginTop = '6px';
+    details.style.display = 'flex';
+    details.style.flexDirection = 'column';
+    details.style.gap = '6px';
+
+    if (issue.description) {
+      const description = document.createElement('div');
+      description.textContent = issue.description;
+      details.appendChild(description);
+    }
+
+    const byline = document.createElement('div');
+    byline.style.fontSize = '12px';
+    byline.style.color = '#666';
+    byline.textContent = `Raised by ${issue.author}, ${new Date(issue.createdAt).toLocaleString()}`;
+    details.appendChild(byline);
+
+    const statusSelect = document.createElement('select');
+    Object.entries(STATUS_LABELS).forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      statusSelect.appendChild(option);
+    });
+    statusSelect.value = issue.status;
+    statusSelect.addEventListener('change', () => {
+      this.app.socket.emit('update-issue', { id: issue.id, status: statusSelect.value });
+    });
+    details.appendChild(labelled('Status', statusSelect));
+
+    const assigneeInput = this.createAssigneeInput(issue.assignee);
+    assigneeInput.addEventListener('change', () => {
+      this.app.socket.emit('update-issue', { id: issue.id, assignee: assigneeInput.value.trim() });
+    });
+    details.appendChild(labelled('Assignee', assigneeInput));
+
+    const thread = document.createElement('div');
+    issue.comments.forEach((comment) => {
+      const entry = document.createElement('div');
+      entry.style.padding = '4px 8px';
+      entry.style.marginBottom = '4px';
+      entry.style.borderRadius = '8px';
+      entry.style.backgroundColor = '#f3f3f3';
+      const author = document.createElement('div');
+      author.style.fontSize = '12px';
+      author.style.color = '#666';
+      author.textContent = `${comment.author}, ${new Date(comment.createdAt).toLocaleString()}`;
+      const text = document.createElement('div');
+      text.textContent = comment.text;
+      entry.appendChild(author);
+      entry.appendChild(text);
+      thread.appendChild(entry);
+    });
+    details.appendChild(thread);
+
+    const commentRow = document.createElement('div');
+    commentRow.style.display = 'flex';
+    commentRow.style.gap = '6px';
+    const commentInput = createInput('Add a comment');
+    commentInput.style.flex = '1';
+    commentInput.value = this.commentDrafts[issue.id] || '';
+    commentInput.addEventListener('input', () => {
+      this.commentDrafts[issue.id] = commentInput.value;
+    });
+    const commentButton = createButton('Send');
+    const sendComment = () => {
+      const text = commentInput.value.trim();
+      if (text) {
+        this.app.socket.emit('comment-issue', { id: issue.id, text });
+        commentInput.value = '';
+        delete this.commentDrafts[issue.id];
+      }
+    };
+    commentButton.addEventListener('click', sendComment);
+    commentInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') sendComment();
+    });
+    commentRow.appendChild(commentInput);
+    commentRow.appendChild(commentButton);
+    details.appendChild(commentRow);
+
+    if (issue.authorId === this.app.clientId || this.app.isHost) {
+      const deleteButton = createButton('Delete issue');
+      deleteButton.style.backgroundColor = '#999';
+      deleteButton.style.alignSelf = 'flex-start';
+      deleteButton.addEventListener('click', () => {
+        this.app.socket.emit('delete-issue', { id: issue.id });
+      });
+      details.appendChild(deleteButton);
+    }
+    return details;
+  }
+
+  // Form for a new issue; its values live in `this.draft` so re-renders keep them.
+  renderDraft() {
+    const draft = this.draft;
+    const form = document.createElement('div');
+    form.style.display = 'flex';
+    form.style.flexDirection = 'column';
+    form.style.gap = '6px';
+    form.style.padding = '8px 0';
+    form.style.borderTop = '1px solid #eee';
+
+    const titleInput = createInput('What is wrong?');
+    titleInput.value = draft.title;
+    titleInput.addEventListener('input', () => { draft.title = titleInput.value; });
+
+    const partSelect = document.createElement('select');
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Choose a part';
+    partSelect.appendChild(placeholder);
+    Array.from(this.app.loadedModels.keys()).forEach((part) => {
+      const option = document.createElement('option');
+      option.value = part;
+      option.textContent = part;
+      partSelect.appendChild(option);
+    });
+    partSelect.value = draft.part;
+    partSelect.addEventListener('change', () => {
+      draft.part = partSelect.value;
+      draft.position = null;
+      this.render();
+    });
+
+    const pointButton = createButton(draft.position ? 'Point attached' : 'Pick a point');
+    pointButton.style.alignSelf = 'flex-start';
+    pointButton.addEventListener('click', () => {
+      pointButton.textContent = 'Click on a part…';
+      this.app.pickPartPoint((hit) => {
+        draft.part = hit.part.name;
+        draft.position = hit.part.worldToLocal(hit.point.clone()).toArray();
+        this.render();
+      });
+    });
+
+    const descriptionInput = document.createElement('textarea');
+    descriptionInput.placeholder = 'Details (optional)';
+    descriptionInput.rows = 3;
+    descriptionInput.value = draft.description;
+    descriptionInput.style.boxSizing = 'border-box';
+    descriptionInput.style.width = '100%';
+    descriptionInput.addEventListener('input', () => { draft.description = descriptionInput.value; });
+
+    const assigneeInput = this.createAssigneeInput(draft.assignee);
+    assigneeInput.addEventListener('input', () => { draft.assignee = assigneeInput.value; });
+
+    const viewCheckbox = document.createElement('input');
+    viewCheckbox.type = 'checkbox';
+    viewCheckbox.checked = draft.saveView;
+    viewCheckbox.addEventListener('change', () => { draft.saveView = viewCheckbox.checked; });
+
+    const buttons = document.createElement('div');
+    buttons.style.display = 'flex';
+    buttons.style.justifyContent = 'flex-end';
+    buttons.style.gap = '6px';
+    const cancelButton = createButton('Cancel');
+    cancelButton.style.backgroundColor = '#999';
+    cancelButton.addEventListener('click', () => {
+      this.draft = null;
+      this.render();
+    });
+    const createIssueButton = createButton('Create');
+    createIssueButton.addEventListener('click', () => {
+      if (!draft.title.trim() || !draft.part) {
+        (draft.title.trim() ? partSelect : titleInput).style.borderColor = '#d00024';
+        return;
+      }
+      this.app.socket.emit('create-issue', {
+        title: draft.title.trim(),
+        description: draft.description.trim(),
+        part: draft.part,
+        position: draft.position,
+        camera: draft.saveView ? this.app.getCameraView() : null,
+        assignee: draft.assignee.trim()
+      });
+      this.draft = null;
+      this.render();
+    });
+    buttons.appendChild(cancelButton);
+    buttons.appendChild(createIssueButton);
+
+    form.appendChild(titleInput);
+    form.appendChild(labelled('Part', partSelect));
+    form.appendChild(pointButton);
+    form.appendChild(descriptionInput);
+    form.appendChild(labelled('Assignee', assigneeInput));
+    form.appendChild(labelled('Save the current view', viewCheckbox));
+    form.appendChild(buttons);
+    return form;
+  }
+
+  // Text input suggesting the names of everyone in the room.
+  createAssigneeInput(value) {
+    const input = createInput('Nobody');
+    input.value = value || '';
+    const list = document.createElement('datalist');
+    list.id = `issue-assignees-${Math.random().toString(36).slice(2, 8)}`;
+    this.app.participants.forEach((participant) => {
+      const option = document.createElement('option');
+      option.value = participant.name;
+      list.appendChild(option);
+    });
+    input.setAttribute('list', list.id);
+    this.panel.appendChild(list);
+    return input;
+  }
+}
+
+function createInput(placeholder) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.placeholder = placeholder;
+  input.style.boxSizing = 'border-box';
+  input.style.padding = '4px 8px';
+  input.style.border = '1px solid #ccc';
+  input.style.borderRadius = '4px';
+  return input;
+}
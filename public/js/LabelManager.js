@@ -0,0 +1,98 @@
+import * as THREE from 'three';
+
+// Screen-space DOM labels that follow points in the scene, e.g. who is
+// moving a part. Each label is anchored to an object plus an offset in that
+// object's local space, so it moves along with the object.
+export class LabelManager {
+  constructor(camera, domElement) {
+    this.camera = camera;
+    this.domElement = domElement;
+    this.labels = new Map();
+    this.worldPosition = new THREE.Vector3();
+
+    this.container = document.createElement('div');
+    this.container.style.position = 'fixed';
+    this.container.style.top = '0';
+    this.container.style.left = '0';
+    this.container.style.width = '100%';
+    this.container.style.height = '100%';
+    this.container.style.pointerEvents = 'none';
+    this.container.style.overflow = 'hidden';
+    this.container.style.zIndex = '500';
+    document.body.appendChild(this.container);
+  }
+
+  // Add or replace the label `id`. `style` overrides the default pill look.
+  add(id, object, text, offset = new THREE.Vector3(), style = {}) {
+    this.remove(id);
+    const element = document.createElement('div');
+    element.textContent = text;
+    element.style.position = 'absolute';
+    element.style.transform = 'translate(-50%, -100%)';
+    element.style.padding = '2px 8px';
+    element.style.borderRadius = '9999px';
+    element.style.backgroundColor = 'rgba(0, 0, 0, 0.75)';
+    element.style.color = 'white';
+    element.style.fontFamily = 'sans-serif';
+    element.style.fontSize = '12px';
+    element.style.whiteSpace = 'nowrap';
+    Object.assign(element.style, style);
+    this.container.appendChild(element);
+    this.labels.set(id, { element, object, offset: offset.clone() });
+    return element;
+  }
+
+  has(id) {
+    return this.labels.has(id);
+  }
+
+  setText(id, text) {
+    const label = this.labels.get(id);
+    if (label) {
+      label.element.textContent = text;
+    }
+  }
+
+  remove(id) {
+    const label = this.labels.get(id);
+    if (label) {
+      label.element.remove();
+      this.labels.delete(id);
+    }
+  }
+
+  // Remove every label whose id starts with `prefix`, or all labels.
+  clear(prefix = '') {
+    Array.from(this.labels.keys())
+      .filter((id) => String(id).startsWith(prefix))
+      .forEach((id) => this.remove(id));
+  }
+
+  // Offset from `object` to the top centre of its bounding box, in the
+  // object's local space; a good anchor for a label above a part.
+  static topOffset(object) {
+    const box = new THREE.Box3().setFromObject(object);
+    if (box.isEmpty()) {
+      return new THREE.Vector3();
+    }
+    const top = new THREE.Vector3((box.min.x + box.max.x) / 2, box.max.y, (box.min.z + box.max.z) / 2);
+    return object.worldToLocal(top);
+  }
+
+  // Project every label onto the screen. Call once per frame.
+  update() {
+    const rect = this.domElement.getBoundingClientRect();
+    this.labels.forEach(({ element, object, offset }) => {
+      this.worldPosition.copy(offset);
+      object.localToWorld(this.worldPosition);
+      this.worldPosition.project(this.camera);
+      // Hide labels behind the camera or on hidden or detached objects.
+      const visible = this.worldPosition.z < 1 && object.parent !== null && object.visible;
+      element.style.display = visible ? 'block' : 'none';
+      if (visible) {
+        element.style.left = `${rect.left + (this.worldPosition.x + 1) / 2 * rect.width}px`;
+        element.style.top = `${rect.top + (1 - this.worldPosition.y) / 2 * rect.height}px`;
+      }
+    });
+  }
+}
@@ -0,0 +1,279 @@
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { getMaterialSlots } from './MaterialVariants.js';
+import { createPanel, createButton, labelled } from './panelUi.js';
+
+// Material editor: the materials of the part selected in the outliner, with
+// their base color, roughness, metalness, opacity, clearcoat and textures.
+// The host's changes are shown as they are made and sent to the viewers; the
+// edits themselves are kept and applied by MaterialVariants. Anyone can
+// export the resulting materials as a JSON spec, or the parts as a GLB with
+// them baked in.
+
+// Shortest gap between the edits sent while a slider is dragged, in ms.
+const SEND_INTERVAL = 100;
+
+export class MaterialEditor {
+  constructor(app) {
+    this.app = app;
+    // The edit waiting to be sent: { part, slot, edit }
+    this.pendingEdit = null;
+    this.sendTimeout = null;
+    this.exporting = false;
+
+    this.panel = createPanel({ top: '60px', right: '10px', width: '300px', maxHeight: 'calc(100% - 80px)' });
+  }
+
+  toggle() {
+    this.panel.style.display = this.panel.style.display === 'none' ? 'block' : 'none';
+    this.render();
+  }
+
+  hide() {
+    this.panel.style.display = 'none';
+  }
+
+  // The part being edited: the one selected in the outliner, or else the
+  // first part selected for everyone.
+  getPartName() {
+    const selection = this.app.outliner.selection;
+    if (selection) {
+      return selection.part;
+    }
+    const [selected] = this.app.partVisibility.selected;
+    return this.app.loadedModels.has(selected) ? selected : null;
+  }
+
+  // Show an edit here right away and send it to everyone shortly. Host only.
+  changeEdit(part, slot, changes) {
+    const variants = this.app.materialVariants;
+    const partEdits = { ...variants.edits[part] };
+    const edit = changes ? { ...partEdits[slot], ...changes } : null;
+    if (edit) {
+      partEdits[slot] = edit;
+    } else {
+      delete partEdits[slot];
+    }
+    variants.edits = { ...variants.edits, [part]: partEdits };
+    variants.applyEdits();
+
+    if (this.pendingEdit && (this.pendingEdit.part !== part || this.pendingEdit.slot !== slot)) {
+      this.sendEdit();
+    }
+    this.pendingEdit = { part, slot, edit };
+    if (!this.sendTimeout) {
+      this.sendTimeout = setTimeout(() => this.sendEdit(), SEND_INTERVAL);
+    }
+  }
+
+  sendEdit() {
+    clearTimeout(this.sendTimeout);
+    this.sendTimeout = null;
+    if (!this.pendingEdit) {
+      return;
+    }
+    const { part, slot, edit } = this.pendingEdit;
+    this.pendingEdit = null;
+    this.app.socket.emit('set-material-edit', edit ? { part, slot, edit } : { part, slot });
+  }
+
+  // The materials as shown now, by part, for the JSON spec.
+  getSpec() {
+    const variants = this.app.materialVariants;
+    const parts = [];
+    this.app.loadedModels.forEach((part, name) => {
+      const materials = getMaterialSlots(part, variants).map((original, slot) => {
+        const material = variants.getSlotMaterial(part, slot) || original;
+        const edit = (variants.edits[name] || {})[slot];
+        return {
+          slot,
+          name: original.name || null,
+          type: material.type,
+          color: material.color ? `#${material.color.getHexString()}` : null,
+          roughness: material.roughness !== undefined ? material.roughness : null,
+          metalness: material.metalness !== undefined ? material.metalness : null,
+          opacity: material.opacity,
+          clearcoat: material.clearcoat !== undefined ? material.clearcoat : null,
+          textures: !!material.map,
+          edited: !!edit
+        };
+      });
+      parts.push({
+        part: name,
+        label: this.app.outliner.getLabel(name),
+        finish: variants.finishes[name] || null,
+        materials
+      });
+    });
+    return {
+      room: this.app.roomName || 'default',
+      exportedAt: new Date().toISOString(),
+      variant: variants.variant,
+      parts
+    };
+  }
+
+  exportSpec() {
+    const blob = new Blob([JSON.stringify(this.getSpec(), null, 2)], { type: 'application/json' });
+    download(blob, `${this.getFileName()}-materials.json`);
+  }
+
+  // Export the parts, as placed, with the materials shown baked in.
+  async exportGlb() {
+    this.exporting = true;
+    this.render();
+    // The X-ray ghosts are not the parts' materials.
+    this.app.partVisibility.clearGhosts();
+    try {
+      const exporter = new GLTFExporter();
+      const glb = await exporter.parseAsync(Array.from(this.app.loadedModels.values()), { binary: true, onlyVisible: false });
+      download(new Blob([glb], { type: 'model/gltf-binary' }), `${this.getFileName()}.glb`);
+    } catch (error) {
+      console.error('Error exporting GLB:', error);
+    } finally {
+      this.app.partVisibility.refresh();
+      this.exporting = false;
+      this.render();
+    }
+  }
+
+  getFileName() {
+    return (this.app.roomName || 'product').replace(/[^a-z0-9_-]+/gi, '-');
+  }
+
+  render() {
+    if (this.panel.style.display === 'none') {
+      return;
+    }
+    // Keep a slider or color being dragged.
+    if (this.panel.contains(document.activeElement) && document.activeElement.tagName === 'INPUT') {
+      return;
+    }
+    this.panel.innerHTML = '';
+    const isHost = this.app.isHost && !this.app.replayPlayer;
+
+    const title = document.createElement('strong');
+    title.textContent = 'Materials';
+    title.style.display = 'block';
+    title.style.marginBottom = '8px';
+    this.panel.appendChild(title);
+
+    const partName = this.getPartName();
+    const partSelect = document.createElement('select');
+    partSelect.style.width = '100%';
+    partSelect.style.marginBottom = '8px';
+    [['', 'Select a part'], ...Array.from(this.app.loadedModels.keys()).map((name) => [name, this.app.outliner.getLabel(name)])]
+      .forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        partSelect.appendChild(option);
+      });
+    partSelect.value = partName || '';
+    partSelect.addEventListener('change', () => {
+      if (partSelect.value) {
+        this.app.outliner.select(partSelect.value);
+      }
+    });
+    this.panel.appendChild(partSelect);
+
+    const part = partName && this.app.loadedModels.get(partName);
+    if (part) {
+      const variants = this.app.materialVariants;
+      const edits = variants.edits[partName] || {};
+      getMaterialSlots(part, variants).forEach((original, slot) => {
+        this.panel.appendChild(this.renderSlot(part, partName, slot, original, edits[slot], isHost));
+      });
+    }
+
+    const actions = document.createElement('div');
+    actions.style.display = 'flex';
+    actions.style.gap = '8px';
+    actions.style.marginTop = '8px';
+    const specButton = createButton('Export spec');
+    specButton.title = 'Download the materials as JSON';
+    specButton.disabled = this.app.loadedModels.size === 0;
+    specButton.addEventListener('click', () => this.exportSpec());
+    const glbButton = createButton(this.exporting ? 'Exporting…' : 'Export GLB');
+    glbButton.title = 'Download the parts with these materials';
+    glbButton.disabled = this.exporting || this.app.loadedModels.size === 0;
+    glbButton.addEventListener('click', () => this.exportGlb());
+    actions.appendChild(specButton);
+    actions.appendChild(glbButton);
+    this.panel.appendChild(actions);
+  }
+
+  renderSlot(part, partName, slot, original, edit, isHost) {
+    const base = this.app.materialVariants.getSlotBase(part, slot) || original;
+    const value = (key, fallback) => (edit && edit[key] !== undefined ? edit[key] : fallback);
+
+    const section = document.createElement('div');
+    section.style.padding = '6px 0';
+    section.style.borderTop = '1px solid #eee';
+
+    const header = document.createElement('div');
+    header.style.display = 'flex';
+    header.style.justifyContent = 'space-between';
+    header.style.alignItems = 'center';
+    const name = document.createElement('span');
+    name.textContent = original.name || `Material ${slot + 1}`;
+    name.style.fontWeight = 'bold';
+    name.style.fontSize = '12px';
+    header.appendChild(name);
+    if (isHost && edit) {
+      const revertButton = createButton('Revert');
+      revertButton.addEventListener('click', () => this.changeEdit(partName, slot, null));
+      header.appendChild(revertButton);
+    }
+    section.appendChild(header);
+
+    if (base.color) {
+      const colorInput = document.createElement('input');
+      colorInput.type = 'color';
+      colorInput.value = value('color', `#${base.color.getHexString()}`);
+      colorInput.disabled = !isHost;
+      colorInput.addEventListener('input', () => this.changeEdit(partName, slot, { color: colorInput.value }));
+      section.appendChild(labelled('Base color', colorInput));
+    }
+    [
+      ['roughness', 'Roughness', base.roughness],
+      ['metalness', 'Metalness', base.metalness],
+      ['opacity', 'Opacity', base.opacity],
+      ['clearcoat', 'Clearcoat', base.clearcoat || 0]
+    ].forEach(([key, text, fallback]) => {
+      if (fallback === undefined) return;
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.min = '0';
+      slider.max = '1';
+      slider.step = '0.01';
+      slider.value = String(value(key, fallback));
+      slider.disabled = !isHost;
+      slider.addEventListener('input', () => this.changeEdit(partName, slot, { [key]: Number(slider.value) }));
+      slider.addEventListener('change', () => slider.blur());
+      section.appendChild(labelled(text, slider));
+    });
+    if (base.map || (edit && edit.textures === false)) {
+      const texturesInput = document.createElement('input');
+      texturesInput.type = 'checkbox';
+      texturesInput.checked = value('textures', true);
+      texturesInput.disabled = !isHost;
+      texturesInput.addEventListener('change', () => {
+        texturesInput.blur();
+        this.changeEdit(partName, slot, { textures: texturesInput.checked });
+      });
+      section.appendChild(labelled('Textures', texturesInput));
+    }
+    return section;
+  }
+}
+
+function download(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,415 @@
+import * as THREE from 'three';
+import { createPanel } from './panelUi.js';
+
+// Material variants: colorways from the glTF KHR_materials_variants extension,
+// shared by every part that lists them, plus a color and finish the host can
+// give a single part and, on top of those, the material editor's edits. The
+// host picks them and every client shows the same.
+//
+// GLTFLoader leaves the extension in userData: the variant names on the glTF
+// root and, on each mesh, which material it takes for which variants. The
+// materials themselves are loaded through the part's glTF parser on demand.
+//
+// Edits are made to a part's material slots: its own materials, numbered in
+// the order they are first met in the part (see getMaterialSlots).
+
+const FINISHES = {
+  glossy: { label: 'Glossy', roughness: 0.1, metalness: 0 },
+  satin: { label: 'Satin', roughness: 0.4, metalness: 0 },
+  matte: { label: 'Matte', roughness: 0.9, metalness: 0 },
+  brushed: { label: 'Brushed metal', roughness: 0.35, metalness: 1 },
+  polished: { label: 'Polished metal', roughness: 0.05, metalness: 1 }
+};
+
+export class MaterialVariants {
+  constructor(app) {
+    this.app = app;
+    this.variant = null;
+    // Finishes by part name: { color?, roughness, metalness }
+    this.finishes = {};
+    // Material editor edits by part name and slot: { color?, roughness?, ... }
+    this.edits = {};
+    // Variant names and glTF parser of each part container. Kept out of
+    // userData, which is copied as JSON by clone() and the GLB export.
+    this.partVariants = new WeakMap();
+    // Materials of each mesh: { original, base, finished, edited }, where
+    // `base` is what the edits are made to and `finished` and `edited` are
+    // the copies made here.
+    this.meshMaterials = new WeakMap();
+    // Counts material changes, so a slow one is dropped once overtaken.
+    this.applyCount = 0;
+
+    this.panel = createPanel({ top: '60px', right: '10px', width: '300px', maxHeight: 'calc(100% - 80px)' });
+  }
+
+  toggle() {
+    this.panel.style.display = this.panel.style.display === 'none' ? 'block' : 'none';
+    this.renderPanel();
+  }
+
+  hide() {
+    this.panel.style.display = 'none';
+  }
+
+  // Remember a newly loaded part's variants and own materials, and show it
+  // in the current colorway.
+  addPart(container, gltf) {
+    const extension = gltf.userData.gltfExtensions && gltf.userData.gltfExtensions.KHR_materials_variants;
+    this.partVariants.set(container, {
+      parser: gltf.parser,
+      names: extension ? extension.variants.map((variant) => variant.name) : []
+    });
+    container.traverse((object) => {
+      if (object.isMesh) {
+        this.meshMaterials.set(object, { original: object.material, base: object.material, finished: [], edited: [] });
+      }
+    });
+    this.apply();
+  }
+
+  // The variant names of all loaded parts, in order of first appearance.
+  getVariantNames() {
+    const names = new Set();
+    this.app.loadedModels.forEach((part) => {
+      const variants = this.partVariants.get(part);
+      if (variants) {
+        variants.names.forEach((name) => names.add(name));
+      }
+    });
+    return Array.from(names);
+  }
+
+  // Show the room's colorway, finishes and edits. Edits alone are quick to
+  // show, so the editor's changes can be followed live.
+  setState(state) {
+    const variant = state ? state.variant : null;
+    const finishes = (state && state.finishes) || {};
+    const editsOnly = variant === this.variant && JSON.stringify(finishes) === JSON.stringify(this.finishes);
+    this.variant = variant;
+    this.finishes = finishes;
+    this.edits = (state && state.edits) || {};
+    if (editsOnly) {
+      this.applyEdits();
+    } else {
+      this.apply();
+    }
+  }
+
+  // Pick the colorway for everyone. Host only.
+  chooseVariant(variant) {
+    this.app.socket.emit('set-material-variant', variant ? { variant } : {});
+  }
+
+  // Give a part a finish for everyone, or its own material back with null.
+  // Host only.
+  setFinish(part, finish) {
+    this.app.socket.emit('set-part-finish', finish ? { part, finish } : { part });
+  }
+
+  // Put every mesh in its variant material, with its part's finish on top.
+  async apply() {
+    const applyId = ++this.applyCount;
+    const changes = [];
+    for (const [name, part] of this.app.loadedModels) {
+      const variants = this.partVariants.get(part);
+      if (!variants) continue;
+      const variantIndex = variants.names.indexOf(this.variant);
+      const meshes = [];
+      part.traverse((object) => {
+        if (this.meshMaterials.has(object)) {
+          meshes.push(object);
+        }
+      });
+      for (const mesh of meshes) {
+        const extension = mesh.userData.gltfExtensions && mesh.userData.gltfExtensions.KHR_materials_variants;
+        const mapping = variantIndex === -1 || !extension
+          ? null
+          : extension.mappings.find((item) => item.variants.includes(variantIndex));
+        let material = this.meshMaterials.get(mesh).original;
+        if (mapping) {
+          try {
+            material = await variants.parser.getDependency('material', mapping.material);
+          } catch (error) {
+            console.error(`Error loading variant material for ${name}:`, error);
+          }
+        }
+        changes.push({ mesh, material, finish: this.finishes[name], parser: variants.parser });
+      }
+    }
+    // A later change has taken over.
+    if (applyId !== this.applyCount) {
+      return;
+    }
+    // Swap the materials with the X-ray ghosts taken off, then let the section
+    // planes and X-ray take them over again.
+    this.app.partVisibility.clearGhosts();
+    changes.forEach(({ mesh, material, finish, parser }) => {
+      const materials = this.meshMaterials.get(mesh);
+      materials.finished.forEach((finished) => finished.dispose());
+      materials.finished = [];
+      mesh.material = material;
+      if (material !== materials.original) {
+        parser.assignFinalMaterial(mesh);
+      }
+      if (finish) {
+        mesh.material = Array.isArray(mesh.material)
+          ? mesh.material.map((item) => finishedMaterial(item, finish))
+          : finishedMaterial(mesh.material, finish);
+        materials.finished = [].concat(mesh.material);
+      }
+      materials.base = mesh.material;
+    });
+    this.setEditedMaterials();
+    this.app.sectionTool.refresh();
+    this.app.partVisibility.refresh();
+    this.renderSelect();
+    this.renderPanel();
+    this.app.materialEditor.render();
+  }
+
+  // Show changed edits on the current materials.
+  applyEdits() {
+    // Rebuilt ghosts show the edits too.
+    const ghosted = this.app.partVisibility.xray;
+    if (ghosted) {
+      this.app.partVisibility.clearGhosts();
+    }
+    this.setEditedMaterials();
+    if (ghosted) {
+      this.app.partVisibility.refresh();
+    }
+    this.app.materialEditor.render();
+  }
+
+  // Put edited copies of the base materials on the meshes whose slots have
+  // edits. The ghosts must be off.
+  setEditedMaterials() {
+    this.app.loadedModels.forEach((part, name) => {
+      const slots = getMaterialSlots(part, this);
+      const edits = this.edits[name] || {};
+      part.traverse((mesh) => {
+        const materials = this.meshMaterials.get(mesh);
+        if (!materials) return;
+        const shown = [].concat(mesh.material);
+        materials.edited.forEach((edited) => edited.dispose());
+        materials.edited = [];
+        const originals = [].concat(materials.original);
+        const result = [].concat(materials.base).map((base, index) => {
+          const edit = edits[slots.indexOf(originals[index])];
+          const material = edit ? editedMaterial(base, edit) : base;
+          if (edit) {
+            materials.edited.push(material);
+          }
+          // Keep the section planes of the material shown until now.
+          if (shown[index]) {
+            material.clippingPlanes = shown[index].clippingPlanes;
+          }
+          return material;
+        });
+        mesh.material = Array.isArray(materials.base) ? result : result[0];
+      });
+    });
+  }
+
+  // The material shown for slot `slot` of a part (edits included), or null.
+  getSlotMaterial(part, slot) {
+    const slotMaterial = getMaterialSlots(part, this)[slot];
+    let found = null;
+    part.traverse((mesh) => {
+      const materials = this.meshMaterials.get(mesh);
+      if (found || !materials) return;
+      const index = [].concat(materials.original).indexOf(slotMaterial);
+      if (index !== -1) {
+        const solid = mesh.userData.solidMaterial || mesh.material;
+        found = [].concat(solid)[index];
+      }
+    });
+    return found;
+  }
+
+  // The material an edit of slot `slot` is made to, or null.
+  getSlotBase(part, slot) {
+    const slotMaterial = getMaterialSlots(part, this)[slot];
+    let found = null;
+    part.traverse((mesh) => {
+      const materials = this.meshMaterials.get(mesh);
+      if (found || !materials) return;
+      const index = [].concat(materials.original).indexOf(slotMaterial);
+      if (index !== -1) {
+        found = [].concat(materials.base)[index];
+      }
+    });
+    return found;
+  }
+
+  // Fill the toolbar's variant selector; only the host can change it.
+  renderSelect() {
+    const select = this.app.toggleUI && this.app.toggleUI.variantSelect;
+    if (!select) {
+      return;
+    }
+    const names = this.getVariantNames();
+    select.innerHTML = '';
+    [['', 'Default colorway'], ...names.map((name) => [name, name])].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = names.includes(this.variant) ? this.variant : '';
+    select.disabled = !this.app.isHost || !!this.app.replayPlayer;
+    select.style.display = names.length > 0 ? 'inline-block' : 'none';
+  }
+
+  renderPanel() {
+    if (this.panel.style.display === 'none') {
+      return;
+    }
+    this.panel.innerHTML = '';
+
+    const title = document.createElement('strong');
+    title.textContent = 'Finishes';
+    title.style.display = 'block';
+    title.style.marginBottom = '8px';
+    this.panel.appendChild(title);
+
+    if (this.app.loadedModels.size === 0) {
+      const empty = document.createElement('div');
+      empty.textContent = 'No parts loaded.';
+      empty.style.color = '#999';
+      this.panel.appendChild(empty);
+    }
+    this.app.loadedModels.forEach((part, name) => {
+      const finish = this.finishes[name];
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.gap = '6px';
+      row.style.padding = '4px 0';
+      row.style.borderTop = '1px solid #eee';
+      row.style.fontSize = '12px';
+
+      const label = document.createElement('span');
+      label.textContent = this.app.outliner.getLabel(name);
+      label.style.flex = '1';
+      label.style.overflow = 'hidden';
+      label.style.textOverflow = 'ellipsis';
+      label.style.whiteSpace = 'nowrap';
+
+      const colorInput = document.createElement('input');
+      colorInput.type = 'color';
+      colorInput.title = 'Base color';
+      colorInput.value = finish && finish.color ? finish.color : '#ffffff';
+      colorInput.addEventListener('change', () => {
+        this.setFinish(name, { ...(finish || FINISHES.satin), color: colorInput.value });
+      });
+
+      const presetSelect = document.createElement('select');
+      [['', finish ? 'Custom' : 'Original'], ...Object.entries(FINISHES).map(([key, preset]) => [key, preset.label])]
+        .forEach(([value, text]) => {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = text;
+          presetSelect.appendChild(option);
+        });
+      presetSelect.value = finish
+        ? Object.keys(FINISHES).find((key) => FINISHES[key].roughness === finish.roughness &&
+          FINISHES[key].metalness === finish.metalness) || ''
+        : '';
+      presetSelect.addEventListener('change', () => {
+        const preset = FINISHES[presetSelect.value];
+        if (preset) {
+          const next = { roughness: preset.roughness, metalness: preset.metalness };
+          if (finish && finish.color) {
+            next.color = finish.color;
+          }
+          this.setFinish(name, next);
+        }
+      });
+
+      const originalButton = document.createElement('button');
+      originalButton.textContent = 'Original';
+      originalButton.disabled = !finish;
+      originalButton.style.padding = '2px 8px';
+      originalButton.style.border = 'none';
+      originalButton.style.borderRadius = '9999px';
+      originalButton.style.backgroundColor = '#d00024';
+      originalButton.style.color = 'white';
+      originalButton.style.cursor = 'pointer';
+      originalButton.addEventListener('click', () => this.setFinish(name, null));
+
+      row.appendChild(label);
+      row.appendChild(colorInput);
+      row.appendChild(presetSelect);
+      row.appendChild(originalButton);
+      this.panel.appendChild(row);
+    });
+  }
+}
+
+// A part's own materials, each listed once in the order they are first met:
+// the slots the material editor edits.
+export function getMaterialSlots(part, variants) {
+  const slots = [];
+  part.traverse((mesh) => {
+    const materials = variants.meshMaterials.get(mesh);
+    if (!materials) return;
+    [].concat(materials.original).forEach((material) => {
+      if (!slots.includes(material)) {
+        slots.push(material);
+      }
+    });
+  });
+  return slots;
+}
+
+// Texture maps turned off by an edit with `textures: false`.
+const TEXTURE_MAPS = ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'aoMap', 'emissiveMap', 'bumpMap', 'alphaMap'];
+
+// A copy of `base` with an edit's changes. Clearcoat needs a physical
+// material, so a standard one is made into one.
+function editedMaterial(base, edit) {
+  let material;
+  if (edit.clearcoat !== undefined && base.isMeshStandardMaterial && !base.isMeshPhysicalMaterial) {
+    material = new THREE.MeshPhysicalMaterial();
+    THREE.MeshStandardMaterial.prototype.copy.call(material, base);
+    material.defines = { STANDARD: '', PHYSICAL: '' };
+  } else {
+    material = base.clone();
+  }
+  if (edit.color && material.color) {
+    material.color.set(edit.color);
+  }
+  ['roughness', 'metalness', 'clearcoat'].forEach((key) => {
+    if (edit[key] !== undefined && key in material) {
+      material[key] = edit[key];
+    }
+  });
+  if (edit.opacity !== undefined) {
+    material.opacity = edit.opacity;
+    material.transparent = base.transparent || edit.opacity < 1;
+  }
+  if (edit.textures === false) {
+    TEXTURE_MAPS.forEach((key) => {
+      if (material[key]) {
+        material[key] = null;
+      }
+    });
+  }
+  return material;
+}
+
+// A copy of `material` with a finish's color, roughness and metalness.
+function finishedMaterial(material, finish) {
+  const finished = material.clone();
+  if (finish.color && finished.color) {
+    finished.color.set(finish.color);
+  }
+  if ('roughness' in finished) {
+    finished.roughness = finish.roughness;
+  }
+  if ('metalness' in finished) {
+    finished.metalness = finish.metalness;
+  }
+  return finished;
+}
@@ -0,0 +1,343 @@
+import * as THREE from 'three';
+import { createPanel, createButton, createSelect, labelled } from './panelUi.js';
+
+// Measuring on the loaded parts: the distance between two points, the length
+// of a mesh edge (the nearest edge of the triangle clicked) and the angle at
+// the middle of three points. Points are kept in their part's own space
+// ({ part, position }) so measurements follow the parts as they move.
+//
+// The host's measurements come from the server and are shown to everyone;
+// anyone else's stay on their own screen. Lengths are shown in mm or inches
+// using the product's unit scale (millimetres per scene unit).
+
+const POINT_COUNTS = { distance: 2, angle: 3 };
+const MODE_LABELS = { distance: 'Distance', edge: 'Edge length', angle: 'Angle' };
+const UNITS = {
+  mm: { perMillimetre: 1, digits: 1 },
+  in: { perMillimetre: 1 / 25.4, digits: 3 }
+};
+const COLOR = 0x00a0e0;
+
+export class MeasureTool {
+  constructor(app) {
+    this.app = app;
+    // The kind of measurement being made, or null when not measuring.
+    this.mode = null;
+    this.type = 'distance';
+    this.unit = localStorage.getItem('measureUnit') === 'in' ? 'in' : 'mm';
+    this.unitScale = 1000;
+    // The host's measurements, this client's own and the points picked so far.
+    this.shared = [];
+    this.local = [];
+    this.pending = [];
+    this.localCount = 0;
+
+    this.group = new THREE.Group();
+    this.group.name = 'measurements';
+    app.scene.add(this.group);
+    // Scene objects and label of each shown measurement, by id.
+    this.visuals = new Map();
+
+    this.panel = createPanel({ bottom: '20px', left: '10px', width: '260px', maxHeight: '50%' });
+
+    // Escape drops the points picked for an unfinished measurement.
+    window.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' && this.pending.length > 0) {
+        this.pending = [];
+        this.rebuild();
+      }
+    });
+  }
+
+  toggle() {
+    this.mode = this.mode ? null : this.type;
+    this.pending = [];
+    this.panel.style.display = this.mode ? 'block' : 'none';
+    this.app.updatePartClickMode();
+    this.rebuild();
+  }
+
+  setType(type) {
+    this.type = type;
+    this.mode = type;
+    this.pending = [];
+    this.rebuild();
+  }
+
+  setUnit(unit) {
+    this.unit = unit;
+    localStorage.setItem('measureUnit', unit);
+    this.rebuild();
+  }
+
+  // The host's measurements and the product's unit scale from the server.
+  setShared(measurements, unitScale) {
+    this.shared = measurements || [];
+    this.unitScale = unitScale || 1000;
+    this.rebuild();
+  }
+
+  // Forget this client's own measurements, e.g. when the product changes.
+  clearLocal() {
+    this.local = [];
+    this.pending = [];
+    this.rebuild();
+  }
+
+  // A part surface was clicked while measuring: { part, point, object, face }.
+  onPick(hit) {
+    if (this.mode === 'edge') {
+      const edge = findNearestEdge(hit);
+      if (edge) {
+        this.finish('edge', edge.map((point) => toPartPoint(hit.part, point)));
+      }
+      return;
+    }
+    this.pending.push(toPartPoint(hit.part, hit.point));
+    if (this.pending.length === POINT_COUNTS[this.mode]) {
+      const points = this.pending;
+      this.pending = [];
+      this.finish(this.mode, points);
+    } else {
+      this.rebuild();
+    }
+  }
+
+  finish(type, points) {
+    if (this.app.isHost && !this.app.replayPlayer) {
+      this.app.socket.emit('add-measurement', { type, points });
+    } else {
+      this.localCount += 1;
+      this.local.push({ id: `local-${this.localCount}`, type, points });
+    }
+    this.rebuild();
+  }
+
+  remove(measurement) {
+    if (this.local.includes(measurement)) {
+      this.local = this.local.filter((item) => item !== measurement);
+      this.rebuild();
+    } else {
+      this.app.socket.emit('remove-measurement', { id: measurement.id });
+    }
+  }
+
+  clear() {
+    this.local = [];
+    this.pending = [];
+    if (this.app.isHost && !this.app.replayPlayer && this.shared.length > 0) {
+      this.app.socket.emit('clear-measurements');
+    }
+    this.rebuild();
+  }
+
+  // Recreate the lines and labels of every measurement, then the panel.
+  rebuild() {
+    this.visuals.forEach((visual, id) => {
+      this.group.remove(visual.line, visual.markers, visual.anchor);
+      visual.line.geometry.dispose();
+      visual.line.material.dispose();
+      visual.markers.geometry.dispose();
+      visual.markers.material.dispose();
+      this.app.labelManager.remove(`measure:${id}`);
+    });
+    this.visuals.clear();
+
+    const measurements = [...this.shared, ...this.local];
+    if (this.pending.length > 0) {
+      measurements.push({ id: 'pending', type: this.mode, points: this.pending });
+    }
+    measurements.forEach((measurement) => {
+      const count = measurement.points.length;
+      const line = new THREE.Line(
+        new THREE.BufferGeometry().setAttribute('position', new THREE.Float32BufferAttribute(count * 3, 3)),
+        new THREE.LineBasicMaterial({ color: COLOR, depthTest: false, transparent: true })
+      );
+      const markers = new THREE.Points(
+        line.geometry.clone(),
+        new THREE.PointsMaterial({ color: COLOR, size: 8, sizeAttenuation: false, depthTest: false, transparent: true })
+      );
+      line.renderOrder = 999;
+      markers.renderOrder = 999;
+      line.frustumCulled = false;
+      markers.frustumCulled = false;
+      const anchor = new THREE.Object3D();
+      this.group.add(line, markers, anchor);
+      const label = this.app.labelManager.add(`measure:${measurement.id}`, anchor, '', new THREE.Vector3(), {
+        backgroundColor: 'rgba(0, 120, 170, 0.9)'
+      });
+      this.visuals.set(measurement.id, { measurement, line, markers, anchor, label, text: '' });
+    });
+    this.update();
+    this.renderPanel();
+  }
+
+  // Move every measurement with its parts and refresh its value. Called
+  // every frame.
+  update() {
+    this.visuals.forEach((visual) => {
+      const points = this.getWorldPoints(visual.measurement);
+      const visible = points !== null;
+      visual.line.visible = visible;
+      visual.markers.visible = visible;
+      visual.anchor.visible = visible;
+      if (!visible) {
+        return;
+      }
+      [visual.line, visual.markers].forEach((object) => {
+        const attribute = object.geometry.getAttribute('position');
+        points.forEach((point, index) => attribute.setXYZ(index, point.x, point.y, point.z));
+        attribute.needsUpdate = true;
+      });
+      if (visual.measurement.type === 'angle' && points.length > 1) {
+        visual.anchor.position.copy(points[1]);
+      } else {
+        visual.anchor.position.set(0, 0, 0);
+        points.forEach((point) => visual.anchor.position.add(point));
+        visual.anchor.position.divideScalar(points.length);
+      }
+      visual.anchor.updateMatrixWorld();
+      const text = this.describe(visual.measurement.type, points);
+      if (text !== visual.text) {
+        visual.text = text;
+        visual.label.textContent = text;
+      }
+    });
+  }
+
+  // World positions of a measurement's points, or null if a part is missing.
+  getWorldPoints(measurement) {
+    const points = [];
+    for (const point of measurement.points) {
+      const part = this.app.loadedModels.get(point.part);
+      if (!part) {
+        return null;
+      }
+      points.push(part.localToWorld(new THREE.Vector3().fromArray(point.position)));
+    }
+    return points;
+  }
+
+  describe(type, points) {
+    if (type === 'angle') {
+      if (points.length < 3) {
+        return `${points.length} of 3 points`;
+      }
+      const first = points[0].clone().sub(points[1]);
+      const second = points[2].clone().sub(points[1]);
+      return `${THREE.MathUtils.radToDeg(first.angleTo(second)).toFixed(1)}°`;
+    }
+    if (points.length < 2) {
+      return '1 of 2 points';
+    }
+    const length = this.formatLength(points[0].distanceTo(points[1]));
+    return type === 'edge' ? `Edge ${length}` : length;
+  }
+
+  // A length in scene units, in the chosen unit.
+  formatLength(sceneLength) {
+    const unit = UNITS[this.unit];
+    return `${(sceneLength * this.unitScale * unit.perMillimetre).toFixed(unit.digits)} ${this.unit}`;
+  }
+
+  renderPanel() {
+    if (!this.mode) {
+      return;
+    }
+    this.panel.innerHTML = '';
+
+    const title = document.createElement('strong');
+    title.textContent = 'Measure';
+    title.style.display = 'block';
+    title.style.marginBottom = '8px';
+    this.panel.appendChild(title);
+
+    const typeSelect = createSelect(Object.entries(MODE_LABELS), this.mode);
+    typeSelect.addEventListener('change', () => this.setType(typeSelect.value));
+    this.panel.appendChild(labelled('Measure', typeSelect));
+
+    const unitSelect = createSelect([['mm', 'mm'], ['in', 'in']], this.unit);
+    unitSelect.addEventListener('change', () => this.setUnit(unitSelect.value));
+    this.panel.appendChild(labelled('Units', unitSelect));
+
+    // Only the host sets the scale; it is saved with the product.
+    const scaleInput = document.createElement('input');
+    scaleInput.type = 'number';
+    scaleInput.min = '0.000001';
+    scaleInput.step = 'any';
+    scaleInput.value = String(this.unitScale);
+    scaleInput.disabled = !this.app.isHost || !!this.app.replayPlayer;
+    scaleInput.style.width = '90px';
+    scaleInput.addEventListener('change', () => {
+      const scale = parseFloat(scaleInput.value);
+      if (scale > 0) {
+        this.app.socket.emit('set-unit-scale', { scale });
+      } else {
+        scaleInput.value = String(this.unitScale);
+      }
+    });
+    this.panel.appendChild(labelled('1 model unit in mm', scaleInput));
+
+    const hint = document.createElement('div');
+    hint.style.fontSize = '12px';
+    hint.style.color = '#666';
+    hint.style.margin = '6px 0';
+    hint.textContent = this.mode === 'edge'
+      ? 'Click a part near the edge to measure.'
+      : `Click ${POINT_COUNTS[this.mode]} points on the parts. Esc starts over.`;
+    this.panel.appendChild(hint);
+
+    [...this.shared, ...this.local].forEach((measurement) => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.justifyContent = 'space-between';
+      row.style.alignItems = 'center';
+      row.style.padding = '4px 0';
+      row.style.borderTop = '1px solid #eee';
+      const value = document.createElement('span');
+      const visual = this.visuals.get(measurement.id);
+      value.textContent = `${MODE_LABELS[measurement.type]}: ${visual ? visual.text : ''}`;
+      if (this.local.includes(measurement)) {
+        value.textContent += ' (only you)';
+      }
+      row.appendChild(value);
+      if (this.local.includes(measurement) || (this.app.isHost && !this.app.replayPlayer)) {
+        const removeButton = createButton('Remove');
+        removeButton.addEventListener('click', () => this.remove(measurement));
+        row.appendChild(removeButton);
+      }
+      this.panel.appendChild(row);
+    });
+
+    const clearButton = createButton('Clear all');
+    clearButton.style.marginTop = '6px';
+    clearButton.addEventListener('click', () => this.clear());
+    this.panel.appendChild(clearButton);
+  }
+}
+
+function toPartPoint(part, worldPoint) {
+  return { part: part.name, position: part.worldToLocal(worldPoint.clone()).toArray() };
+}
+
+// The world-space ends of the edge of the clicked triangle nearest the hit.
+function findNearestEdge(hit) {
+  if (!hit.face || !hit.object.isMesh) {
+    return null;
+  }
+  const corners = [hit.face.a, hit.face.b, hit.face.c]
+    .map((index) => hit.object.localToWorld(hit.object.getVertexPosition(index, new THREE.Vector3())));
+  const edge = new THREE.Line3();
+  const closest = new THREE.Vector3();
+  let nearest = null;
+  let nearestDistance = Infinity;
+  corners.forEach((corner, index) => {
+    edge.set(corner, corners[(index + 1) % 3]);
+    const distance = edge.closestPointToPoint(hit.point, true, closest).distanceTo(hit.point);
+    if (distance < nearestDistance) {
+      nearestDistance = distance;
+      nearest = [edge.start.clone(), edge.end.clone()];
+    }
+  });
+  return nearest;
+}
@@ -0,0 +1,287 @@
+import * as THREE from 'three';
+import { createPanel } from './panelUi.js';
+
+// Outliner: a collapsible tree of the loaded parts and the glTF nodes inside
+// each one, with their mesh and material names. Clicking a row selects it and
+// outlines it in the viewport (for this user only); the parts selected for
+// isolate and X-ray are outlined for everyone. Each row can focus the camera
+// on its node, and the host can hide it, give it a display label and return
+// a part to its home pose.
+//
+// Nodes are identified by their path of child indices from the part
+// container, e.g. "0.2.1", which is the same on every client.
+
+const SELECTION_COLOR = 0xd00024;
+const SHARED_SELECTION_COLOR = 0xffb300;
+
+export class Outliner {
+  constructor(app) {
+    this.app = app;
+    // Display labels set by the host: [{ part, node?, label }]
+    this.labels = [];
+    // Rows shown expanded, by `${part}/${node}` key.
+    this.expanded = new Set();
+    // The row selected here: { part, node } with node null for a whole part.
+    this.selection = null;
+    // Row whose label is being edited, by key.
+    this.editing = null;
+    // Box outlines in the viewport, by key.
+    this.highlights = new Map();
+
+    this.panel = createPanel({ top: '60px', left: '10px', width: '340px', maxHeight: 'calc(100% - 80px)' });
+  }
+
+  toggle() {
+    this.panel.style.display = this.panel.style.display === 'none' ? 'block' : 'none';
+    this.render();
+  }
+
+  hide() {
+    this.panel.style.display = 'none';
+  }
+
+  setLabels(labels) {
+    this.labels = labels || [];
+    this.render();
+    this.app.partVisibility.renderPanel();
+  }
+
+  // The host's label for a part or node, or `fallback` when it has none.
+  getLabel(part, node = null, fallback = part) {
+    const entry = this.labels.find((item) => item.part === part && (item.node || null) === node);
+    return entry ? entry.label : fallback;
+  }
+
+  // The parts or their visibility changed.
+  refresh() {
+    if (this.selection && !this.app.loadedModels.has(this.selection.part)) {
+      this.selection = null;
+    }
+    this.updateHighlights();
+    this.render();
+    this.app.materialEditor.render();
+  }
+
+  select(part, node = null) {
+    const selected = this.selection && this.selection.part === part && this.selection.node === node;
+    this.selection = selected ? null : { part, node };
+    this.updateHighlights();
+    this.render();
+    this.app.materialEditor.render();
+  }
+
+  getObject(part, node) {
+    const container = this.app.loadedModels.get(part);
+    if (!container) {
+      return null;
+    }
+    return node ? findNode(container, node) : container;
+  }
+
+  // Outline the selected row and the parts selected for everyone.
+  updateHighlights() {
+    const wanted = new Map();
+    this.app.partVisibility.selected.forEach((part) => {
+      wanted.set(`${part}/`, { object: this.getObject(part, null), color: SHARED_SELECTION_COLOR });
+    });
+    if (this.selection) {
+      const { part, node } = this.selection;
+      wanted.set(`${part}/${node || ''}`, { object: this.getObject(part, node), color: SELECTION_COLOR });
+    }
+    this.highlights.forEach((helper, key) => {
+      const entry = wanted.get(key);
+      if (!entry || entry.object !== helper.object) {
+        this.app.scene.remove(helper);
+        helper.dispose();
+        this.highlights.delete(key);
+      }
+    });
+    wanted.forEach(({ object, color }, key) => {
+      if (!object) return;
+      let helper = this.highlights.get(key);
+      if (!helper) {
+        helper = new THREE.BoxHelper(object);
+        this.app.scene.add(helper);
+        this.highlights.set(key, helper);
+      }
+      helper.material.color.setHex(color);
+    });
+  }
+
+  // Keep the outlines on their moving parts. Called every frame.
+  update() {
+    this.highlights.forEach((helper) => {
+      helper.visible = this.app.isShown(helper.object);
+      if (helper.visible) {
+        helper.update();
+      }
+    });
+  }
+
+  startRename(key) {
+    this.editing = key;
+    this.render();
+    if (this.labelInput) {
+      this.labelInput.focus();
+      this.labelInput.select();
+    }
+  }
+
+  finishRename(part, node, value) {
+    this.editing = null;
+    this.labelInput = null;
+    if (value !== null) {
+      this.app.socket.emit('set-label', node ? { part, node, label: value } : { part, label: value });
+    }
+    this.render();
+  }
+
+  render() {
+    if (this.panel.style.display === 'none') {
+      return;
+    }
+    // Keep a label being typed.
+    if (this.labelInput && document.activeElement === this.labelInput) {
+      return;
+    }
+    this.labelInput = null;
+    this.panel.innerHTML = '';
+
+    const title = document.createElement('strong');
+    title.textContent = 'Outliner';
+    title.style.display = 'block';
+    title.style.marginBottom = '8px';
+    this.panel.appendChild(title);
+
+    if (this.app.loadedModels.size === 0) {
+      const empty = document.createElement('div');
+      empty.textContent = 'No parts loaded.';
+      empty.style.color = '#999';
+      this.panel.appendChild(empty);
+    }
+    this.app.loadedModels.forEach((container, part) => {
+      this.renderRow(part, null, container, 0);
+    });
+  }
+
+  // A row for a part (node null) or one of its nodes, then its children when
+  // expanded.
+  renderRow(part, node, object, depth) {
+    const key = `${part}/${node || ''}`;
+    // A part's glTF scene is listed straight under the part.
+    const scene = node ? object : object.children[0];
+    const children = scene ? scene.children : [];
+    const childPath = node || '0';
+    const isHost = this.app.isHost && !this.app.replayPlayer;
+    const visibility = this.app.partVisibility;
+    const hidden = node ? visibility.isNodeHidden(part, node) : visibility.hidden.has(part);
+    const selected = this.selection && this.selection.part === part && this.selection.node === node;
+
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '4px';
+    row.style.padding = `2px 4px 2px ${4 + depth * 14}px`;
+    row.style.borderRadius = '4px';
+    row.style.fontSize = '12px';
+    row.style.backgroundColor = selected ? '#fde3e7' : '';
+    row.style.opacity = hidden ? '0.5' : '1';
+
+    const expander = document.createElement('span');
+    expander.textContent = children.length > 0 ? (this.expanded.has(key) ? '▾' : '▸') : '';
+    expander.style.width = '12px';
+    expander.style.cursor = 'pointer';
+    expander.addEventListener('click', () => {
+      if (this.expanded.has(key)) {
+        this.expanded.delete(key);
+      } else {
+        this.expanded.add(key);
+      }
+      this.render();
+    });
+    row.appendChild(expander);
+
+    const fallback = node ? object.name || object.type : part;
+    if (this.editing === key) {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.maxLength = 100;
+      input.value = this.getLabel(part, node, fallback);
+      input.placeholder = fallback;
+      input.style.flex = '1';
+      input.style.minWidth = '0';
+      input.style.fontSize = '12px';
+      let done = false;
+      const finish = (value) => {
+        if (done) return;
+        done = true;
+        this.finishRename(part, node, value);
+      };
+      input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+          finish(input.value.trim());
+        } else if (event.key === 'Escape') {
+          finish(null);
+        }
+      });
+      input.addEventListener('blur', () => finish(input.value.trim()));
+      this.labelInput = input;
+      row.appendChild(input);
+    } else {
+      const label = document.createElement('span');
+      label.style.flex = '1';
+      label.style.minWidth = '0';
+      label.style.overflow = 'hidden';
+      label.style.textOverflow = 'ellipsis';
+      label.style.whiteSpace = 'nowrap';
+      label.style.cursor = 'pointer';
+      label.style.fontWeight = node ? 'normal' : 'bold';
+      label.textContent = this.getLabel(part, node, fallback);
+      label.title = fallback;
+      if (object.isMesh) {
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        const details = document.createElement('span');
+        details.textContent = ` ${materials.map((material) => material.name || material.type).join(', ')}`;
+        details.style.color = '#999';
+        label.appendChild(details);
+      }
+      label.addEventListener('click', () => this.select(part, node));
+      row.appendChild(label);
+    }
+
+    const actions = [['Focus', () => this.app.focusObject(object)]];
+    if (isHost) {
+      actions.push([hidden ? 'Show' : 'Hide', () => (node
+        ? visibility.setNodeHidden(part, node, !hidden)
+        : visibility.setHidden(part, !hidden))]);
+      actions.push(['Rename', () => this.startRename(key)]);
+      if (!node) {
+        actions.push(['Home', () => this.app.returnPartHome(object)]);
+      }
+    }
+    actions.forEach(([text, onClick]) => {
+      const button = document.createElement('button');
+      button.textContent = text;
+      button.style.padding = '0 4px';
+      button.style.border = 'none';
+      button.style.background = 'none';
+      button.style.color = '#d00024';
+      button.style.fontSize = '11px';
+      button.style.cursor = 'pointer';
+      button.addEventListener('click', onClick);
+      row.appendChild(button);
+    });
+    this.panel.appendChild(row);
+
+    if (this.expanded.has(key)) {
+      children.forEach((child, index) => {
+        this.renderRow(part, `${childPath}.${index}`, child, depth + 1);
+      });
+    }
+  }
+}
+
+// The node at `path` (child indices joined by dots) under a part container.
+export function findNode(container, path) {
+  return path.split('.').reduce((node, index) => (node ? node.children[Number(index)] : null), container) || null;
+}
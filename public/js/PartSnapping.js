@@ -0,0 +1,99 @@
+import * as THREE from 'three';
+
+// Home poses and snapping. Each part's transform as loaded is its home pose,
+// where Reset and "Return home" put it back. With the magnet on, a part let go
+// near its home pose snaps into it, and with a grid set, dragged parts move
+// in steps of the grid measured from their home. Both are settings of this
+// user; the snapped result is sent like any other move.
+
+// How close a part must be let go to snap home: a fraction of its size, and
+// an angle.
+const MAGNET_DISTANCE = 0.1;
+const MAGNET_ANGLE = THREE.MathUtils.degToRad(15);
+// Grid steps offered, in millimetres (0 for none).
+export const GRID_STEPS = [0, 1, 5, 10, 50];
+
+export class PartSnapping {
+  constructor(app) {
+    this.app = app;
+    // Home transforms by part name: { position, quaternion, scale }
+    this.homes = new Map();
+    // Off until the user turns it on, so drags behave as they always have.
+    this.magnet = false;
+    this.gridStep = 0;
+    this.renderControls();
+  }
+
+  // Remember where a part was loaded.
+  captureHome(part) {
+    this.homes.set(part.name, {
+      position: part.position.clone(),
+      quaternion: part.quaternion.clone(),
+      scale: part.scale.clone()
+    });
+  }
+
+  clearHomes() {
+    this.homes.clear();
+  }
+
+  // Put a part in its home pose; returns false when it has none.
+  applyHome(part) {
+    const home = this.homes.get(part.name);
+    if (!home) {
+      return false;
+    }
+    part.position.copy(home.position);
+    part.quaternion.copy(home.quaternion);
+    part.scale.copy(home.scale);
+    return true;
+  }
+
+  // Snap a part let go near its home pose into it. Returns whether it moved.
+  snapHome(part) {
+    const home = this.homes.get(part.name);
+    if (!this.magnet || !home || !part.parent) {
+      return false;
+    }
+    const size = new THREE.Box3().setFromObject(part).getSize(new THREE.Vector3()).length();
+    part.parent.updateMatrixWorld();
+    const position = part.parent.localToWorld(part.position.clone());
+    const homePosition = part.parent.localToWorld(home.position.clone());
+    const near = position.distanceTo(homePosition) <= size * MAGNET_DISTANCE &&
+      part.quaternion.angleTo(home.quaternion) <= MAGNET_ANGLE;
+    return near && this.applyHome(part);
+  }
+
+  // Keep a dragged part on the grid, counted from its home position.
+  snapToGrid(part) {
+    const home = this.homes.get(part.name);
+    if (!this.gridStep || !home) {
+      return;
+    }
+    const step = this.gridStep / this.app.measureTool.unitScale;
+    ['x', 'y', 'z'].forEach((axis) => {
+      part.position[axis] = home.position[axis] + Math.round((part.position[axis] - home.position[axis]) / step) * step;
+    });
+  }
+
+  setMagnet(magnet) {
+    this.magnet = magnet;
+    this.renderControls();
+  }
+
+  setGridStep(step) {
+    this.gridStep = GRID_STEPS.includes(step) ? step : 0;
+    this.renderControls();
+  }
+
+  // Show the settings on the toolbar's Magnet button and grid menu.
+  renderControls() {
+    const toggleUI = this.app.toggleUI;
+    if (!toggleUI || !toggleUI.magnetButton) {
+      return;
+    }
+    toggleUI.magnetButton.style.backgroundColor = this.magnet ? '#ffffff' : '#d00024';
+    toggleUI.magnetButton.style.color = this.magnet ? '#d00024' : '#ffffff';
+    toggleUI.gridSelect.value = String(this.gridStep);
+  }
+}
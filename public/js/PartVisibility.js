@@ -0,0 +1,295 @@
+import { findNode } from './Outliner.js';
+import { createPanel, createButton } from './panelUi.js';
+
+// Which parts are shown. The host can hide parts (or single nodes of a part,
+// from the outliner), isolate the selected ones (hiding the rest) or turn on
+// X-ray, which turns the parts not selected into see-through ghosts. Driven
+// from the parts panel and from right-clicking a part; the host's state is
+// synced to viewers and cleared by Reset.
+
+const GHOST_OPACITY = 0.15;
+
+export class PartVisibility {
+  constructor(app) {
+    this.app = app;
+    this.hidden = new Set();
+    // Hidden nodes inside parts: [{ part, node }]
+    this.hiddenNodes = [];
+    this.selected = new Set();
+    this.xray = false;
+    // Nodes hidden by the last refresh, to show again when no longer hidden.
+    this.hiddenNodeObjects = [];
+
+    this.panel = createPanel({ top: '60px', right: '10px', width: '260px', maxHeight: 'calc(100% - 80px)' });
+
+    // Right-click menu for a part.
+    this.menu = document.createElement('div');
+    this.menu.style.position = 'fixed';
+    this.menu.style.display = 'none';
+    this.menu.style.flexDirection = 'column';
+    this.menu.style.padding = '4px 0';
+    this.menu.style.borderRadius = '4px';
+    this.menu.style.backgroundColor = 'white';
+    this.menu.style.boxShadow = '0 2px 8px rgba(0,0,0,0.3)';
+    this.menu.style.fontFamily = 'sans-serif';
+    this.menu.style.fontSize = '13px';
+    this.menu.style.zIndex = '1001';
+    document.body.appendChild(this.menu);
+    window.addEventListener('pointerdown', (event) => {
+      if (!this.menu.contains(event.target)) {
+        this.hideMenu();
+      }
+    });
+  }
+
+  toggle() {
+    this.panel.style.display = this.panel.style.display === 'none' ? 'block' : 'none';
+    this.renderPanel();
+  }
+
+  hide() {
+    this.panel.style.display = 'none';
+    this.hideMenu();
+  }
+
+  getState() {
+    return {
+      hidden: Array.from(this.hidden),
+      hiddenNodes: this.hiddenNodes,
+      selected: Array.from(this.selected),
+      xray: this.xray
+    };
+  }
+
+  // Show the room's visibility state.
+  setState(state) {
+    this.hidden = new Set(state ? state.hidden : []);
+    this.hiddenNodes = (state && state.hiddenNodes) || [];
+    this.selected = new Set(state ? state.selected : []);
+    this.xray = !!(state && state.xray);
+    this.refresh();
+  }
+
+  // Change the state here and for everyone. Host only.
+  change({ hidden = this.hidden, hiddenNodes = this.hiddenNodes, selected = this.selected, xray = this.xray }) {
+    const before = this.getState();
+    this.setState({ hidden: Array.from(hidden), hiddenNodes, selected: Array.from(selected), xray });
+    this.app.socket.emit('set-visibility', this.getState());
+    this.app.history.recordVisibility(before, this.getState());
+  }
+
+  setHidden(name, hidden) {
+    const names = new Set(this.hidden);
+    if (hidden) {
+      names.add(name);
+    } else {
+      names.delete(name);
+    }
+    this.change({ hidden: names });
+  }
+
+  isNodeHidden(part, node) {
+    return this.hiddenNodes.some((item) => item.part === part && item.node === node);
+  }
+
+  setNodeHidden(part, node, hidden) {
+    const hiddenNodes = this.hiddenNodes.filter((item) => item.part !== part || item.node !== node);
+    if (hidden) {
+      hiddenNodes.push({ part, node });
+    }
+    this.change({ hiddenNodes });
+  }
+
+  toggleSelected(name) {
+    const names = new Set(this.selected);
+    if (names.has(name)) {
+      names.delete(name);
+    } else {
+      names.add(name);
+    }
+    this.change({ selected: names });
+  }
+
+  // Hide every part that is not selected.
+  isolate(names = this.selected) {
+    const hidden = Array.from(this.app.loadedModels.keys()).filter((name) => !names.has(name));
+    this.change({ hidden, selected: names });
+  }
+
+  showAll() {
+    this.change({ hidden: [], hiddenNodes: [], xray: false });
+  }
+
+  // Show or hide the parts and ghost the ones X-ray leaves out. Called
+  // whenever the state or the loaded parts change.
+  refresh() {
+    const sequence = this.app.assemblySequence;
+    const ghosting = this.xray && this.selected.size > 0;
+    this.app.loadedModels.forEach((part, name) => {
+      part.visible = !this.hidden.has(name) && (!sequence || sequence.showsPart(name));
+      setGhost(part, ghosting && !this.selected.has(name));
+    });
+    this.hiddenNodeObjects.forEach((object) => {
+      object.visible = true;
+    });
+    this.hiddenNodeObjects = this.hiddenNodes
+      .map((item) => this.app.loadedModels.has(item.part) && findNode(this.app.loadedModels.get(item.part), item.node))
+      .filter(Boolean);
+    this.hiddenNodeObjects.forEach((object) => {
+      object.visible = false;
+    });
+    // Hidden parts can't be dragged.
+    this.app.updateDragControls();
+    this.renderPanel();
+    this.app.outliner.refresh();
+  }
+
+  // Put the solid materials back on every part, for a caller about to swap
+  // them; the next refresh ghosts them again.
+  clearGhosts() {
+    this.app.loadedModels.forEach((part) => setGhost(part, false));
+  }
+
+  // Right-click on a part: offer what can be done to it. Host only.
+  showMenu(event, part) {
+    const name = part.name;
+    const items = [
+      ['Hide', () => this.setHidden(name, true)],
+      ['Isolate', () => this.isolate(new Set([name]))],
+      [this.selected.has(name) ? 'Deselect' : 'Select', () => this.toggleSelected(name)],
+      ['X-ray others', () => this.change({ selected: [name], xray: true })],
+      ['Return home', () => this.app.returnPartHome(part)]
+    ];
+    if (this.hidden.size > 0 || this.hiddenNodes.length > 0 || this.xray) {
+      items.push(['Show all', () => this.showAll()]);
+    }
+    this.menu.innerHTML = '';
+    items.forEach(([text, onClick]) => {
+      const item = document.createElement('div');
+      item.textContent = text;
+      item.style.padding = '4px 16px';
+      item.style.cursor = 'pointer';
+      item.addEventListener('mouseover', () => {
+        item.style.backgroundColor = '#eee';
+      });
+      item.addEventListener('mouseout', () => {
+        item.style.backgroundColor = '';
+      });
+      item.addEventListener('click', () => {
+        this.hideMenu();
+        onClick();
+      });
+      this.menu.appendChild(item);
+    });
+    this.menu.style.left = `${event.clientX}px`;
+    this.menu.style.top = `${event.clientY}px`;
+    this.menu.style.display = 'flex';
+  }
+
+  hideMenu() {
+    this.menu.style.display = 'none';
+  }
+
+  renderPanel() {
+    if (this.panel.style.display === 'none') {
+      return;
+    }
+    this.panel.innerHTML = '';
+
+    const title = document.createElement('strong');
+    title.textContent = 'Parts';
+    title.style.display = 'block';
+    title.style.marginBottom = '8px';
+    this.panel.appendChild(title);
+
+    if (this.app.loadedModels.size === 0) {
+      const empty = document.createElement('div');
+      empty.textContent = 'No parts loaded.';
+      empty.style.color = '#999';
+      this.panel.appendChild(empty);
+    }
+    this.app.loadedModels.forEach((part, name) => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.gap = '6px';
+      row.style.padding = '2px 4px';
+      row.style.borderRadius = '4px';
+      row.style.backgroundColor = this.selected.has(name) ? '#fde3e7' : '';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.title = 'Shown';
+      checkbox.checked = !this.hidden.has(name);
+      checkbox.addEventListener('change', () => this.setHidden(name, !checkbox.checked));
+
+      const label = document.createElement('span');
+      label.textContent = this.app.outliner.getLabel(name);
+      label.title = 'Select';
+      label.style.flex = '1';
+      label.style.cursor = 'pointer';
+      label.style.fontSize = '12px';
+      label.addEventListener('click', () => this.toggleSelected(name));
+
+      row.appendChild(checkbox);
+      row.appendChild(label);
+      this.panel.appendChild(row);
+    });
+
+    const actions = document.createElement('div');
+    actions.style.display = 'flex';
+    actions.style.flexWrap = 'wrap';
+    actions.style.gap = '4px';
+    actions.style.marginTop = '8px';
+
+    const isolateButton = createButton('Isolate selected');
+    isolateButton.disabled = this.selected.size === 0;
+    isolateButton.addEventListener('click', () => this.isolate());
+
+    const xrayButton = createButton(this.xray ? 'X-ray off' : 'X-ray');
+    xrayButton.disabled = !this.xray && this.selected.size === 0;
+    xrayButton.title = 'Show the parts not selected as see-through ghosts';
+    xrayButton.addEventListener('click', () => this.change({ xray: !this.xray }));
+
+    const showAllButton = createButton('Show all');
+    showAllButton.addEventListener('click', () => this.showAll());
+
+    actions.appendChild(isolateButton);
+    actions.appendChild(xrayButton);
+    actions.appendChild(showAllButton);
+    this.panel.appendChild(actions);
+  }
+}
+
+// Swap a part's materials for see-through copies, or put the originals back.
+function setGhost(part, ghost) {
+  part.traverse((object) => {
+    if (!object.isMesh) return;
+    if (ghost && !object.userData.solidMaterial) {
+      object.userData.solidMaterial = object.material;
+      object.material = Array.isArray(object.material)
+        ? object.material.map(ghostMaterial)
+        : ghostMaterial(object.material);
+    } else if (!ghost && object.userData.solidMaterial) {
+      const ghosts = Array.isArray(object.material) ? object.material : [object.material];
+      const solids = Array.isArray(object.userData.solidMaterial) ? object.userData.solidMaterial : [object.userData.solidMaterial];
+      // Keep section planes set while the part was a ghost.
+      ghosts.forEach((material, index) => {
+        solids[index].clippingPlanes = material.clippingPlanes;
+        material.dispose();
+      });
+      object.material = object.userData.solidMaterial;
+      delete object.userData.solidMaterial;
+    }
+  });
+}
+
+function ghostMaterial(material) {
+  const ghost = material.clone();
+  ghost.transparent = true;
+  ghost.opacity = GHOST_OPACITY;
+  // Follow the section planes rather than a copy of them.
+  ghost.clippingPlanes = material.clippingPlanes;
+  ghost.depthWrite = false;
+  return ghost;
+}
@@ -0,0 +1,409 @@
+import { createButton } from './panelUi.js';
+
+// Plays back a recorded review session in the viewer. The recording is the
+// room's scene at the start plus the host's timestamped scene events; seeking
+// rebuilds the scene at the chosen time from them, and playing feeds the
+// events to the app as if they came from a live host.
+
+const SPEEDS = [0.5, 1, 2, 4];
+
+export class ReplayPlayer {
+  constructor(app, recording) {
+    this.app = app;
+    this.snapshot = recording.header.snapshot;
+    this.events = recording.events;
+    this.duration = recording.duration;
+    // Playback position in recording milliseconds.
+    this.time = 0;
+    this.speed = 1;
+    this.playing = false;
+    // Set while parts load; the clock waits for them.
+    this.busy = false;
+    // Index of the next event to play.
+    this.nextEvent = 0;
+    this.lastFrameAt = null;
+    this.seq = 0;
+    // Only the latest of overlapping seeks (e.g. while dragging the slider) applies.
+    this.seekCount = 0;
+    this.createControls(recording.header);
+  }
+
+  // Fetch and parse a recording: a header line, event lines and an end line
+  // (missing while the recording is still running).
+  static async load(id) {
+    const response = await fetch(`/recordings/${encodeURIComponent(id)}`);
+    if (!response.ok) {
+      throw new Error(response.status === 404 ? 'Recording not found' : response.statusText);
+    }
+    const lines = (await response.text()).split('\n').filter((line) => line.trim());
+    let header = null;
+    let duration = null;
+    const events = [];
+    lines.forEach((line) => {
+      const entry = JSON.parse(line);
+      if (entry.type === 'header') {
+        header = entry;
+      } else if (entry.type === 'end') {
+        duration = entry.duration;
+      } else {
+        events.push(entry);
+      }
+    });
+    if (!header) {
+      throw new Error('Recording is empty');
+    }
+    if (duration === null) {
+      duration = events.length > 0 ? events[events.length - 1].t : 0;
+    }
+    return { id, header, events, duration };
+  }
+
+  // --- Controls ---
+  createControls(header) {
+    const bar = document.createElement('div');
+    bar.style.position = 'fixed';
+    bar.style.bottom = '20px';
+    bar.style.left = '50%';
+    bar.style.transform = 'translateX(-50%)';
+    bar.style.zIndex = '1000';
+    bar.style.display = 'flex';
+    bar.style.alignItems = 'center';
+    bar.style.gap = '10px';
+    bar.style.padding = '8px 16px';
+    bar.style.borderRadius = '9999px';
+    bar.style.backgroundColor = 'white';
+    bar.style.boxShadow = '0 2px 8px rgba(0,0,0,0.2)';
+    bar.style.fontFamily = 'sans-serif';
+    bar.style.fontSize = '14px';
+
+    const title = document.createElement('span');
+    title.textContent = `Replay of ${header.room}, ${new Date(header.startedAt).toLocaleString()}`;
+    title.style.whiteSpace = 'nowrap';
+
+    const playButton = createBarButton('Play');
+    playButton.addEventListener('click', () => (this.playing ? this.pause() : this.play()));
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = '0';
+    slider.max = String(this.duration);
+    slider.step = '100';
+    slider.value = '0';
+    slider.style.width = '240px';
+    slider.addEventListener('input', () => this.seek(Number(slider.value)));
+
+    const timeLabel = document.createElement('span');
+    timeLabel.style.fontVariantNumeric = 'tabular-nums';
+    timeLabel.style.whiteSpace = 'nowrap';
+
+    const speedSelect = document.createElement('select');
+    SPEEDS.forEach((speed) => {
+      const option = document.createElement('option');
+      option.value = String(speed);
+      option.textContent = `${speed}×`;
+      speedSelect.appendChild(option);
+    });
+    speedSelect.value = '1';
+    speedSelect.addEventListener('change', () => {
+      this.speed = Number(speedSelect.value);
+    });
+
+    const exitButton = createBarButton('Exit replay');
+    exitButton.style.backgroundColor = '#999';
+    exitButton.addEventListener('click', () => this.app.stopReplay());
+
+    bar.appendChild(title);
+    bar.appendChild(playButton);
+    bar.appendChild(slider);
+    bar.appendChild(timeLabel);
+    bar.appendChild(speedSelect);
+    bar.appendChild(exitButton);
+    document.body.appendChild(bar);
+    this.controls = { bar, playButton, slider, timeLabel };
+    this.updateControls();
+  }
+
+  updateControls() {
+    const { playButton, slider, timeLabel } = this.controls;
+    playButton.textContent = this.playing ? 'Pause' : 'Play';
+    slider.value = String(this.time);
+    timeLabel.textContent = `${formatTime(this.time)} / ${formatTime(this.duration)}`;
+  }
+
+  dispose() {
+    this.playing = false;
+    this.controls.bar.remove();
+  }
+
+  // --- Playback ---
+  play() {
+    if (this.time >= this.duration) {
+      this.seek(0);
+    }
+    this.playing = true;
+    this.lastFrameAt = null;
+    this.updateControls();
+  }
+
+  pause() {
+    this.playing = false;
+    this.updateControls();
+  }
+
+  // Jump to `time`: rebuild the scene as it was then.
+  async seek(time) {
+    this.time = Math.max(0, Math.min(this.duration, time));
+    this.nextEvent = this.events.findIndex((entry) => entry.t > this.time);
+    if (this.nextEvent === -1) {
+      this.nextEvent = this.events.length;
+    }
+    this.updateControls();
+    const state = this.stateAt(this.nextEvent);
+    const seekId = ++this.seekCount;
+    this.busy = true;
+    try {
+      await this.showParts(state.parts);
+      if (seekId !== this.seekCount) {
+        return;
+      }
+      this.app.interpolator.clear();
+      // Stop any step being played first, so putting its parts back does not
+      // undo the transforms below.
+      this.app.assemblySequence.setPlayingStep(-1);
+      this.app.resetPartTransforms();
+      Object.values(state.transforms).forEach((modelState) => this.app.applyModelTransform(modelState));
+      if (state.camera) {
+        this.app.applyCameraState(state.camera);
+      }
+      this.app.setViewerPointerActive(state.pointer.active);
+      if (state.pointer.active && state.pointer.position) {
+        this.app.viewerPointer.position.fromArray(state.pointer.position);
+      }
+      this.app.setAnnotations(state.annotations);
+      this.app.sectionTool.setState(state.section);
+      this.app.explodeView.setDirections(state.explodeDirections);
+      this.app.explodeView.setFactor(state.explode ? state.explode.factor : 0, { animate: false });
+      this.app.measureTool.setShared(state.measurements.measurements, state.measurements.unitScale);
+      this.app.outliner.setLabels(state.labels);
+      this.app.partVisibility.setState(state.visibility);
+      this.app.materialVariants.setState(state.materials);
+      this.app.assemblySequence.setSteps(state.sequence);
+      this.app.assemblySequence.setPlayingStep(state.sequenceStep);
+    } finally {
+      if (seekId === this.seekCount) {
+        this.busy = false;
+        this.lastFrameAt = null;
+      }
+    }
+  }
+
+  // The scene after the first `count` events.
+  stateAt(count) {
+    const state = {
+      parts: this.snapshot.parts,
+      transforms: { ...this.snapshot.transforms },
+      camera: this.snapshot.camera,
+      section: this.snapshot.section,
+      explode: this.snapshot.explode,
+      explodeDirections: this.snapshot.explodeDirections,
+      pointer: { ...this.snapshot.pointer },
+      annotations: this.snapshot.annotations || [],
+      measurements: { measurements: this.snapshot.measurements, unitScale: this.snapshot.unitScale },
+      visibility: this.snapshot.visibility,
+      labels: this.snapshot.labels || [],
+      materials: this.snapshot.materials,
+      sequence: this.snapshot.sequence || [],
+      sequenceStep: this.snapshot.sequenceStep === null || this.snapshot.sequenceStep === undefined ? -1 : this.snapshot.sequenceStep
+    };
+    this.events.slice(0, count).forEach(({ event, data }) => {
+      switch (event) {
+        case 'product-upload-complete':
+          state.parts = data.parts;
+          state.transforms = {};
+          break;
+        case 'models-cleared':
+          state.parts = [];
+          state.transforms = {};
+          break;
+        case 'reset-all':
+          state.transforms = {};
+          break;
+        case 'model-transform':
+          state.transforms[data.customId] = data;
+          break;
+        case 'camera-update':
+          state.camera = data;
+          break;
+        case 'section-update':
+          state.section = data;
+          break;
+        case 'explode-update':
+          state.explode = data;
+          break;
+        case 'explode-directions':
+          state.explodeDirections = data.directions;
+          break;
+        case 'host-pointer-toggle':
+          state.pointer = { active: data.active, position: null };
+          break;
+        case 'host-pointer-update':
+          state.pointer.position = data.position;
+          break;
+        case 'annotations':
+          state.annotations = data.annotations;
+          break;
+        case 'measurements':
+          state.measurements = data;
+          break;
+        case 'visibility':
+          state.visibility = data;
+          break;
+        case 'labels':
+          state.labels = data.labels;
+          break;
+        case 'materials':
+          state.materials = data;
+          break;
+        case 'sequence':
+          state.sequence = data.steps;
+          break;
+        case 'sequence-step':
+          state.sequenceStep = data.index;
+          break;
+        default:
+          break;
+      }
+    });
+    return state;
+  }
+
+  // Load `parts` unless they are already what is shown.
+  async showParts(parts) {
+    const loaded = this.app.loadedModels;
+    if (parts.length === loaded.size && parts.every((part) => loaded.has(part.name))) {
+      return;
+    }
+    this.app.clearExistingModels();
+    if (parts.length === 0) {
+      return;
+    }
+    this.app.showUploadOverlay();
+    try {
+      await Promise.all(parts.map((part) => this.app.loadModel(part.url, part.name)));
+    } catch (error) {
+      console.error("Error loading replay parts:", error);
+    }
+    this.app.hideUploadOverlay();
+  }
+
+  // Advance playback and play the events that are due. Called every frame.
+  update() {
+    if (!this.playing || this.busy) {
+      return;
+    }
+    const now = performance.now();
+    if (this.lastFrameAt !== null) {
+      this.time = Math.min(this.duration, this.time + (now - this.lastFrameAt) * this.speed);
+    }
+    this.lastFrameAt = now;
+    while (this.nextEvent < this.events.length && this.events[this.nextEvent].t <= this.time && !this.busy) {
+      this.playEvent(this.events[this.nextEvent]);
+      this.nextEvent++;
+    }
+    if (this.time >= this.duration && this.nextEvent >= this.events.length) {
+      this.playing = false;
+    }
+    this.updateControls();
+  }
+
+  playEvent({ t, event, data }) {
+    const app = this.app;
+    switch (event) {
+      case 'product-upload-complete':
+        // Hold the clock while the new product loads.
+        this.busy = true;
+        this.showParts(data.parts).finally(() => {
+          this.busy = false;
+          this.lastFrameAt = null;
+        });
+        break;
+      case 'models-cleared':
+        app.clearExistingModels();
+        break;
+      case 'reset-all':
+        app.interpolator.clear();
+        app.resetPartTransforms();
+        app.fitCameraToScene();
+        break;
+      case 'model-transform':
+        app.queueRemoteState(`part:${data.customId}`, this.restamp(data, t));
+        break;
+      case 'camera-update':
+        app.queueRemoteState('camera', this.restamp(data, t));
+        break;
+      case 'section-update':
+        app.sectionTool.setState(data);
+        break;
+      case 'explode-update':
+        app.explodeView.setFactor(data.factor);
+        break;
+      case 'explode-directions':
+        app.explodeView.setDirections(data.directions);
+        break;
+      case 'visibility':
+        app.partVisibility.setState(data);
+        break;
+      case 'labels':
+        app.outliner.setLabels(data.labels);
+        break;
+      case 'materials':
+        app.materialVariants.setState(data);
+        break;
+      case 'sequence':
+        app.assemblySequence.setSteps(data.steps);
+        break;
+      case 'sequence-step':
+        app.assemblySequence.setPlayingStep(data.index);
+        break;
+      case 'host-pointer-toggle':
+        app.setViewerPointerActive(data.active);
+        break;
+      case 'host-pointer-update':
+        if (app.viewerPointer) {
+          app.viewerPointer.position.fromArray(data.position);
+        }
+        break;
+      case 'annotations':
+        app.setAnnotations(data.annotations);
+        break;
+      case 'measurements':
+        app.measureTool.setShared(data.measurements, data.unitScale);
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Give a recorded update a fresh sequence number and the wall-clock time
+  // it is due at, so it is interpolated like a live one at any speed.
+  restamp(data, t) {
+    return {
+      ...data,
+      seq: ++this.seq,
+      t: Date.now() - (this.time - t) / this.speed,
+      sender: 'replay'
+    };
+  }
+}
+
+function formatTime(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// The replay bar's buttons are a little larger than the panels'.
+function createBarButton(text) {
+  const button = createButton(text);
+  button.style.padding = '6px 16px';
+  return button;
+}
@@ -0,0 +1,154 @@
+import { createPanel, createButton } from './panelUi.js';
+
+// Side panel where the host prepares the review report: notes written during
+// the session and the saved views to take screenshots from. "Generate report"
+// captures those views and has the server build the HTML and PDF report.
+
+export class ReportPanel {
+  constructor(app) {
+    this.app = app;
+    this.settings = { notes: '', viewpoints: [] };
+    this.generating = false;
+    this.notesTimeout = null;
+
+    this.panel = createPanel({ top: '60px', left: '10px', width: '300px', maxHeight: 'calc(100% - 80px)' });
+  }
+
+  toggle() {
+    this.panel.style.display = this.panel.style.display === 'none' ? 'block' : 'none';
+    this.render();
+  }
+
+  hide() {
+    this.panel.style.display = 'none';
+  }
+
+  setSettings(settings) {
+    this.settings = settings || { notes: '', viewpoints: [] };
+    this.render();
+  }
+
+  // Rebuild the panel. The notes are left alone while the host is typing in
+  // them, so an echo of an earlier change does not undo later keystrokes.
+  render() {
+    if (this.panel.style.display === 'none') {
+      return;
+    }
+    if (this.notesInput && document.activeElement === this.notesInput) {
+      this.renderViewpoints();
+      return;
+    }
+    this.panel.innerHTML = '';
+
+    const title = document.createElement('strong');
+    title.textContent = 'Review report';
+    title.style.display = 'block';
+    title.style.marginBottom = '8px';
+    this.panel.appendChild(title);
+
+    this.notesInput = document.createElement('textarea');
+    this.notesInput.placeholder = 'Notes for the report';
+    this.notesInput.rows = 8;
+    this.notesInput.maxLength = 10000;
+    this.notesInput.value = this.settings.notes;
+    this.notesInput.style.width = '100%';
+    this.notesInput.style.boxSizing = 'border-box';
+    this.notesInput.style.padding = '4px 8px';
+    this.notesInput.style.border = '1px solid #ccc';
+    this.notesInput.style.borderRadius = '4px';
+    this.notesInput.style.resize = 'vertical';
+    this.notesInput.addEventListener('input', () => this.queueNotes());
+    this.notesInput.addEventListener('blur', () => this.sendNotes());
+    this.panel.appendChild(this.notesInput);
+
+    const viewsTitle = document.createElement('div');
+    viewsTitle.textContent = 'Views';
+    viewsTitle.style.margin = '8px 0 4px';
+    viewsTitle.style.fontWeight = 'bold';
+    this.panel.appendChild(viewsTitle);
+
+    this.viewpointList = document.createElement('div');
+    this.panel.appendChild(this.viewpointList);
+    this.renderViewpoints();
+
+    const actions = document.createElement('div');
+    actions.style.display = 'flex';
+    actions.style.gap = '8px';
+    actions.style.marginTop = '8px';
+
+    const saveViewButton = createButton('Save current view');
+    saveViewButton.addEventListener('click', () => {
+      this.app.socket.emit('add-viewpoint', {
+        name: `View ${this.settings.viewpoints.length + 1}`,
+        camera: this.app.getCameraView()
+      });
+    });
+
+    const generateButton = createButton(this.generating ? 'Generating…' : 'Generate report');
+    generateButton.disabled = this.generating;
+    generateButton.addEventListener('click', () => this.generate());
+
+    actions.appendChild(saveViewButton);
+    actions.appendChild(generateButton);
+    this.panel.appendChild(actions);
+  }
+
+  renderViewpoints() {
+    this.viewpointList.innerHTML = '';
+    if (this.settings.viewpoints.length === 0) {
+      const empty = document.createElement('div');
+      empty.textContent = 'No saved views; the current view is used.';
+      empty.style.color = '#999';
+      this.viewpointList.appendChild(empty);
+    }
+    this.settings.viewpoints.forEach((viewpoint) => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.justifyContent = 'space-between';
+      row.style.alignItems = 'center';
+      row.style.padding = '4px 0';
+      row.style.borderTop = '1px solid #eee';
+
+      const name = document.createElement('span');
+      name.textContent = viewpoint.name;
+      name.style.cursor = 'pointer';
+      name.title = 'Go to this view';
+      name.addEventListener('click', () => this.app.flyToView(viewpoint.camera));
+
+      const removeButton = createButton('Remove');
+      removeButton.addEventListener('click', () => {
+        this.app.socket.emit('remove-viewpoint', { id: viewpoint.id });
+      });
+
+      row.appendChild(name);
+      row.appendChild(removeButton);
+      this.viewpointList.appendChild(row);
+    });
+  }
+
+  queueNotes() {
+    clearTimeout(this.notesTimeout);
+    this.notesTimeout = setTimeout(() => this.sendNotes(), 500);
+  }
+
+  sendNotes() {
+    clearTimeout(this.notesTimeout);
+    this.notesTimeout = null;
+    if (this.notesInput && this.notesInput.value !== this.settings.notes) {
+      this.settings.notes = this.notesInput.value;
+      this.app.socket.emit('set-report-notes', { notes: this.notesInput.value });
+    }
+  }
+
+  async generate() {
+    this.sendNotes();
+    this.generating = true;
+    this.render();
+    try {
+      await this.app.generateReport(this.settings.viewpoints);
+    } finally {
+      this.generating = false;
+      this.render();
+    }
+  }
+}
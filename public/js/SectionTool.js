@@ -0,0 +1,508 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { createPanel, createButton, labelled } from './panelUi.js';
+
+// Section views: up to three clipping planes cutting through the loaded
+// parts, each along an axis or through a picked face. The host moves a plane
+// with a gizmo along its normal (or tilts it) and chooses which parts are
+// cut; the state is synced to viewers like the camera.
+//
+// Cut faces are capped with the stencil technique: for each plane, the back
+// faces of the cut meshes add to the stencil and their front faces subtract,
+// leaving non-zero stencil where the plane passes through a solid. A hatched
+// cap drawn on the plane fills exactly those pixels.
+
+const MAX_PLANES = 3;
+const AXES = {
+  x: new THREE.Vector3(-1, 0, 0),
+  y: new THREE.Vector3(0, -1, 0),
+  z: new THREE.Vector3(0, 0, -1)
+};
+const DEFAULT_HATCH_COLOR = '#d00024';
+
+export class SectionTool {
+  constructor(app) {
+    this.app = app;
+    // Planes: [{ axis: 'x' | 'y' | 'z' | 'custom', plane: THREE.Plane }]
+    this.planes = [];
+    this.excluded = new Set();
+    this.hatchColor = DEFAULT_HATCH_COLOR;
+    // Whether the host has the section panel and plane gizmo open.
+    this.editing = false;
+    this.activeIndex = 0;
+    this.gizmoMode = 'translate';
+
+    app.renderer.localClippingEnabled = true;
+
+    // Stencil meshes and caps, rebuilt when planes or parts change.
+    this.capGroup = new THREE.Group();
+    this.capGroup.name = 'section-caps';
+    app.scene.add(this.capGroup);
+    this.stencilMeshes = [];
+    this.caps = [];
+
+    this.hatchCanvas = document.createElement('canvas');
+    this.hatchCanvas.width = 32;
+    this.hatchCanvas.height = 32;
+    this.hatchTexture = new THREE.CanvasTexture(this.hatchCanvas);
+    this.hatchTexture.wrapS = THREE.RepeatWrapping;
+    this.hatchTexture.wrapT = THREE.RepeatWrapping;
+    this.drawHatch();
+
+    // Outlines of the planes and the gizmo, shown to the host while editing.
+    this.handleGroup = new THREE.Group();
+    this.handleGroup.name = 'section-handles';
+    this.handleGroup.visible = false;
+    app.scene.add(this.handleGroup);
+    this.handles = [];
+    this.gizmo = new TransformControls(app.camera, app.renderer.domElement);
+    this.gizmo.setSpace('local');
+    this.gizmo.addEventListener('dragging-changed', (event) => {
+      app.orbitControls.enabled = !event.value;
+    });
+    this.gizmo.addEventListener('objectChange', () => this.onHandleMoved());
+    app.scene.add(this.gizmo);
+    this.updateGizmo();
+
+    this.panel = createPanel({ bottom: '20px', right: '10px', width: '280px', maxHeight: '50%' });
+  }
+
+  toggle() {
+    this.setEditing(!this.editing);
+  }
+
+  setEditing(editing) {
+    this.editing = editing;
+    this.panel.style.display = editing ? 'block' : 'none';
+    this.handleGroup.visible = editing;
+    this.updateGizmo();
+    this.app.updatePartClickMode();
+    this.renderPanel();
+  }
+
+  // The section as sent to viewers.
+  getState() {
+    return {
+      planes: this.planes.map(({ axis, plane }) => ({
+        axis,
+        normal: plane.normal.toArray(),
+        constant: plane.constant
+      })),
+      excluded: Array.from(this.excluded),
+      hatchColor: this.hatchColor
+    };
+  }
+
+  // Show the section the host set, e.g. from a snapshot or a sync update.
+  setState(state) {
+    const planes = ((state && state.planes) || []).filter(({ normal }) => normal.some((value) => value !== 0));
+    const excluded = (state && state.excluded) || [];
+    this.setHatchColor((state && state.hatchColor) || DEFAULT_HATCH_COLOR);
+    // While the host drags a plane only its position changes; the clipping
+    // materials hold the same planes, so just move them.
+    const sameLayout = planes.length === this.planes.length &&
+      excluded.length === this.excluded.size && excluded.every((name) => this.excluded.has(name));
+    if (sameLayout) {
+      planes.forEach(({ axis, normal, constant }, index) => {
+        this.planes[index].axis = axis;
+        this.planes[index].plane.set(new THREE.Vector3().fromArray(normal), constant).normalize();
+      });
+      this.handles.forEach((handle, index) => this.placeHandle(handle, this.planes[index].plane));
+      this.update();
+      return;
+    }
+    this.planes = planes.slice(0, MAX_PLANES)
+      .map(({ axis, normal, constant }) => ({
+        axis,
+        plane: new THREE.Plane(new THREE.Vector3().fromArray(normal), constant).normalize()
+      }));
+    this.excluded = new Set(excluded);
+    this.activeIndex = Math.min(this.activeIndex, Math.max(0, this.planes.length - 1));
+    this.refresh();
+  }
+
+  // The host changed the section: show it and send it to the viewers.
+  changed() {
+    this.refresh();
+    this.app.sectionSyncPending = true;
+  }
+
+  addAxisPlane(axis) {
+    if (this.planes.length >= MAX_PLANES) {
+      return;
+    }
+    const normal = AXES[axis].clone();
+    const center = this.getProductBox().getCenter(new THREE.Vector3());
+    this.planes.push({ axis, plane: new THREE.Plane().setFromNormalAndCoplanarPoint(normal, center) });
+    this.activeIndex = this.planes.length - 1;
+    this.changed();
+  }
+
+  // Cut along the face the host clicks next, keeping what is behind it.
+  pickFacePlane() {
+    if (this.planes.length >= MAX_PLANES) {
+      return;
+    }
+    this.app.pickPartPoint((hit) => {
+      if (!hit.face || this.planes.length >= MAX_PLANES) {
+        return;
+      }
+      const normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld).negate();
+      this.planes.push({ axis: 'custom', plane: new THREE.Plane().setFromNormalAndCoplanarPoint(normal, hit.point) });
+      this.activeIndex = this.planes.length - 1;
+      this.changed();
+    });
+  }
+
+  removePlane(index) {
+    this.planes.splice(index, 1);
+    this.activeIndex = Math.min(this.activeIndex, Math.max(0, this.planes.length - 1));
+    this.changed();
+  }
+
+  flipPlane(index) {
+    this.planes[index].plane.negate();
+    this.changed();
+  }
+
+  setPartIncluded(name, included) {
+    if (included) {
+      this.excluded.delete(name);
+    } else {
+      this.excluded.add(name);
+    }
+    this.changed();
+  }
+
+  setHatchColor(color) {
+    const hatchColor = /^#[0-9a-f]{6}$/i.test(color) ? color : DEFAULT_HATCH_COLOR;
+    if (hatchColor !== this.hatchColor) {
+      this.hatchColor = hatchColor;
+      this.drawHatch();
+    }
+  }
+
+  // Cap colour with darker diagonal lines.
+  drawHatch() {
+    const context = this.hatchCanvas.getContext('2d');
+    const size = this.hatchCanvas.width;
+    context.fillStyle = this.hatchColor;
+    context.fillRect(0, 0, size, size);
+    context.strokeStyle = 'rgba(0, 0, 0, 0.45)';
+    context.lineWidth = 3;
+    context.beginPath();
+    for (let offset = -size; offset <= size; offset += size / 2) {
+      context.moveTo(offset, size);
+      context.lineTo(offset + size, 0);
+    }
+    context.stroke();
+    this.hatchTexture.needsUpdate = true;
+  }
+
+  getProductBox() {
+    const box = new THREE.Box3();
+    this.app.loadedModels.forEach((part) => box.expandByObject(part));
+    if (box.isEmpty()) {
+      box.setFromCenterAndSize(new THREE.Vector3(), new THREE.Vector3(1, 1, 1));
+    }
+    return box;
+  }
+
+  // Apply the planes to the parts' materials and rebuild the caps, handles
+  // and panel. Call after the planes or the loaded parts change.
+  refresh() {
+    const clippingPlanes = this.planes.map(({ plane }) => plane);
+    this.app.loadedModels.forEach((part, name) => {
+      const planes = this.excluded.has(name) ? [] : clippingPlanes;
+      part.traverse((object) => {
+        if (!object.isMesh) return;
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        materials.forEach((material) => {
+          material.clippingPlanes = planes;
+        });
+      });
+    });
+    this.buildCaps();
+    this.buildHandles();
+    this.updateGizmo();
+    this.renderPanel();
+  }
+
+  buildCaps() {
+    this.stencilMeshes.forEach(({ mesh }) => mesh.material.dispose());
+    this.caps.forEach((cap) => {
+      cap.geometry.dispose();
+      cap.material.dispose();
+    });
+    this.capGroup.clear();
+    this.stencilMeshes = [];
+    this.caps = [];
+
+    const meshes = [];
+    this.app.loadedModels.forEach((part, name) => {
+      if (this.excluded.has(name)) return;
+      part.traverse((object) => {
+        if (object.isMesh && !object.isSkinnedMesh && !object.userData.isDraggable) {
+          meshes.push(object);
+        }
+      });
+    });
+    const capSize = this.getProductBox().getSize(new THREE.Vector3()).length() * 2;
+
+    this.planes.forEach(({ plane }, index) => {
+      const renderOrder = index + 1;
+      [[THREE.BackSide, THREE.IncrementWrapStencilOp], [THREE.FrontSide, THREE.DecrementWrapStencilOp]].forEach(([side, op]) => {
+        meshes.forEach((source) => {
+          const material = new THREE.MeshBasicMaterial({
+            side,
+            depthWrite: false,
+            depthTest: false,
+            colorWrite: false,
+            stencilWrite: true,
+            stencilFunc: THREE.AlwaysStencilFunc,
+            stencilFail: op,
+            stencilZFail: op,
+            stencilZPass: op,
+            clippingPlanes: [plane]
+          });
+          const mesh = new THREE.Mesh(source.geometry, material);
+          mesh.matrixAutoUpdate = false;
+          mesh.renderOrder = renderOrder;
+          mesh.raycast = () => {};
+          this.capGroup.add(mesh);
+          this.stencilMeshes.push({ mesh, source });
+        });
+      });
+
+      const cap = new THREE.Mesh(
+        new THREE.PlaneGeometry(capSize, capSize),
+        new THREE.MeshBasicMaterial({
+          map: this.hatchTexture,
+          side: THREE.DoubleSide,
+          stencilWrite: true,
+          stencilRef: 0,
+          stencilFunc: THREE.NotEqualStencilFunc,
+          stencilFail: THREE.ReplaceStencilOp,
+          stencilZFail: THREE.ReplaceStencilOp,
+          stencilZPass: THREE.ReplaceStencilOp,
+          clippingPlanes: this.planes.filter((other) => other.plane !== plane).map((other) => other.plane)
+        })
+      );
+      // Repeat the hatch so its lines keep the same spacing on any product.
+      cap.geometry.attributes.uv.array.forEach((value, uvIndex, array) => {
+        array[uvIndex] = value * 60;
+      });
+      cap.renderOrder = renderOrder + 0.1;
+      cap.raycast = () => {};
+      // Reset the stencil for the next plane.
+      cap.onAfterRender = (renderer) => renderer.clearStencil();
+      cap.userData.plane = plane;
+      this.capGroup.add(cap);
+      this.caps.push(cap);
+    });
+    this.update();
+  }
+
+  buildHandles() {
+    const attached = this.gizmo.object;
+    this.handles.forEach((handle) => {
+      handle.children.forEach((child) => {
+        child.geometry.dispose();
+        child.material.dispose();
+      });
+    });
+    this.handleGroup.clear();
+    this.handles = [];
+    if (attached) {
+      this.gizmo.detach();
+    }
+
+    const size = this.getProductBox().getSize(new THREE.Vector3()).length() * 0.6;
+    this.planes.forEach(({ plane }, index) => {
+      const handle = new THREE.Object3D();
+      const square = new THREE.Mesh(
+        new THREE.PlaneGeometry(size, size),
+        new THREE.MeshBasicMaterial({ color: 0x00a0e0, transparent: true, opacity: 0.12, side: THREE.DoubleSide, depthWrite: false })
+      );
+      const outline = new THREE.LineSegments(
+        new THREE.EdgesGeometry(square.geometry),
+        new THREE.LineBasicMaterial({ color: index === this.activeIndex ? 0x00a0e0 : 0x888888 })
+      );
+      square.raycast = () => {};
+      outline.raycast = () => {};
+      handle.add(square, outline);
+      this.placeHandle(handle, plane);
+      this.handleGroup.add(handle);
+      this.handles.push(handle);
+    });
+  }
+
+  // Put a handle on its plane, facing along the normal, as near the middle
+  // of the product as it can be.
+  placeHandle(handle, plane) {
+    const center = this.getProductBox().getCenter(new THREE.Vector3());
+    plane.projectPoint(center, handle.position);
+    handle.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), plane.normal);
+  }
+
+  // Attach the gizmo to the active plane while the host edits the section.
+  updateGizmo() {
+    const handle = this.handles[this.activeIndex];
+    if (this.editing && handle) {
+      if (this.gizmo.object !== handle) {
+        this.gizmo.attach(handle);
+      }
+    } else if (this.gizmo.object) {
+      this.gizmo.detach();
+    }
+    this.gizmo.setMode(this.gizmoMode);
+    // Moving only makes sense along the normal, tilting only about the
+    // plane's own axes.
+    this.gizmo.showX = this.gizmoMode === 'rotate';
+    this.gizmo.showY = this.gizmoMode === 'rotate';
+    this.gizmo.showZ = this.gizmoMode === 'translate';
+  }
+
+  onHandleMoved() {
+    const handle = this.gizmo.object;
+    const entry = this.planes[this.handles.indexOf(handle)];
+    if (!entry) {
+      return;
+    }
+    const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(handle.quaternion);
+    entry.plane.setFromNormalAndCoplanarPoint(normal, handle.position);
+    if (this.gizmoMode === 'rotate') {
+      entry.axis = 'custom';
+    }
+    this.app.sectionSyncPending = true;
+    this.update();
+  }
+
+  // Keep the stencil meshes on their parts and the caps on their planes.
+  // Called every frame.
+  update() {
+    if (this.planes.length === 0) {
+      return;
+    }
+    this.app.productGroup.updateMatrixWorld();
+    this.stencilMeshes.forEach(({ mesh, source }) => {
+      mesh.matrix.copy(source.matrixWorld);
+      mesh.visible = source.parent !== null && this.app.isShown(source);
+    });
+    this.caps.forEach((cap) => {
+      const plane = cap.userData.plane;
+      plane.coplanarPoint(cap.position);
+      cap.lookAt(cap.position.x - plane.normal.x, cap.position.y - plane.normal.y, cap.position.z - plane.normal.z);
+    });
+  }
+
+  // Whether the host is using the gizmo, so parts should not be dragged.
+  isEditing() {
+    return this.editing;
+  }
+
+  renderPanel() {
+    if (!this.editing) {
+      return;
+    }
+    this.panel.innerHTML = '';
+
+    const title = document.createElement('strong');
+    title.textContent = 'Section';
+    title.style.display = 'block';
+    title.style.marginBottom = '8px';
+    this.panel.appendChild(title);
+
+    const addRow = document.createElement('div');
+    addRow.style.display = 'flex';
+    addRow.style.gap = '4px';
+    addRow.style.flexWrap = 'wrap';
+    Object.keys(AXES).forEach((axis) => {
+      const button = createButton(`+ ${axis.toUpperCase()}`);
+      button.disabled = this.planes.length >= MAX_PLANES;
+      button.addEventListener('click', () => this.addAxisPlane(axis));
+      addRow.appendChild(button);
+    });
+    const faceButton = createButton('+ From face');
+    faceButton.disabled = this.planes.length >= MAX_PLANES;
+    faceButton.addEventListener('click', () => this.pickFacePlane());
+    addRow.appendChild(faceButton);
+    this.panel.appendChild(addRow);
+
+    this.planes.forEach(({ axis }, index) => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.gap = '4px';
+      row.style.padding = '4px 0';
+      row.style.borderTop = '1px solid #eee';
+      row.style.marginTop = index === 0 ? '8px' : '0';
+
+      const select = document.createElement('input');
+      select.type = 'radio';
+      select.name = 'section-plane';
+      select.checked = index === this.activeIndex;
+      select.addEventListener('change', () => {
+        this.activeIndex = index;
+        this.buildHandles();
+        this.updateGizmo();
+      });
+      const name = document.createElement('span');
+      name.textContent = axis === 'custom' ? `Plane ${index + 1}` : `Plane ${index + 1} (${axis.toUpperCase()})`;
+      name.style.flex = '1';
+      const flipButton = createButton('Flip');
+      flipButton.addEventListener('click', () => this.flipPlane(index));
+      const removeButton = createButton('Remove');
+      removeButton.addEventListener('click', () => this.removePlane(index));
+      row.appendChild(select);
+      row.appendChild(name);
+      row.appendChild(flipButton);
+      row.appendChild(removeButton);
+      this.panel.appendChild(row);
+    });
+
+    const modeSelect = document.createElement('select');
+    [['translate', 'Move along normal'], ['rotate', 'Tilt']].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      modeSelect.appendChild(option);
+    });
+    modeSelect.value = this.gizmoMode;
+    modeSelect.addEventListener('change', () => {
+      this.gizmoMode = modeSelect.value;
+      this.updateGizmo();
+    });
+    this.panel.appendChild(labelled('Gizmo', modeSelect));
+
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.value = this.hatchColor;
+    colorInput.addEventListener('input', () => {
+      this.setHatchColor(colorInput.value);
+      this.app.sectionSyncPending = true;
+    });
+    this.panel.appendChild(labelled('Cut face colour', colorInput));
+
+    if (this.app.loadedModels.size > 0) {
+      const partsTitle = document.createElement('div');
+      partsTitle.textContent = 'Cut parts';
+      partsTitle.style.fontWeight = 'bold';
+      partsTitle.style.margin = '8px 0 4px';
+      this.panel.appendChild(partsTitle);
+    }
+    this.app.loadedModels.forEach((part, name) => {
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = !this.excluded.has(name);
+      checkbox.addEventListener('change', () => this.setPartIncluded(name, checkbox.checked));
+      const label = document.createElement('label');
+      label.style.display = 'flex';
+      label.style.gap = '6px';
+      label.style.fontSize = '12px';
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(name));
+      this.panel.appendChild(label);
+    });
+  }
+}
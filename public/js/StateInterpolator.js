@@ -0,0 +1,118 @@
+// Plays back timestamped state samples from a remote sender (the host's
+// camera, a part being dragged) a little behind real time, interpolating
+// between the samples around the playback time. Viewers then move smoothly
+// even when updates arrive unevenly, and late (out-of-order) samples are
+// dropped instead of making things jump back.
+//
+// A sample is { seq, t, sender, values } where `seq` increases per sender,
+// `t` is the sender's Date.now() and `values` maps names to THREE.Vector3 or
+// THREE.Quaternion instances.
+
+// How fast the estimated clock offset may grow per sample (ms), so that it
+// follows a sender whose latency goes up.
+const OFFSET_DRIFT = 0.5;
+
+export class StateInterpolator {
+  constructor({ delay = 100, maxSamples = 30 } = {}) {
+    this.delay = delay;
+    this.maxSamples = maxSamples;
+    this.streams = new Map();
+  }
+
+  // Add a sample to the stream `key`. Returns false when it was dropped
+  // because a newer sample from the same sender was already received.
+  push(key, sample, receivedAt = Date.now()) {
+    let stream = this.streams.get(key);
+    if (!stream || stream.sender !== sample.sender) {
+      // A new sender (e.g. after a host change) starts a fresh stream.
+      stream = { sender: sample.sender, lastSeq: -Infinity, offset: null, samples: [], output: null, settled: false };
+      this.streams.set(key, stream);
+    }
+    if (sample.seq <= stream.lastSeq) {
+      return false;
+    }
+    stream.lastSeq = sample.seq;
+    // The smallest receive-minus-send difference seen approximates the clock
+    // offset plus the fastest delivery; playing back relative to it absorbs jitter.
+    const offset = receivedAt - sample.t;
+    stream.offset = stream.offset === null ? offset : Math.min(offset, stream.offset + OFFSET_DRIFT);
+    stream.samples.push(sample);
+    if (stream.samples.length > this.maxSamples) {
+      stream.samples.shift();
+    }
+    stream.settled = false;
+    return true;
+  }
+
+  // Interpolated values of stream `key` at `now`, or null once the stream has
+  // played its last sample (so local changes are not overwritten).
+  sample(key, now = Date.now()) {
+    const stream = this.streams.get(key);
+    if (!stream || stream.settled || stream.samples.length === 0) {
+      return null;
+    }
+    const { samples } = stream;
+    const renderTime = now - stream.offset - this.delay;
+    // Forget samples that playback has moved past, keeping the one before it.
+    while (samples.length > 2 && samples[1].t <= renderTime) {
+      samples.shift();
+    }
+    const from = samples[0];
+    const to = samples.length > 1 ? samples[1] : from;
+    if (!stream.output) {
+      stream.output = cloneValues(from.values);
+    }
+    if (renderTime <= from.t || from === to) {
+      copyValues(stream.output, from.values);
+    } else if (renderTime >= to.t) {
+      copyValues(stream.output, to.values);
+    } else {
+      const alpha = (renderTime - from.t) / (to.t - from.t);
+      interpolateValues(stream.output, from.values, to.values, alpha);
+    }
+    // Played the newest sample: apply it this time and then stay idle.
+    if (renderTime >= samples[samples.length - 1].t) {
+      stream.settled = true;
+    }
+    return stream.output;
+  }
+
+  keys() {
+    return Array.from(this.streams.keys());
+  }
+
+  // Drop the stream `key`, e.g. when its state was set directly. Without a
+  // key every stream is dropped.
+  clear(key) {
+    if (key === undefined) {
+      this.streams.clear();
+    } else {
+      this.streams.delete(key);
+    }
+  }
+}
+
+function cloneValues(values) {
+  const clone = {};
+  Object.keys(values).forEach((name) => {
+    clone[name] = values[name].clone();
+  });
+  return clone;
+}
+
+function copyValues(target, values) {
+  Object.keys(values).forEach((name) => {
+    if (target[name]) target[name].copy(values[name]);
+  });
+}
+
+function interpolateValues(target, from, to, alpha) {
+  Object.keys(from).forEach((name) => {
+    if (!target[name] || !to[name]) return;
+    if (from[name].isQuaternion) {
+      target[name].slerpQuaternions(from[name], to[name], alpha);
+    } else {
+      target[name].lerpVectors(from[name], to[name], alpha);
+    }
+  });
+}
@@ -0,0 +1,245 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { createPanel, createButton, createSelect, labelled } from './panelUi.js';
+
+// Transform gizmo: moves, rotates or scales the part selected in the
+// outliner, in its own or the world's axes, with optional snapping. The panel
+// also takes the part's position (in millimetres) and rotation (in degrees)
+// as numbers. Changes go out through `model-transform` like a drag, so the
+// usual part locks apply; only the host, or an editor in collaborative mode,
+// gets the gizmo.
+
+const ROTATION_SNAP = 15;
+const SCALE_SNAP = 0.1;
+const AXES = ['x', 'y', 'z'];
+
+export class TransformGizmo {
+  constructor(app) {
+    this.app = app;
+    this.editing = false;
+    this.mode = 'translate';
+    this.space = 'local';
+    this.snap = false;
+    // The part the gizmo is on, and the number fields showing its transform.
+    this.target = null;
+    this.fields = null;
+
+    this.gizmo = new TransformControls(app.camera, app.renderer.domElement);
+    this.gizmo.addEventListener('dragging-changed', (event) => {
+      const part = this.gizmo.object;
+      app.orbitControls.enabled = !event.value;
+      app.isDragging = event.value;
+      if (event.value) {
+        app.onPartDragStart(part);
+      } else {
+        app.onPartDragEnd(part);
+      }
+    });
+    this.gizmo.addEventListener('objectChange', () => {
+      app.onPartDrag(this.gizmo.object);
+    });
+    app.scene.add(this.gizmo);
+    this.updateGizmo();
+
+    this.panel = createPanel({ bottom: '20px', left: '10px', width: '280px' });
+  }
+
+  toggle() {
+    this.setEditing(!this.editing);
+  }
+
+  setEditing(editing) {
+    this.editing = editing;
+    this.panel.style.display = editing ? 'block' : 'none';
+    this.app.updatePartClickMode();
+    this.update();
+    this.render();
+  }
+
+  // Whether the gizmo is out, so parts should not be dragged.
+  isEditing() {
+    return this.editing;
+  }
+
+  // The part to put the gizmo on, if any.
+  getTarget() {
+    const app = this.app;
+    if (!this.editing || app.replayPlayer || !app.canEditParts() || app.isPartClickMode() ||
+        app.sectionTool.isEditing() || !app.outliner.selection) {
+      return null;
+    }
+    const part = app.loadedModels.get(app.outliner.selection.part);
+    return part && app.isShown(part) ? part : null;
+  }
+
+  // Millimetres per scene unit, as set for measuring.
+  getUnitScale() {
+    return this.app.measureTool.unitScale;
+  }
+
+  updateGizmo() {
+    this.gizmo.setMode(this.mode);
+    this.gizmo.setSpace(this.space);
+    this.gizmo.setTranslationSnap(this.snap ? 1 / this.getUnitScale() : null);
+    this.gizmo.setRotationSnap(this.snap ? THREE.MathUtils.degToRad(ROTATION_SNAP) : null);
+    this.gizmo.setScaleSnap(this.snap ? SCALE_SNAP : null);
+  }
+
+  // Follow the selection, who may edit and the part's transform. Called every
+  // frame.
+  update() {
+    if (this.gizmo.dragging) {
+      this.updateFields();
+      return;
+    }
+    const target = this.getTarget();
+    if (target !== this.target) {
+      this.target = target;
+      if (target) {
+        this.gizmo.attach(target);
+      } else {
+        this.gizmo.detach();
+      }
+      this.render();
+    }
+    this.updateFields();
+  }
+
+  // Show the part's transform in the number fields, except one being typed in.
+  updateFields() {
+    if (!this.fields || !this.target) {
+      return;
+    }
+    const unitScale = this.getUnitScale();
+    AXES.forEach((axis) => {
+      setField(this.fields.position[axis], (this.target.position[axis] * unitScale).toFixed(1));
+      setField(this.fields.rotation[axis], THREE.MathUtils.radToDeg(this.target.rotation[axis]).toFixed(1));
+    });
+  }
+
+  // Apply a typed position or rotation and send it, as a drag would.
+  setValue(kind, axis, value) {
+    const part = this.target;
+    if (!part || !Number.isFinite(value)) {
+      this.updateFields();
+      return;
+    }
+    this.app.onPartDragStart(part);
+    if (kind === 'position') {
+      part.position[axis] = value / this.getUnitScale();
+    } else {
+      part.rotation[axis] = THREE.MathUtils.degToRad(value);
+    }
+    this.app.onPartDrag(part);
+    this.app.onPartDragEnd(part, { snap: false });
+    this.updateFields();
+  }
+
+  render() {
+    if (!this.editing) {
+      return;
+    }
+    this.panel.innerHTML = '';
+    this.fields = null;
+
+    const title = document.createElement('strong');
+    title.textContent = 'Transform';
+    title.style.display = 'block';
+    title.style.marginBottom = '8px';
+    this.panel.appendChild(title);
+
+    if (!this.app.canEditParts()) {
+      this.panel.appendChild(note('Only the host, or editors in collaborative mode, can move parts.'));
+      return;
+    }
+    if (!this.target) {
+      this.panel.appendChild(note('Select a part in the outliner, or pick one.'));
+      const pickButton = createButton('Pick a part');
+      pickButton.style.marginTop = '8px';
+      pickButton.addEventListener('click', () => {
+        this.app.pickPartPoint((hit) => {
+          const selection = this.app.outliner.selection;
+          if (!selection || selection.part !== hit.part.name || selection.node) {
+            this.app.outliner.select(hit.part.name);
+          }
+        });
+      });
+      this.panel.appendChild(pickButton);
+      return;
+    }
+
+    const name = document.createElement('div');
+    name.textContent = this.app.outliner.getLabel(this.target.name);
+    name.style.fontWeight = 'bold';
+    name.style.fontSize = '12px';
+    this.panel.appendChild(name);
+
+    const modeSelect = createSelect([['translate', 'Move'], ['rotate', 'Rotate'], ['scale', 'Scale']], this.mode);
+    modeSelect.addEventListener('change', () => {
+      this.mode = modeSelect.value;
+      this.updateGizmo();
+    });
+    this.panel.appendChild(labelled('Gizmo', modeSelect));
+
+    const spaceSelect = createSelect([['local', 'Part axes'], ['world', 'World axes']], this.space);
+    spaceSelect.addEventListener('change', () => {
+      this.space = spaceSelect.value;
+      this.updateGizmo();
+    });
+    this.panel.appendChild(labelled('Space', spaceSelect));
+
+    const snapInput = document.createElement('input');
+    snapInput.type = 'checkbox';
+    snapInput.checked = this.snap;
+    snapInput.addEventListener('change', () => {
+      this.snap = snapInput.checked;
+      this.updateGizmo();
+      this.render();
+    });
+    this.panel.appendChild(labelled(`Snap (1 mm, ${ROTATION_SNAP}°, ${SCALE_SNAP}×)`, snapInput));
+
+    this.fields = { position: {}, rotation: {} };
+    [['position', 'Position (mm)', 1], ['rotation', 'Rotation (°)', ROTATION_SNAP]].forEach(([kind, text, snapStep]) => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.gap = '4px';
+      AXES.forEach((axis) => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = this.snap ? String(snapStep) : '0.1';
+        input.title = axis.toUpperCase();
+        input.style.width = '56px';
+        input.addEventListener('change', () => this.setValue(kind, axis, Number(input.value)));
+        input.addEventListener('keydown', (event) => {
+          if (event.key === 'Enter') {
+            input.blur();
+          }
+        });
+        this.fields[kind][axis] = input;
+        row.appendChild(input);
+      });
+      this.panel.appendChild(labelled(text, row));
+    });
+    this.updateFields();
+
+    const homeButton = createButton('Return home');
+    homeButton.title = 'Put the part back where it was loaded';
+    homeButton.style.marginTop = '8px';
+    homeButton.addEventListener('click', () => this.app.returnPartHome(this.target));
+    this.panel.appendChild(homeButton);
+  }
+}
+
+function setField(input, value) {
+  if (document.activeElement !== input && input.value !== value) {
+    input.value = value;
+  }
+}
+
+function note(text) {
+  const element = document.createElement('div');
+  element.textContent = text;
+  element.style.color = '#999';
+  element.style.fontSize = '12px';
+  return element;
+}
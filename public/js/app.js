@@ -6,8 +6,43 @@ import { ARButton } from 'three/addons/webxr/ARButton.js';
 import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
 import { XRControllerModelFactory } from 'three/addons/webxr/XRControllerModelFactory.js';
 import { InteractionManager } from './InteractionManager.js';
-import { setupUIControls, updateToggleUI } from './uiControls.js';
-import { showHostRequestModal, showConfirmationModal } from './modalManager.js';
+import { LabelManager } from './LabelManager.js';
+import { StateInterpolator } from './StateInterpolator.js';
+import { ReplayPlayer } from './ReplayPlayer.js';
+import { IssuePanel } from './IssuePanel.js';
+import { ReportPanel } from './ReportPanel.js';
+import { MeasureTool } from './MeasureTool.js';
+import { SectionTool } from './SectionTool.js';
+import { ExplodeView } from './ExplodeView.js';
+import { AssemblySequence } from './AssemblySequence.js';
+import { PartVisibility } from './PartVisibility.js';
+import { Outliner } from './Outliner.js';
+import { MaterialVariants } from './MaterialVariants.js';
+import { MaterialEditor } from './MaterialEditor.js';
+import { TransformGizmo } from './TransformGizmo.js';
+import { CommandHistory, getTransform } from './CommandHistory.js';
+import { PartSnapping } from './PartSnapping.js';
+import {
+  setupUIControls,
+  updateToggleUI,
+  updateParticipantPanel,
+  updateHostRequestQueue,
+  updateHandoverPolicyUI,
+  updateCollaborationUI,
+  updateRecordingUI
+} from './uiControls.js';
+import {
+  showHostRequestModal,
+  showViewerRequestModal,
+  showConfirmationModal,
+  showPasscodeModal,
+  showRejectionModal,
+  showInviteLinksModal,
+  showRecordingSavedModal,
+  showAnnotationModal,
+  showReportLinksModal,
+  hideModal
+} from './modalManager.js';
 
 // Ensure your socket.io client library is loaded.
 const io = window.io;
@@ -16,6 +51,8 @@ class App {
   constructor() {
     // ----- Shared Variables -----
     this.loadedModels = new Map();
+    // Where each loaded part came from, by name.
+    this.partUrls = new Map();
     this.draggableObjects = [];
     this.isARMode = false;
     this.isPlacingProduct = false;
@@ -24,10 +61,77 @@ class App {
     // For now we set pointerActive to true (you can update this flag based on your UX)
     this.pointerActive = true;
     this.isDragging = false;
+    // Late-join snapshot handling: live scene events are queued while applying it.
+    this.isApplyingSnapshot = false;
+    this.queuedSessionEvents = [];
+    // Whether the host is currently presenting in AR (from the server).
+    this.hostARActive = false;
     // For handling two-finger pan/rotation gesture (version 2)
     this.lastTouchAngle = null;
     // Determine host status via query params (if role=host, then true)
-    this.isHost = new URLSearchParams(window.location.search).get('role') === 'host';
+    const params = new URLSearchParams(window.location.search);
+    this.isHost = params.get('role') === 'host';
+    // Remember the URL role so host links claim host again in whichever room is joined.
+    this.requestedHostRole = this.isHost;
+    // Room (review session) to join; the server puts us in its default room if empty.
+    this.roomName = params.get('room') || '';
+    // Signed invite from a shared link; it decides whether we may become host.
+    this.inviteToken = params.get('invite') || '';
+    // Display name shown in the participant roster, remembered between visits.
+    this.displayName = localStorage.getItem('displayName') || '';
+    // Stable identity so a reconnect resumes the same participant (and host
+    // role). The page id tells two tabs of this browser apart.
+    this.clientId = this.getClientId();
+    this.pageId = Math.random().toString(36).slice(2, 10);
+    // The participant this tab had in the room before a reload, and the token
+    // the server gave it to prove that (see 'room-joined').
+    const resume = this.getResume(this.roomName);
+    // Shown while we, or the host, are reconnecting.
+    this.connectionLost = false;
+    this.hostReconnecting = false;
+    // Everyone in the room, as last sent by the server.
+    this.participants = [];
+    // Host passcode for the current room, once known.
+    this.hostPasscode = null;
+    // Sent by the server to this connection only, to sign our HTTP requests.
+    this.requestSecret = null;
+    // The last host claim ('register-host' or 'request-host'), retried after
+    // the user enters a passcode.
+    this.lastHostClaim = null;
+    // How the room hands over the host role, and the queue the host sees.
+    this.handoverPolicy = { mode: 'timed', timeout: 30, grace: 30 };
+    this.hostRequestQueue = [];
+    this.activeHostRequestId = null;
+    // Collaborative mode settings and who is moving which part (part name → lock).
+    this.collaboration = { enabled: false, editors: 'everyone', allowed: [] };
+    this.partLocks = new Map();
+    // The part we hold a lock on, and where the part being dragged started.
+    this.heldLock = null;
+    this.dragStartState = null;
+    this.dragBlocked = false;
+    // Camera and part updates are sent at most `syncRate` times per second,
+    // numbered so receivers can drop late ones, and played back smoothly.
+    this.syncRate = 20;
+    this.syncSeq = 0;
+    this.lastSyncAt = 0;
+    this.cameraSyncPending = false;
+    this.pendingPartSyncs = new Set();
+    this.interpolator = new StateInterpolator({ delay: 2 * 1000 / this.syncRate });
+    // Notes pinned to parts, and whether a click on a part adds one.
+    this.annotations = [];
+    this.annotationMode = false;
+    // One-off handler for the next click on a part (e.g. an issue's point).
+    this.pointPicker = null;
+    // Review issues of the room, and the camera move to one of them.
+    this.issues = [];
+    this.cameraFlight = null;
+    // Whether the host is recording this room, and the recording being
+    // replayed instead of the live session.
+    this.recording = { active: false };
+    this.replayPlayer = null;
+    // A recording to replay straight away, from a shared ?replay= link. The
+    // live scene is ignored until the replay is closed.
+    this.replayId = params.get('replay') || '';
     
     // Variables for AR tap‑to‑place integration (version 2)
     this.placementReticle = null;
@@ -37,15 +141,23 @@ class App {
     // Variable for host pointer (from version 1)
     this.hostPointer = null;
     
-    // Socket initialization. In both versions the host registers itself.
-    this.socket = io();
-    if (this.isHost) {
-      this.socket.emit('register-host');
-    }
+    // Socket initialization. A host registers itself once the server has
+    // confirmed the room it joined (see 'room-joined').
+    this.socket = io({
+      query: {
+        room: this.roomName,
+        invite: this.inviteToken,
+        name: this.displayName,
+        clientId: resume ? resume.clientId : this.clientId,
+        resumeToken: resume ? resume.resumeToken : '',
+        pageId: this.pageId
+      }
+    });
     
     // Create overlays: loading overlay (for product/model loading) and upload overlay (version 1)
     this.createLoadingOverlay();
     this.createUploadOverlay();
+    this.createConnectionBanner();
 
     // Set up THREE.LoadingManager (progress updates are no longer displayed).
     this.loadingManager = new THREE.LoadingManager(() => {});
@@ -61,6 +173,19 @@ class App {
 
     // Set up UI toggles (if any)
     setupUIControls(this);
+    this.issuePanel = new IssuePanel(this);
+    this.reportPanel = new ReportPanel(this);
+    this.measureTool = new MeasureTool(this);
+    this.sectionTool = new SectionTool(this);
+    this.explodeView = new ExplodeView(this);
+    this.outliner = new Outliner(this);
+    this.partVisibility = new PartVisibility(this);
+    this.materialVariants = new MaterialVariants(this);
+    this.materialEditor = new MaterialEditor(this);
+    this.transformGizmo = new TransformGizmo(this);
+    this.history = new CommandHistory(this);
+    this.partSnapping = new PartSnapping(this);
+    this.assemblySequence = new AssemblySequence(this);
 
     // --- File Upload Handling ---
     // The file input is created in uiControls.js.
@@ -77,6 +202,7 @@ class App {
           return;
         }
   
+        this.history.beginLoad();
         this.clearExistingModels();
   
         for (let file of files) {
@@ -87,7 +213,7 @@ class App {
               method: 'POST',
               headers: {
                 'x-socket-id': this.socket.id,
-                'x-uploader-role': this.isHost ? 'host' : 'viewer'
+                'x-socket-secret': this.requestSecret
               },
               body: formData
             });
@@ -129,10 +255,47 @@ class App {
       this.renderer,
       this.renderer.domElement
     );
+    // Parts moved with an XR controller are synced like DragControls drags.
+    this.interactionManager.addEventListener('dragstart', (event) => this.onPartDragStart(event.object));
+    this.interactionManager.addEventListener('drag', (event) => this.onPartDrag(event.object));
+    this.interactionManager.addEventListener('dragend', (event) => this.onPartDragEnd(event.object));
+
+    // Labels above parts showing who is moving them.
+    this.labelManager = new LabelManager(this.camera, this.renderer.domElement);
 
     // Listen for pointer movement (to update host pointer in non‐AR mode)
     window.addEventListener('pointermove', this.handlePointerMove.bind(this));
 
+    // In annotation mode a click (not a drag of the view) on a part adds a note.
+    this.renderer.domElement.addEventListener('pointerdown', (event) => {
+      this.annotationPointerDown = { x: event.clientX, y: event.clientY };
+      if (event.button === 2) {
+        this.menuPointerDown = this.annotationPointerDown;
+      }
+    });
+    this.renderer.domElement.addEventListener('pointerup', (event) => {
+      const down = this.annotationPointerDown;
+      this.annotationPointerDown = null;
+      if (this.isPartClickMode() && down && Math.hypot(event.clientX - down.x, event.clientY - down.y) < 5) {
+        this.onPartClick(event);
+      }
+    });
+
+    // Right-click on a part (not a pan of the view) opens the host's
+    // show/hide menu for it.
+    this.renderer.domElement.addEventListener('contextmenu', (event) => {
+      event.preventDefault();
+      const down = this.menuPointerDown;
+      if (!this.isHost || this.replayPlayer || (down && Math.hypot(event.clientX - down.x, event.clientY - down.y) >= 5)) {
+        return;
+      }
+      this.handlePointerMove(event);
+      const hit = this.intersectParts(this.getPointerRaycaster());
+      if (hit) {
+        this.partVisibility.showMenu(event, hit.part);
+      }
+    });
+
     // AR session start listener for tap‑to‑place integration (version 2)
     this.renderer.xr.addEventListener('sessionstart', this.onARSessionStart.bind(this));
 
@@ -142,7 +305,11 @@ class App {
     this.renderer.domElement.addEventListener('touchend', this.onTouchEnd.bind(this), { passive: false });
 
     // Instead of directly loading the default product, show the landing overlay.
-    this.showLandingOverlay();
+    if (this.replayId) {
+      this.startReplay(this.replayId);
+    } else {
+      this.showLandingOverlay();
+    }
 
     this.animate();
   }
@@ -181,6 +348,98 @@ class App {
     description.style.marginBottom = '20px';
     description.innerHTML = '<p> Click the Browse button to browse existing files, or Upload button to upload GLB files to view new ideas.</p> <p>Experience interactive product development like never before!</p> <p style="font-size: 12px;">(pending name &amp; content)</p>';
     
+    // Join step: the display name shown to everyone in the participant panel.
+    const nameContainer = document.createElement('div');
+    nameContainer.style.marginBottom = '10px';
+    nameContainer.style.textAlign = 'left';
+
+    const nameLabel = document.createElement('label');
+    nameLabel.htmlFor = 'landing-name-input';
+    nameLabel.textContent = 'Your name';
+    nameLabel.style.display = 'block';
+    nameLabel.style.fontSize = '12px';
+    nameLabel.style.color = '#333';
+    nameLabel.style.marginBottom = '5px';
+
+    const nameInput = document.createElement('input');
+    nameInput.id = 'landing-name-input';
+    nameInput.type = 'text';
+    nameInput.maxLength = 40;
+    nameInput.value = this.displayName;
+    nameInput.placeholder = 'Display name';
+    nameInput.style.width = '100%';
+    nameInput.style.boxSizing = 'border-box';
+    nameInput.style.padding = '8px 12px';
+    nameInput.style.border = '1px solid #ccc';
+    nameInput.style.borderRadius = '9999px';
+
+    nameContainer.appendChild(nameLabel);
+    nameContainer.appendChild(nameInput);
+
+    // Apply the name and room; returns false if the name is still missing.
+    const submitJoin = () => {
+      const name = nameInput.value.trim();
+      if (!name) {
+        nameInput.style.borderColor = '#d00024';
+        nameInput.focus();
+        return false;
+      }
+      this.setDisplayName(name);
+      this.joinRoom(roomInput.value);
+      document.body.removeChild(overlay);
+      return true;
+    };
+
+    // Room picker: type a room name or resume one of the saved sessions.
+    const roomContainer = document.createElement('div');
+    roomContainer.style.marginBottom = '20px';
+    roomContainer.style.textAlign = 'left';
+
+    const roomLabel = document.createElement('label');
+    roomLabel.htmlFor = 'landing-room-input';
+    roomLabel.textContent = 'Room';
+    roomLabel.style.display = 'block';
+    roomLabel.style.fontSize = '12px';
+    roomLabel.style.color = '#333';
+    roomLabel.style.marginBottom = '5px';
+
+    const roomInput = document.createElement('input');
+    roomInput.id = 'landing-room-input';
+    roomInput.type = 'text';
+    roomInput.value = this.roomName;
+    roomInput.placeholder = 'default';
+    roomInput.setAttribute('list', 'landing-room-list');
+    roomInput.style.width = '100%';
+    roomInput.style.boxSizing = 'border-box';
+    roomInput.style.padding = '8px 12px';
+    roomInput.style.border = '1px solid #ccc';
+    roomInput.style.borderRadius = '9999px';
+
+    const roomList = document.createElement('datalist');
+    roomList.id = 'landing-room-list';
+    fetch('/sessions')
+      .then(response => response.json())
+      .then(sessions => {
+        sessions.forEach(session => {
+          const option = document.createElement('option');
+          option.value = session.name;
+          const details = [`${session.parts.length} parts`];
+          if (session.participants > 0) {
+            details.push(`${session.participants} connected`);
+          }
+          if (session.updatedAt) {
+            details.push(`updated ${new Date(session.updatedAt).toLocaleString()}`);
+          }
+          option.label = details.join(', ');
+          roomList.appendChild(option);
+        });
+      })
+      .catch(error => console.error("Error fetching sessions:", error));
+
+    roomContainer.appendChild(roomLabel);
+    roomContainer.appendChild(roomInput);
+    roomContainer.appendChild(roomList);
+
     const buttonsContainer = document.createElement('div');
     buttonsContainer.style.display = 'flex';
     buttonsContainer.style.justifyContent = 'space-around';
@@ -207,7 +466,9 @@ class App {
     uploadButton.style.padding = '10px 20px';
     uploadButton.style.cursor = 'pointer';
     uploadButton.addEventListener('click', () => {
-      document.body.removeChild(overlay);
+      if (!submitJoin()) {
+        return;
+      }
       const fileInput = document.querySelector('input[type="file"][accept=".glb,.gltf"]');
       if (fileInput) {
         fileInput.click();
@@ -223,20 +484,112 @@ class App {
     browseButton.style.padding = '10px 20px';
     browseButton.style.cursor = 'pointer';
     browseButton.addEventListener('click', () => {
-      document.body.removeChild(overlay);
+      if (!submitJoin()) {
+        return;
+      }
       this.showBrowseInterface();
     });
 
+    const replaysButton = document.createElement('button');
+    replaysButton.textContent = 'Replays';
+    replaysButton.style.backgroundColor = '#d00024';
+    replaysButton.style.color = 'white';
+    replaysButton.style.border = 'none';
+    replaysButton.style.borderRadius = '9999px';
+    replaysButton.style.padding = '10px 20px';
+    replaysButton.style.cursor = 'pointer';
+    replaysButton.addEventListener('click', () => {
+      if (!submitJoin()) {
+        return;
+      }
+      this.showRecordingsInterface();
+    });
+
     // buttonsContainer.appendChild(demoButton);
     buttonsContainer.appendChild(browseButton);
     buttonsContainer.appendChild(uploadButton);
+    buttonsContainer.appendChild(replaysButton);
     box.appendChild(title);
     box.appendChild(description);
+    box.appendChild(nameContainer);
+    box.appendChild(roomContainer);
     box.appendChild(buttonsContainer);
     overlay.appendChild(box);
     document.body.appendChild(overlay);
   }
 
+  // -----------------------------------------------------------------------------
+  // Rooms – switch the socket to another review session.
+  // -----------------------------------------------------------------------------
+  joinRoom(roomName) {
+    const name = (roomName || '').trim();
+    if (name === this.roomName) {
+      return;
+    }
+    this.roomName = name;
+    // The new room's snapshot replaces the scene once the server confirms the join.
+    this.socket.emit('join-room', { room: name });
+  }
+
+  // -----------------------------------------------------------------------------
+  // Host Role – claims are checked against the room's passcode or invite.
+  // -----------------------------------------------------------------------------
+  // Take the host role ('register-host') or ask the current host for it
+  // ('request-host'), sending whatever credentials we have.
+  claimHost(action) {
+    this.lastHostClaim = action;
+    if (action === 'request-host') {
+      // The request modal opens once the server has queued the request.
+      this.hostRequestPending = true;
+    }
+    this.socket.emit(action, { passcode: this.hostPasscode });
+  }
+
+  setDisplayName(name) {
+    if (name === this.displayName) {
+      return;
+    }
+    this.displayName = name;
+    localStorage.setItem('displayName', name);
+    // Reconnects send the handshake query again; keep the new name in it.
+    this.socket.io.opts.query.name = name;
+    this.socket.emit('set-display-name', { name });
+  }
+
+  // The id this browser is known by across reconnects, created on first visit.
+  getClientId() {
+    let clientId = localStorage.getItem('clientId');
+    if (!clientId) {
+      // crypto.randomUUID is only available in secure contexts (https/localhost).
+      clientId = window.crypto.randomUUID
+        ? window.crypto.randomUUID()
+        : Array.from(window.crypto.getRandomValues(new Uint8Array(16)), (byte) => byte.toString(16).padStart(2, '0')).join('');
+      localStorage.setItem('clientId', clientId);
+    }
+    return clientId;
+  }
+
+  // The participant id and resume token this tab last had in a room, or null.
+  getResume(roomName) {
+    try {
+      return JSON.parse(sessionStorage.getItem(`resume:${roomName}`));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  rememberHostPasscode(passcode) {
+    this.hostPasscode = passcode;
+    sessionStorage.setItem(`hostPasscode:${this.roomName}`, passcode);
+  }
+
+  // Keep the address bar in sync with the room so the link can be shared.
+  updateRoomInURL(roomName) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('room', roomName);
+    window.history.replaceState(null, '', url);
+  }
+
   // -----------------------------------------------------------------------------
   // Browse Interface – Fetch and let the user select uploaded GLB files.
   // -----------------------------------------------------------------------------
@@ -326,17 +679,8 @@ class App {
           selected.push({ url: cb.value, name: cb.id });
         });
         if(selected.length > 0) {
-          this.clearExistingModels();
-          for(const file of selected) {
-            await this.loadModel(file.url, file.name);
-          }
-          this.fitCameraToScene();
-          
-          // Add this broadcast for the host
-          if (this.isHost) {
-            // Broadcast the selected models to all clients
-            this.socket.emit('browse-selection', { parts: selected });
-          }
+          this.history.beginLoad();
+          await this.loadParts(selected);
         }
         document.body.removeChild(modalOverlay);
       });
@@ -349,6 +693,154 @@ class App {
     }
   }
 
+  // -----------------------------------------------------------------------------
+  // Replays – pick a recorded session and play it back instead of the live one.
+  // -----------------------------------------------------------------------------
+  async showRecordingsInterface() {
+    try {
+      const response = await fetch('/recordings');
+      const recordings = await response.json();
+      const modalOverlay = document.createElement('div');
+      modalOverlay.style.position = 'fixed';
+      modalOverlay.style.top = '0';
+      modalOverlay.style.left = '0';
+      modalOverlay.style.width = '100%';
+      modalOverlay.style.height = '100%';
+      modalOverlay.style.backgroundColor = 'rgba(0,0,0,0.5)';
+      modalOverlay.style.display = 'flex';
+      modalOverlay.style.alignItems = 'center';
+      modalOverlay.style.justifyContent = 'center';
+      modalOverlay.style.zIndex = '10000';
+
+      const modalContainer = document.createElement('div');
+      modalContainer.style.backgroundColor = 'white';
+      modalContainer.style.padding = '20px';
+      modalContainer.style.borderRadius = '8px';
+      modalContainer.style.minWidth = '300px';
+      modalContainer.style.maxHeight = '80%';
+      modalContainer.style.overflowY = 'auto';
+
+      const title = document.createElement('h2');
+      title.textContent = 'Recorded Sessions';
+      modalContainer.appendChild(title);
+
+      const recordingList = document.createElement('div');
+      recordingList.style.marginTop = '10px';
+      if (recordings.length === 0) {
+        recordingList.textContent = 'No sessions have been recorded yet.';
+      }
+      recordings.forEach((recording) => {
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.alignItems = 'center';
+        row.style.justifyContent = 'space-between';
+        row.style.gap = '10px';
+        row.style.marginBottom = '5px';
+
+        const label = document.createElement('span');
+        const minutes = Math.max(1, Math.round(recording.duration / 60000));
+        label.textContent = recording.active
+          ? `${recording.room}, ${new Date(recording.startedAt).toLocaleString()} (recording)`
+          : `${recording.room}, ${new Date(recording.startedAt).toLocaleString()} (${minutes} min)`;
+
+        const playButton = document.createElement('button');
+        playButton.textContent = 'Play';
+        playButton.style.padding = '4px 12px';
+        playButton.style.border = 'none';
+        playButton.style.borderRadius = '9999px';
+        playButton.style.background = '#d00024';
+        playButton.style.color = 'white';
+        playButton.style.cursor = 'pointer';
+        playButton.addEventListener('click', () => {
+          document.body.removeChild(modalOverlay);
+          this.startReplay(recording.id);
+        });
+
+        row.appendChild(label);
+        row.appendChild(playButton);
+        recordingList.appendChild(row);
+      });
+      modalContainer.appendChild(recordingList);
+
+      const buttonsDiv = document.createElement('div');
+      buttonsDiv.style.marginTop = '20px';
+      buttonsDiv.style.textAlign = 'right';
+
+      const cancelButton = document.createElement('button');
+      cancelButton.textContent = 'Cancel';
+      cancelButton.style.padding = '8px 16px';
+      cancelButton.style.border = 'none';
+      cancelButton.style.borderRadius = '9999px';
+      cancelButton.style.background = '#999';
+      cancelButton.style.color = 'white';
+      cancelButton.style.cursor = 'pointer';
+      cancelButton.addEventListener('click', () => {
+        document.body.removeChild(modalOverlay);
+      });
+
+      buttonsDiv.appendChild(cancelButton);
+      modalContainer.appendChild(buttonsDiv);
+      modalOverlay.appendChild(modalContainer);
+      document.body.appendChild(modalOverlay);
+    } catch (error) {
+      console.error("Error fetching recordings:", error);
+    }
+  }
+
+  // Replace the live scene with a recording. No host is needed: the
+  // recording drives the camera, parts and pointer until the replay ends.
+  async startReplay(id) {
+    let recording;
+    try {
+      recording = await ReplayPlayer.load(id);
+    } catch (error) {
+      console.error("Error loading recording:", error);
+      if (this.replayId && !this.replayPlayer) {
+        // A broken replay link: offer the live room instead.
+        this.clearReplayLink();
+        this.socket.emit('get-session-snapshot');
+        this.showLandingOverlay();
+      } else {
+        showRejectionModal(`The recording could not be opened: ${error.message}`);
+      }
+      return;
+    }
+    if (this.replayPlayer) {
+      this.replayPlayer.dispose();
+    }
+    this.pendingPartSyncs.clear();
+    this.cameraSyncPending = false;
+    this.replayPlayer = new ReplayPlayer(this, recording);
+    this.history.renderButtons();
+    this.setPartLocks([]);
+    await this.replayPlayer.seek(0);
+    this.replayPlayer.play();
+  }
+
+  // Leave the replay and go back to the room's live scene.
+  stopReplay() {
+    if (!this.replayPlayer) {
+      return;
+    }
+    this.replayPlayer.dispose();
+    this.replayPlayer = null;
+    this.history.renderButtons();
+    this.interpolator.clear();
+    this.setViewerPointerActive(false);
+    this.clearReplayLink();
+    // Reload the live product so the snapshot puts everything back in place.
+    this.clearExistingModels();
+    this.socket.emit('get-session-snapshot');
+  }
+
+  // Drop the ?replay= link so a reload opens the live room.
+  clearReplayLink() {
+    this.replayId = '';
+    const url = new URL(window.location.href);
+    url.searchParams.delete('replay');
+    window.history.replaceState(null, '', url);
+  }
+
   // -----------------------------------------------------------------------------
   // Pointer events (version 1)
   // -----------------------------------------------------------------------------
@@ -357,6 +849,317 @@ class App {
     this.pointerNDC.y = -(event.clientY / window.innerHeight) * 2 + 1;
   }
 
+  // Ray from the XR controller while presenting, otherwise through the mouse.
+  getPointerRaycaster() {
+    const raycaster = new THREE.Raycaster();
+    if (this.renderer.xr && this.renderer.xr.isPresenting && this.interactionManager && this.interactionManager.controller1) {
+      const controller = this.interactionManager.controller1;
+      const matrix = new THREE.Matrix4();
+      matrix.extractRotation(controller.matrixWorld);
+      const direction = new THREE.Vector3(0, 0, -1).applyMatrix4(matrix);
+      raycaster.set(controller.position, direction);
+    } else {
+      raycaster.setFromCamera(this.pointerNDC, this.camera);
+    }
+    return raycaster;
+  }
+
+  // The nearest part surface hit by `raycaster`: { part, point, object, face }
+  // (the mesh and triangle hit), or null.
+  // Part containers only report their bounding box, so their hits are skipped
+  // in favour of the meshes inside.
+  intersectParts(raycaster) {
+    const hit = raycaster.intersectObjects(this.productGroup.children, true)
+      .find((intersection) => !intersection.object.userData.isDraggable && this.isShown(intersection.object));
+    if (!hit) {
+      return null;
+    }
+    let part = hit.object;
+    while (part && !part.userData.isDraggable) {
+      part = part.parent;
+    }
+    return part ? { part, point: hit.point, object: hit.object, face: hit.face } : null;
+  }
+
+  // Whether `object` and all its parents are visible. Raycasts still hit
+  // hidden objects, so they are skipped with this.
+  isShown(object) {
+    for (let node = object; node; node = node.parent) {
+      if (!node.visible) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // -----------------------------------------------------------------------------
+  // Annotations – numbered notes pinned to a point on a part.
+  // -----------------------------------------------------------------------------
+  setAnnotationMode(active) {
+    this.annotationMode = active;
+    this.updatePartClickMode();
+  }
+
+  // Call `callback` with the next part surface clicked: { part, point }.
+  pickPartPoint(callback) {
+    this.pointPicker = callback;
+    this.updatePartClickMode();
+  }
+
+  // Whether a click on a part picks a point instead of starting a drag.
+  isPartClickMode() {
+    return this.annotationMode || !!this.pointPicker || !!(this.measureTool && this.measureTool.mode);
+  }
+
+  // Whether dragging parts is off: while picking, or while the section
+  // planes' or the parts' gizmo is out.
+  isPartDragBlocked() {
+    return this.isPartClickMode() || !!(this.sectionTool && this.sectionTool.isEditing()) ||
+      !!(this.transformGizmo && this.transformGizmo.isEditing());
+  }
+
+  updatePartClickMode() {
+    const active = this.isPartClickMode();
+    if (this.dragControls) {
+      this.dragControls.enabled = !this.isPartDragBlocked();
+    }
+    if (this.interactionManager) {
+      this.interactionManager.setDragEnabled(!this.isPartDragBlocked());
+    }
+    this.renderer.domElement.style.cursor = active ? 'crosshair' : '';
+  }
+
+  onPartClick(event) {
+    this.handlePointerMove(event);
+    const hit = this.intersectParts(this.getPointerRaycaster());
+    if (!hit) {
+      return;
+    }
+    if (this.pointPicker) {
+      const picker = this.pointPicker;
+      this.pointPicker = null;
+      this.updatePartClickMode();
+      picker(hit);
+      return;
+    }
+    if (this.measureTool.mode) {
+      this.measureTool.onPick(hit);
+      return;
+    }
+    if (this.replayPlayer) {
+      return;
+    }
+    // Stored in the part's own space so the pin moves with the part.
+    const position = hit.part.worldToLocal(hit.point.clone()).toArray();
+    showAnnotationModal({
+      onSave: (text) => this.socket.emit('add-annotation', { part: hit.part.name, position, text })
+    });
+  }
+
+  setAnnotations(annotations) {
+    this.annotations = annotations || [];
+    this.updateAnnotationPins();
+  }
+
+  // Show a numbered pin for every note on a loaded part.
+  updateAnnotationPins() {
+    if (!this.labelManager) return;
+    this.labelManager.clear('annotation:');
+    this.annotations.forEach((annotation) => {
+      const object = this.loadedModels.get(annotation.part);
+      if (!object) return;
+      const pin = this.labelManager.add(
+        `annotation:${annotation.id}`,
+        object,
+        String(annotation.number),
+        new THREE.Vector3().fromArray(annotation.position),
+        {
+          transform: 'translate(-50%, -50%)',
+          minWidth: '12px',
+          textAlign: 'center',
+          backgroundColor: '#ffb300',
+          color: 'black',
+          fontWeight: 'bold',
+          border: '2px solid white',
+          pointerEvents: 'auto',
+          cursor: 'pointer'
+        }
+      );
+      pin.title = annotation.text;
+      pin.addEventListener('click', () => this.showAnnotation(annotation));
+    });
+  }
+
+  // Open a note; its author and the host may edit or delete it.
+  showAnnotation(annotation) {
+    const editable = !this.replayPlayer && (annotation.authorId === this.clientId || this.isHost);
+    showAnnotationModal({
+      number: annotation.number,
+      text: annotation.text,
+      author: annotation.author,
+      editable,
+      onSave: (text) => this.socket.emit('update-annotation', { id: annotation.id, text }),
+      onDelete: () => this.socket.emit('remove-annotation', { id: annotation.id })
+    });
+  }
+
+  // -----------------------------------------------------------------------------
+  // Issues – review problems tied to a part, listed in the issue panel.
+  // -----------------------------------------------------------------------------
+  setIssues(issues) {
+    this.issues = issues || [];
+    this.issuePanel.setIssues(this.issues);
+    this.updateIssuePins();
+  }
+
+  // Mark the point of every unresolved issue on a loaded part.
+  updateIssuePins() {
+    if (!this.labelManager) return;
+    this.labelManager.clear('issue:');
+    this.issues.forEach((issue) => {
+      const object = this.loadedModels.get(issue.part);
+      if (!object || !issue.position || issue.status === 'resolved') return;
+      const pin = this.labelManager.add(
+        `issue:${issue.id}`,
+        object,
+        `#${issue.number}`,
+        new THREE.Vector3().fromArray(issue.position),
+        { transform: 'translate(-50%, -50%)', backgroundColor: '#d00024', border: '2px solid white' }
+      );
+      pin.title = issue.title;
+    });
+  }
+
+  // Where the camera is and what it looks at, for saving with an issue.
+  getCameraView() {
+    return {
+      position: this.camera.position.toArray(),
+      target: this.orbitControls.target.toArray()
+    };
+  }
+
+  // Move the camera to frame `object`, looking from the current direction.
+  focusObject(object) {
+    const box = new THREE.Box3().setFromObject(object);
+    if (box.isEmpty()) {
+      return;
+    }
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
+    const fovRadians = this.camera.fov * (Math.PI / 180);
+    const distance = Math.max(size.x, size.y, size.z) / Math.tan(fovRadians / 2) * 1.2;
+    const direction = this.camera.position.clone().sub(this.orbitControls.target).normalize();
+    this.flyTo(center.clone().addScaledVector(direction, distance), center);
+  }
+
+  // Move the camera to a view saved by getCameraView().
+  flyToView(view) {
+    this.flyTo(new THREE.Vector3().fromArray(view.position), new THREE.Vector3().fromArray(view.target));
+  }
+
+  // Move the camera to an issue's saved view, or else to its point or part.
+  flyToIssue(issue) {
+    if (issue.camera) {
+      this.flyToView(issue.camera);
+      return;
+    }
+    const object = this.loadedModels.get(issue.part);
+    if (!object) {
+      return;
+    }
+    const target = issue.position
+      ? object.localToWorld(new THREE.Vector3().fromArray(issue.position))
+      : new THREE.Box3().setFromObject(object).getCenter(new THREE.Vector3());
+    // Keep looking from the same direction and distance.
+    const offset = this.camera.position.clone().sub(this.orbitControls.target);
+    this.flyTo(target.clone().add(offset), target);
+  }
+
+  flyTo(position, target, duration = 800) {
+    this.interpolator.clear('camera');
+    this.cameraFlight = {
+      fromPosition: this.camera.position.clone(),
+      fromTarget: this.orbitControls.target.clone(),
+      toPosition: position,
+      toTarget: target,
+      start: performance.now(),
+      duration
+    };
+  }
+
+  // Advance a camera flight. Called every frame.
+  updateCameraFlight() {
+    const flight = this.cameraFlight;
+    if (!flight) {
+      return;
+    }
+    const progress = Math.min(1, (performance.now() - flight.start) / flight.duration);
+    const eased = progress * progress * (3 - 2 * progress);
+    this.camera.position.lerpVectors(flight.fromPosition, flight.toPosition, eased);
+    this.orbitControls.target.lerpVectors(flight.fromTarget, flight.toTarget, eased);
+    if (progress >= 1) {
+      this.cameraFlight = null;
+    }
+  }
+
+  // -----------------------------------------------------------------------------
+  // Review report – screenshots of the saved views sent to the server.
+  // -----------------------------------------------------------------------------
+  async generateReport(viewpoints) {
+    const views = this.captureViewpoints(viewpoints);
+    try {
+      const response = await fetch(`/sessions/${encodeURIComponent(this.roomName || 'default')}/reports`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-socket-id': this.socket.id,
+          'x-socket-secret': this.requestSecret
+        },
+        body: JSON.stringify({ views })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        showRejectionModal(data.error || 'The report could not be generated.');
+        return;
+      }
+      showReportLinksModal(data);
+    } catch (error) {
+      console.error("Report generation error:", error);
+      showRejectionModal('The report could not be generated.');
+    }
+  }
+
+  // Render the scene from each view (or the current one if there are none)
+  // and return them as JPEG data URLs at most 1280px wide.
+  captureViewpoints(viewpoints) {
+    const savedPosition = this.camera.position.clone();
+    const savedQuaternion = this.camera.quaternion.clone();
+    const shots = viewpoints.length > 0 ? viewpoints : [{ name: 'Current view', camera: null }];
+    const source = this.renderer.domElement;
+    const scale = Math.min(1, 1280 / source.width);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(source.width * scale);
+    canvas.height = Math.round(source.height * scale);
+    const context = canvas.getContext('2d');
+    const views = shots.map((viewpoint) => {
+      if (viewpoint.camera) {
+        this.camera.position.fromArray(viewpoint.camera.position);
+        this.camera.lookAt(new THREE.Vector3().fromArray(viewpoint.camera.target));
+      }
+      this.camera.updateMatrixWorld();
+      this.renderer.render(this.scene, this.camera);
+      // The drawing buffer is only readable in the same task as the render.
+      context.fillStyle = 'white';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(source, 0, 0, canvas.width, canvas.height);
+      return { name: viewpoint.name, image: canvas.toDataURL('image/jpeg', 0.85) };
+    });
+    this.camera.position.copy(savedPosition);
+    this.camera.quaternion.copy(savedQuaternion);
+    this.camera.updateMatrixWorld();
+    return views;
+  }
+
   // -----------------------------------------------------------------------------
   // Upload Overlay (version 1)
   // -----------------------------------------------------------------------------
@@ -392,6 +1195,42 @@ class App {
     }
   }
 
+  // -----------------------------------------------------------------------------
+  // Connection Banner (reconnecting state)
+  // -----------------------------------------------------------------------------
+  createConnectionBanner() {
+    const banner = document.createElement('div');
+    banner.id = 'connection-banner';
+    banner.style.position = 'fixed';
+    banner.style.top = '60px';
+    banner.style.left = '50%';
+    banner.style.transform = 'translateX(-50%)';
+    banner.style.padding = '8px 16px';
+    banner.style.borderRadius = '9999px';
+    banner.style.backgroundColor = 'rgba(0, 0, 0, 0.75)';
+    banner.style.color = 'white';
+    banner.style.fontFamily = 'sans-serif';
+    banner.style.fontSize = '14px';
+    banner.style.display = 'none';
+    banner.style.zIndex = '2500';
+    document.body.appendChild(banner);
+    this.connectionBanner = banner;
+  }
+
+  // Show whichever reconnecting state applies, our own connection first.
+  updateConnectionBanner() {
+    if (!this.connectionBanner) return;
+    let text = '';
+    if (this.connectionLost) {
+      text = 'Connection lost. Reconnecting…';
+    } else if (this.hostReconnecting) {
+      const host = this.participants.find((participant) => participant.id === this.currentHostId);
+      text = `${host ? host.name : 'The host'} is reconnecting…`;
+    }
+    this.connectionBanner.textContent = text;
+    this.connectionBanner.style.display = text ? 'block' : 'none';
+  }
+
   // -----------------------------------------------------------------------------
   // Loading Overlay (for both demo and upload)
   // -----------------------------------------------------------------------------
@@ -449,44 +1288,170 @@ class App {
   // Socket Listeners Integration
   // -----------------------------------------------------------------------------
   setupSocketListeners() {
+    // socket.io reconnects by itself; the server then resumes our participant.
+    this.socket.on('disconnect', () => {
+      this.connectionLost = true;
+      this.updateConnectionBanner();
+    });
+
+    this.socket.on('connect', () => {
+      this.connectionLost = false;
+      this.updateConnectionBanner();
+    });
+
+    this.socket.on('room-joined', (data) => {
+      this.roomName = data.room;
+      // The server picks another id when this browser is already in the room in another tab.
+      this.clientId = data.clientId;
+      // Reconnect into the room we are in now, not the one we started in, as
+      // the participant we are there. Only this tab is given the token.
+      this.socket.io.opts.query.room = data.room;
+      this.socket.io.opts.query.clientId = data.clientId;
+      this.socket.io.opts.query.resumeToken = data.resumeToken;
+      sessionStorage.setItem(`resume:${data.room}`, JSON.stringify({ clientId: data.clientId, resumeToken: data.resumeToken }));
+      this.updateRoomInURL(data.room);
+      console.log("Joined room:", data.room, data.resumed ? "(resumed)" : "");
+      this.hostPasscode = sessionStorage.getItem(`hostPasscode:${data.room}`);
+      // The server decides the update rate; buffer two updates' worth.
+      this.syncRate = data.syncRate || this.syncRate;
+      this.interpolator.delay = 2 * 1000 / this.syncRate;
+      // A resumed participant keeps whatever role it had.
+      if (this.requestedHostRole && !data.resumed) {
+        this.claimHost('register-host');
+      }
+    });
+
+    this.socket.on('host-reconnecting', (data) => {
+      this.hostReconnecting = data.hostClientId !== this.clientId;
+      this.updateConnectionBanner();
+    });
+
     this.socket.on('host-transfer-request', (data) => {
       if (this.isHost) {
-        showHostRequestModal(this, data, 30);
+        showHostRequestModal(this, data);
       }
     });
 
-    this.socket.on('transfer-denied', (data) => {
-      showConfirmationModal("Your request has been denied.");
+    this.socket.on('host-request-cancelled', (data) => {
+      if (this.activeHostRequestId === data.requestId) {
+        this.activeHostRequestId = null;
+        hideModal();
+      }
+    });
+
+    // Host side: the ordered queue of people waiting for the host role.
+    this.socket.on('host-request-queue', (data) => {
+      this.hostRequestQueue = data.requests;
+      updateHostRequestQueue(this, data.requests);
+    });
+
+    // Requester side: our place in the queue, re-sent whenever it changes.
+    this.socket.on('host-request-queued', (data) => {
+      if (this.hostRequestPending) {
+        showViewerRequestModal(this, data);
+      }
+    });
+
+    this.socket.on('handover-policy', (policy) => {
+      this.handoverPolicy = policy;
+      updateHandoverPolicyUI(this);
+    });
+
+    this.socket.on('request-secret', (data) => {
+      this.requestSecret = data.secret;
+    });
+
+    this.socket.on('host-credentials', (data) => {
+      this.rememberHostPasscode(data.passcode);
+      showConfirmationModal(`You're now the host. This room's host passcode is ${data.passcode}; use Share to invite others.`);
+    });
+
+    this.socket.on('host-auth-rejected', (data) => {
       this.hostRequestPending = false;
       if (this.hostRequestTimer) {
         clearTimeout(this.hostRequestTimer);
         this.hostRequestTimer = null;
       }
+      if (data.code === 'passcode-required' || data.code === 'invalid-passcode') {
+        showPasscodeModal(data.reason, (passcode) => {
+          this.rememberHostPasscode(passcode);
+          this.claimHost(this.lastHostClaim);
+        });
+      } else {
+        showRejectionModal(data.reason);
+      }
     });
 
-    this.socket.on('host-changed', (data) => {
-      this.currentHostId = data.hostSocketId;
-      this.isHost = data.hostSocketId ? (data.hostSocketId === this.socket.id) : false;
-      console.log("Host changed; new hostSocketId:", data.hostSocketId, "isHost:", this.isHost);
+    this.socket.on('roster-update', (data) => {
+      this.participants = data.participants;
+      updateParticipantPanel(this, data.participants);
+      this.updateConnectionBanner();
+    });
+
+    // The server refused a malformed event of ours.
+    this.socket.on('event-rejected', (data) => {
+      console.warn(`Server rejected ${data.event}: ${data.reason}`);
+      if (data.event === 'browse-selection') {
+        showRejectionModal(`The selected product could not be shared: ${data.reason}`);
+      }
+    });
+
+    this.socket.on('invite-links', (data) => {
+      showInviteLinksModal(data);
+    });
+
+    this.socket.on('transfer-denied', (data) => {
+      showConfirmationModal("Your request has been denied.");
       this.hostRequestPending = false;
       if (this.hostRequestTimer) {
         clearTimeout(this.hostRequestTimer);
         this.hostRequestTimer = null;
       }
+    });
+
+    this.socket.on('host-changed', (data) => {
+      const wasHost = this.isHost;
+      this.currentHostId = data.hostClientId;
+      this.isHost = data.hostClientId ? (data.hostClientId === this.clientId) : false;
+      // A host without a socket is still within its reconnect grace period.
+      this.hostReconnecting = !!data.hostClientId && !data.hostSocketId && !this.isHost;
+      this.updateConnectionBanner();
+      console.log("Host changed; new hostClientId:", data.hostClientId, "isHost:", this.isHost);
+      // Requests stay queued across host changes until we get the role.
+      if (this.isHost) {
+        this.hostRequestPending = false;
+        if (this.hostRequestTimer) {
+          clearTimeout(this.hostRequestTimer);
+          this.hostRequestTimer = null;
+        }
+      }
+
+      // The history belongs to one stretch as host.
+      if (this.isHost !== wasHost) {
+        this.history.clear();
+      }
 
       if (this.toggleUI) {
         updateToggleUI(this, this.toggleUI.viewerButton, this.toggleUI.hostButton, this.isHost);
       }
 
-      if (this.isHost) {
+      if (this.isHost && !wasHost) {
         showConfirmationModal("You're now the host.");
       }
     });
 
-    this.socket.on('product-upload-complete', async (data) => {
+    // Scene state events are queued while a snapshot is being applied so
+    // that live deltas land on top of the snapshot rather than before it.
+    this.onSessionEvent('session-snapshot', (snapshot) => this.applySessionSnapshot(snapshot));
+
+    this.onSessionEvent('product-upload-complete', async (data) => {
       this.showUploadOverlay();
+      // Locks belong to the previous product.
+      this.setPartLocks([]);
       if (!this.isHost) {
         this.clearExistingModels();
+      } else if (data.sender === this.socket.id) {
+        this.history.finishLoad(data.parts);
       }
       const loadPromises = data.parts.map((part) => {
         if (!this.loadedModels.has(part.name)) {
@@ -503,82 +1468,280 @@ class App {
       this.hideUploadOverlay();
     });
 
-    this.socket.on('model-transform', (modelState) => {
+    // Transforms come from the host or, in collaborative mode, from whoever
+    // holds the part's lock, so the host applies them too. A part we are
+    // dragging ourselves is left alone.
+    this.onSessionEvent('model-transform', (modelState) => {
+      const dragged = this.dragStartState && this.dragStartState.object.name === modelState.customId;
+      if (dragged && !this.dragBlocked) {
+        return;
+      }
+      this.queueRemoteState(`part:${modelState.customId}`, modelState);
+    });
+
+    this.onSessionEvent('camera-update', (cameraState) => {
       if (!this.isHost) {
-        const object = this.loadedModels.get(modelState.customId);
-        if (object) {
-          object.position.fromArray(modelState.position);
-          object.rotation.fromArray(modelState.rotation);
-          object.scale.fromArray(modelState.scale);
-        } else {
-          console.log(`No matching model found for customId: ${modelState.customId}`);
-        }
+        this.queueRemoteState('camera', cameraState);
       }
     });
 
-    this.socket.on('camera-update', (cameraState) => {
+    this.onSessionEvent('section-update', (section) => {
       if (!this.isHost) {
-        this.camera.position.fromArray(cameraState.position);
-        this.camera.rotation.fromArray(cameraState.rotation);
-        if (this.orbitControls) {
-          this.orbitControls.target.fromArray(cameraState.target);
-          this.orbitControls.update();
-        }
+        this.sectionTool.setState(section);
       }
     });
 
-    this.socket.on('host-pointer-toggle', (data) => {
+    this.onSessionEvent('explode-update', (data) => {
       if (!this.isHost) {
-        if (data.active) {
-          if (!this.viewerPointer) {
-            const pointerRadius = 0.005;
-            const redMesh = new THREE.Mesh(
-              new THREE.SphereGeometry(pointerRadius, 16, 16),
-              new THREE.MeshBasicMaterial({ color: 0xff0000 })
-            );
-            const outlineMesh = redMesh.clone();
-            outlineMesh.material = new THREE.MeshBasicMaterial({
-              color: 0xffffff,
-              side: THREE.BackSide
-            });
-            outlineMesh.scale.multiplyScalar(1.2);
-            const pointerGroup = new THREE.Group();
-            pointerGroup.add(outlineMesh);
-            pointerGroup.add(redMesh);
-            this.viewerPointer = pointerGroup;
-            this.scene.add(this.viewerPointer);
-          }
-        } else {
-          if (this.viewerPointer) {
-            this.scene.remove(this.viewerPointer);
-            this.viewerPointer = null;
-          }
-        }
+        this.explodeView.setFactor(data.factor);
+      }
+    });
+
+    this.onSessionEvent('explode-directions', (data) => this.explodeView.setDirections(data.directions));
+
+    this.onSessionEvent('visibility', (data) => this.partVisibility.setState(data));
+
+    this.onSessionEvent('labels', (data) => this.outliner.setLabels(data.labels));
+
+    this.onSessionEvent('materials', (data) => this.materialVariants.setState(data));
+
+    this.onSessionEvent('sequence', (data) => this.assemblySequence.setSteps(data.steps));
+    this.onSessionEvent('sequence-step', (data) => this.assemblySequence.setPlayingStep(data.index));
+
+    this.onSessionEvent('host-pointer-toggle', (data) => {
+      if (!this.isHost) {
+        this.setViewerPointerActive(data.active);
       }
     });
 
-    this.socket.on('host-pointer-update', (data) => {
+    this.onSessionEvent('host-pointer-update', (data) => {
       if (!this.isHost && this.viewerPointer) {
         this.viewerPointer.position.fromArray(data.position);
       }
     });
 
-    this.socket.on('reset-all', (resetAll) => {
-      if (this.productGroup) {
-        this.productGroup.children.forEach((child) => {
-          child.position.set(0, 0, 0);
-          child.rotation.set(0, 0, 0);
-          if (child.children.length > 0 && child.children[0].userData.originalScale) {
-            child.scale.copy(child.children[0].userData.originalScale);
-          } else {
-            child.scale.set(1, 1, 1);
-          }
-        });
-      }
+    this.onSessionEvent('host-ar-state', (data) => {
+      this.hostARActive = data.active;
+    });
+
+    // The host cleared the parts, e.g. undoing the first product it loaded.
+    this.onSessionEvent('models-cleared', () => {
+      this.setPartLocks([]);
+      this.clearExistingModels();
+    });
+
+    this.onSessionEvent('reset-all', (resetAll) => {
+      this.interpolator.clear();
+      this.resetPartTransforms();
       if (typeof this.fitCameraToScene === 'function') {
         this.fitCameraToScene();
       }
     });
+
+    // Collaborative mode: who is moving which part.
+    this.onSessionEvent('part-locks', (data) => this.setPartLocks(data.locks));
+
+    this.onSessionEvent('annotations', (data) => this.setAnnotations(data.annotations));
+
+    this.onSessionEvent('measurements', (data) => this.measureTool.setShared(data.measurements, data.unitScale));
+
+    // Issues are not part of the scene, so they stay live during a replay.
+    this.socket.on('issues', (data) => this.setIssues(data.issues));
+
+    this.socket.on('report-settings', (settings) => this.reportPanel.setSettings(settings));
+
+    this.socket.on('part-lock-denied', (data) => {
+      console.log(`Lock on ${data.part} denied: ${data.reason}`);
+      if (this.heldLock === data.part) {
+        this.heldLock = null;
+        this.dragBlocked = true;
+        this.restoreDragStart();
+      }
+    });
+
+    this.socket.on('collaboration-settings', (settings) => {
+      this.collaboration = settings;
+      updateCollaborationUI(this);
+      updateParticipantPanel(this, this.participants);
+      this.transformGizmo.render();
+    });
+
+    this.socket.on('recording-state', (state) => {
+      this.recording = state;
+      updateRecordingUI(this);
+      if (state.savedId && this.isHost) {
+        showRecordingSavedModal(`${window.location.origin}/?replay=${encodeURIComponent(state.savedId)}`);
+      }
+    });
+  }
+
+  // Register a socket handler for an event that changes the shared scene.
+  // While a session snapshot is being applied the event is queued and
+  // replayed, in order, once the snapshot is in place. During a replay live
+  // scene events are ignored; leaving the replay fetches a fresh snapshot.
+  onSessionEvent(eventName, handler) {
+    this.socket.on(eventName, (data) => {
+      if (this.replayPlayer || this.replayId) {
+        return;
+      }
+      if (this.isApplyingSnapshot) {
+        this.queuedSessionEvents.push(() => handler(data));
+      } else {
+        handler(data);
+      }
+    });
+  }
+
+  // -----------------------------------------------------------------------------
+  // Session Snapshot – bring a late joiner up to the room's current state.
+  // -----------------------------------------------------------------------------
+  async applySessionSnapshot(snapshot) {
+    this.isApplyingSnapshot = true;
+    this.queuedSessionEvents = [];
+    // After a reconnect the same product is usually still loaded; keep it
+    // instead of reloading, and a resumed host keeps its own view of it.
+    const sameParts = snapshot.parts.length === this.loadedModels.size &&
+      snapshot.parts.every((part) => this.loadedModels.has(part.name));
+    try {
+      if (!sameParts) {
+        this.clearExistingModels();
+        if (snapshot.parts.length > 0) {
+          this.showUploadOverlay();
+          try {
+            await Promise.all(snapshot.parts.map((part) => this.loadModel(part.url, part.name)));
+          } catch (error) {
+            console.error("Error loading snapshot parts:", error);
+          }
+          this.hideUploadOverlay();
+        }
+      }
+      if (!sameParts || !this.isHost) {
+        Object.values(snapshot.transforms).forEach((modelState) => this.applyModelTransform(modelState));
+        if (snapshot.camera) {
+          this.applyCameraState(snapshot.camera);
+        }
+      }
+      this.setViewerPointerActive(snapshot.pointer.active);
+      if (snapshot.pointer.active && snapshot.pointer.position) {
+        this.viewerPointer.position.fromArray(snapshot.pointer.position);
+      }
+      this.hostARActive = snapshot.ar.active;
+      this.collaboration = snapshot.collaboration;
+      updateCollaborationUI(this);
+      this.setPartLocks(snapshot.locks);
+      this.setAnnotations(snapshot.annotations);
+      this.measureTool.setShared(snapshot.measurements, snapshot.unitScale);
+      this.sectionTool.setState(snapshot.section);
+      this.explodeView.setDirections(snapshot.explodeDirections);
+      this.explodeView.setFactor(snapshot.explode ? snapshot.explode.factor : 0, { animate: false });
+      this.setIssues(snapshot.issues);
+      this.reportPanel.setSettings(snapshot.report);
+      this.outliner.setLabels(snapshot.labels);
+      this.partVisibility.setState(snapshot.visibility);
+      this.materialVariants.setState(snapshot.materials);
+      this.assemblySequence.setSteps(snapshot.sequence);
+      this.assemblySequence.setPlayingStep(snapshot.sequenceStep === null ? -1 : snapshot.sequenceStep);
+    } finally {
+      // Replay live deltas that arrived while the snapshot was loading.
+      const queued = this.queuedSessionEvents;
+      this.isApplyingSnapshot = false;
+      this.queuedSessionEvents = [];
+      for (const applyEvent of queued) {
+        await applyEvent();
+      }
+    }
+  }
+
+  // Reset the parts and the camera here and, from the host, for everyone.
+  resetAll() {
+    this.resetPartTransforms();
+    this.fitCameraToScene();
+    // Not while replaying.
+    if (this.isHost && !this.replayPlayer) {
+      this.socket.emit('reset-all');
+    }
+  }
+
+  // Put every part back where it was loaded.
+  resetPartTransforms() {
+    if (this.productGroup) {
+      this.loadedModels.forEach((child) => this.resetPartTransform(child));
+    }
+  }
+
+  resetPartTransform(child) {
+    if (this.partSnapping.applyHome(child)) {
+      return;
+    }
+    child.position.set(0, 0, 0);
+    child.rotation.set(0, 0, 0);
+    // Reset to the stored original scale or default to (1, 1, 1)
+    if (child.children.length > 0 && child.children[0].userData.originalScale) {
+      child.scale.copy(child.children[0].userData.originalScale);
+    } else {
+      child.scale.set(1, 1, 1);
+    }
+  }
+
+  // Put one part back where it was loaded, as a move of it, so locks and
+  // undo apply.
+  returnPartHome(part) {
+    this.onPartDragStart(part);
+    this.resetPartTransform(part);
+    this.onPartDrag(part);
+    this.onPartDragEnd(part);
+  }
+
+  applyModelTransform(modelState) {
+    // Set directly: forget any update still being played back.
+    this.interpolator.clear(`part:${modelState.customId}`);
+    const object = this.loadedModels.get(modelState.customId);
+    if (object) {
+      object.position.fromArray(modelState.position);
+      object.rotation.fromArray(modelState.rotation);
+      object.scale.fromArray(modelState.scale);
+    } else {
+      console.log(`No matching model found for customId: ${modelState.customId}`);
+    }
+  }
+
+  applyCameraState(cameraState) {
+    this.interpolator.clear('camera');
+    this.camera.position.fromArray(cameraState.position);
+    this.camera.rotation.fromArray(cameraState.rotation);
+    if (this.orbitControls) {
+      this.orbitControls.target.fromArray(cameraState.target);
+      this.orbitControls.update();
+    }
+  }
+
+  // Show or hide the red sphere mirroring the host's pointer.
+  setViewerPointerActive(active) {
+    if (active) {
+      if (!this.viewerPointer) {
+        const pointerRadius = 0.005;
+        const redMesh = new THREE.Mesh(
+          new THREE.SphereGeometry(pointerRadius, 16, 16),
+          new THREE.MeshBasicMaterial({ color: 0xff0000 })
+        );
+        const outlineMesh = redMesh.clone();
+        outlineMesh.material = new THREE.MeshBasicMaterial({
+          color: 0xffffff,
+          side: THREE.BackSide
+        });
+        outlineMesh.scale.multiplyScalar(1.2);
+        const pointerGroup = new THREE.Group();
+        pointerGroup.add(outlineMesh);
+        pointerGroup.add(redMesh);
+        this.viewerPointer = pointerGroup;
+        this.scene.add(this.viewerPointer);
+      }
+    } else {
+      if (this.viewerPointer) {
+        this.scene.remove(this.viewerPointer);
+        this.viewerPointer = null;
+      }
+    }
   }
 
   // -----------------------------------------------------------------------------
@@ -608,7 +1771,8 @@ class App {
     );
     this.camera.position.set(0, 0, 0);
 
-    this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+    // The stencil buffer caps the faces cut by section planes.
+    this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, stencil: true });
     this.renderer.setSize(window.innerWidth, window.innerHeight);
     this.renderer.setPixelRatio(window.devicePixelRatio);
     this.renderer.xr.enabled = true;
@@ -650,12 +1814,7 @@ class App {
     this.orbitControls.dampingFactor = 0.05;
     this.orbitControls.addEventListener('change', () => {
       if (this.isHost) {
-        const cameraState = {
-          position: this.camera.position.toArray(),
-          rotation: this.camera.rotation.toArray(),
-          target: this.orbitControls.target.toArray()
-        };
-        this.socket.emit('camera-update', cameraState);
+        this.cameraSyncPending = true;
       }
     });
     this.dragControls = new DragControls(this.draggableObjects, this.camera, this.renderer.domElement);
@@ -665,50 +1824,294 @@ class App {
   }
 
   setupControlsEventListeners() {
-    this.dragControls.addEventListener('dragstart', () => {
+    this.dragControls.addEventListener('dragstart', (event) => {
       this.orbitControls.enabled = false;
       this.isDragging = true;
+      this.onPartDragStart(event.object);
     });
-    this.dragControls.addEventListener('dragend', () => {
+    this.dragControls.addEventListener('dragend', (event) => {
       this.orbitControls.enabled = true;
       this.isDragging = false;
+      this.onPartDragEnd(event.object);
     });
     this.dragControls.addEventListener('drag', (event) => {
-      const object = event.object;
-      if (object.userData.originalScale) {
-        object.scale.copy(object.userData.originalScale);
+      this.partSnapping.snapToGrid(event.object);
+      this.onPartDrag(event.object);
+    });
+  }
+
+  // -----------------------------------------------------------------------------
+  // Part Editing – the host moves parts; in collaborative mode editors lock
+  // the part they drag so nobody else can move it at the same time.
+  // -----------------------------------------------------------------------------
+  canEditParts() {
+    if (this.isHost) return true;
+    const { enabled, editors, allowed } = this.collaboration;
+    return enabled && (editors === 'everyone' || allowed.includes(this.clientId));
+  }
+
+  onPartDragStart(object) {
+    const lock = this.partLocks.get(object.name);
+    this.dragStartState = {
+      object,
+      position: object.position.clone(),
+      quaternion: object.quaternion.clone(),
+      scale: object.scale.clone(),
+      transform: getTransform(object)
+    };
+    // Someone else is moving this part, or a replay is; hold it in place.
+    this.dragBlocked = !!this.replayPlayer || (!!lock && lock.clientId !== this.clientId);
+    if (!this.dragBlocked && this.collaboration.enabled && this.canEditParts()) {
+      this.heldLock = object.name;
+      this.socket.emit('lock-part', { part: object.name });
+    }
+  }
+
+  onPartDrag(object) {
+    if (this.dragBlocked) {
+      this.restoreDragStart();
+      return;
+    }
+    if (this.isHost || this.heldLock === object.name) {
+      this.pendingPartSyncs.add(object);
+    }
+  }
+
+  // `snap` lets the magnet pull a part let go near home into place; typed
+  // values are kept as they are.
+  onPartDragEnd(object, { snap = true } = {}) {
+    if (this.dragBlocked) {
+      this.restoreDragStart();
+    } else if (this.isHost || this.heldLock === object.name) {
+      if (snap) {
+        this.partSnapping.snapHome(object);
+      }
+      // Send where the part ended up right away, before letting go of it.
+      this.pendingPartSyncs.delete(object);
+      this.emitModelTransform(object);
+      if (this.dragStartState) {
+        this.history.recordTransform(object, this.dragStartState.transform);
+      }
+      if (this.heldLock === object.name) {
+        this.socket.emit('unlock-part', { part: object.name });
+      }
+    }
+    this.heldLock = null;
+    this.dragStartState = null;
+    this.dragBlocked = false;
+  }
+
+  restoreDragStart() {
+    if (this.dragStartState) {
+      const { object, position, quaternion, scale } = this.dragStartState;
+      object.position.copy(position);
+      object.quaternion.copy(quaternion);
+      object.scale.copy(scale);
+    }
+  }
+
+  emitModelTransform(object) {
+    const modelState = {
+      customId: object.name,
+      position: object.position.toArray(),
+      rotation: object.rotation.toArray(),
+      scale: object.scale.toArray(),
+      seq: ++this.syncSeq,
+      t: Date.now()
+    };
+    this.socket.emit('model-transform', modelState);
+  }
+
+  emitExplodeState() {
+    this.socket.emit('explode-update', {
+      factor: this.explodeView.target,
+      seq: ++this.syncSeq,
+      t: Date.now()
+    });
+  }
+
+  emitSectionState() {
+    this.socket.emit('section-update', {
+      ...this.sectionTool.getState(),
+      seq: ++this.syncSeq,
+      t: Date.now()
+    });
+  }
+
+  emitCameraState() {
+    const cameraState = {
+      position: this.camera.position.toArray(),
+      rotation: this.camera.rotation.toArray(),
+      target: this.orbitControls.target.toArray(),
+      seq: ++this.syncSeq,
+      t: Date.now()
+    };
+    this.socket.emit('camera-update', cameraState);
+  }
+
+  // Send the camera and dragged parts if they changed, at most `syncRate`
+  // times per second. Called every frame.
+  flushStateSync() {
+    if (this.replayPlayer) {
+      return;
+    }
+    const now = performance.now();
+    if (now - this.lastSyncAt < 1000 / this.syncRate) {
+      return;
+    }
+    if (this.cameraSyncPending || this.sectionSyncPending || this.explodeSyncPending || this.pendingPartSyncs.size > 0) {
+      this.lastSyncAt = now;
+    }
+    if (this.cameraSyncPending) {
+      this.cameraSyncPending = false;
+      if (this.isHost) {
+        this.emitCameraState();
+      }
+    }
+    if (this.sectionSyncPending) {
+      this.sectionSyncPending = false;
+      if (this.isHost) {
+        this.emitSectionState();
       }
+    }
+    if (this.explodeSyncPending) {
+      this.explodeSyncPending = false;
       if (this.isHost) {
-        const modelState = {
-          customId: object.name,
-          position: object.position.toArray(),
-          rotation: object.rotation.toArray(),
-          scale: object.scale.toArray()
-        };
-        this.socket.emit('model-transform', modelState);
+        this.emitExplodeState();
+      }
+    }
+    this.pendingPartSyncs.forEach((object) => this.emitModelTransform(object));
+    this.pendingPartSyncs.clear();
+  }
+
+  // Buffer a received camera or part update for smooth playback.
+  queueRemoteState(key, state) {
+    const values = {
+      position: new THREE.Vector3().fromArray(state.position),
+      quaternion: new THREE.Quaternion().setFromEuler(new THREE.Euler().fromArray(state.rotation))
+    };
+    if (state.target) values.target = new THREE.Vector3().fromArray(state.target);
+    if (state.scale) values.scale = new THREE.Vector3().fromArray(state.scale);
+    // Updates without a sequence number or timestamp apply as they arrive.
+    const sample = {
+      seq: Number.isFinite(state.seq) ? state.seq : Infinity,
+      t: Number.isFinite(state.t) ? state.t : Date.now(),
+      sender: state.sender,
+      values
+    };
+    if (!this.interpolator.push(key, sample)) {
+      console.log(`Dropped out-of-order update for ${key}`);
+    }
+  }
+
+  // Move the camera and parts to their interpolated remote state. Called
+  // every frame.
+  applyInterpolatedStates() {
+    this.interpolator.keys().forEach((key) => {
+      const values = this.interpolator.sample(key);
+      if (!values) return;
+      if (key === 'camera') {
+        this.camera.position.copy(values.position);
+        this.camera.quaternion.copy(values.quaternion);
+        if (values.target && this.orbitControls) {
+          this.orbitControls.target.copy(values.target);
+        }
+        return;
+      }
+      const object = this.loadedModels.get(key.slice('part:'.length));
+      if (!object) return;
+      const dragged = this.dragStartState && this.dragStartState.object === object;
+      if (dragged && !this.dragBlocked) return;
+      object.position.copy(values.position);
+      object.quaternion.copy(values.quaternion);
+      if (values.scale) object.scale.copy(values.scale);
+      if (dragged) {
+        // A blocked drag holds the part where its lock holder puts it.
+        this.dragStartState.position.copy(object.position);
+        this.dragStartState.quaternion.copy(object.quaternion);
+      }
+    });
+  }
+
+  setPartLocks(locks) {
+    this.partLocks = new Map(locks.map((lock) => [lock.part, lock]));
+    this.updateLockLabels();
+  }
+
+  // Show who is moving each part above that part.
+  updateLockLabels() {
+    if (!this.labelManager) return;
+    this.labelManager.clear('lock:');
+    this.partLocks.forEach((lock, part) => {
+      const object = this.loadedModels.get(part);
+      if (object) {
+        const text = lock.clientId === this.clientId ? 'You are moving this' : `${lock.name} is moving this`;
+        this.labelManager.add(`lock:${part}`, object, text, LabelManager.topOffset(object), { backgroundColor: '#d00024' });
       }
     });
   }
 
   updateDragControls() {
-    const draggableObjects = Array.from(this.loadedModels.values());
+    // Hidden parts are left out: DragControls would still pick them.
+    const draggableObjects = Array.from(this.loadedModels.values()).filter((part) => part.visible);
     if (this.dragControls) {
       this.dragControls.dispose();
     }
     this.dragControls = new DragControls(draggableObjects, this.camera, this.renderer.domElement);
+    // Clicks place notes or points instead of moving parts while picking.
+    this.dragControls.enabled = !this.isPartDragBlocked();
     this.setupControlsEventListeners();
   }
 
   clearExistingModels() {
     this.loadedModels.forEach(model => {
+      // Remove the part's exploded view group along with it.
       if (model.parent) {
-        this.productGroup.remove(model);
+        this.productGroup.remove(model.parent);
       }
     });
     this.loadedModels.clear();
+    this.partUrls.clear();
+    this.partSnapping.clearHomes();
     this.draggableObjects.length = 0;
+    this.pendingPartSyncs.clear();
+    this.interpolator.clear();
     this.updateDragControls();
-    if (this.isHost) {
+    if (this.labelManager) {
+      this.labelManager.clear('lock:');
+      this.labelManager.clear('annotation:');
+      this.labelManager.clear('issue:');
+    }
+    if (this.measureTool) {
+      this.measureTool.clearLocal();
+    }
+    if (this.sectionTool) {
+      this.sectionTool.refresh();
+    }
+    if (this.explodeView) {
+      this.explodeView.invalidate();
+    }
+    if (this.outliner) {
+      this.outliner.refresh();
+    }
+  }
+
+  // The loaded parts as sent to the room: [{ url, name }]
+  getLoadedParts() {
+    return Array.from(this.partUrls, ([name, url]) => ({ url, name }));
+  }
+
+  // Replace the parts with `parts` and, from the host, load them for
+  // everyone. No parts (undoing the first load) clears the room's scene.
+  async loadParts(parts) {
+    this.clearExistingModels();
+    for (const part of parts) {
+      await this.loadModel(part.url, part.name);
+    }
+    this.fitCameraToScene();
+    if (this.isHost && parts.length > 0) {
+      this.socket.emit('browse-selection', { parts });
+    } else if (this.isHost) {
       this.socket.emit('models-cleared');
     }
   }
@@ -753,17 +2156,18 @@ class App {
             };
 
             this.draggableObjects.push(container);
-            this.productGroup.add(container);
+            this.productGroup.add(this.explodeView.wrapPart(container));
             this.loadedModels.set(part.name, container);
+            this.partSnapping.captureHome(container);
+            this.materialVariants.addPart(container, gltf);
             this.updateDragControls();
             if (this.interactionManager) {
               this.interactionManager.setDraggableObjects(Array.from(this.loadedModels.values()));
             }
             this.fitCameraToScene();
-
-            if (this.isHost) {
-              this.socket.emit('model-loaded', { url: `assets/${part.file}`, name: part.name });
-            }
+            this.sectionTool.refresh();
+            this.assemblySequence.refresh();
+            this.partVisibility.refresh();
             resolve();
           },
           undefined,
@@ -826,17 +2230,22 @@ class App {
           };
 
           this.draggableObjects.push(container);
-          this.productGroup.add(container);
+          this.productGroup.add(this.explodeView.wrapPart(container));
           this.loadedModels.set(name, container);
+          this.partUrls.set(name, url);
+          this.partSnapping.captureHome(container);
+          this.materialVariants.addPart(container, gltf);
           this.updateDragControls();
           if (this.interactionManager) {
             this.interactionManager.setDraggableObjects(Array.from(this.loadedModels.values()));
           }
           this.fitCameraToScene();
+          this.updateAnnotationPins();
+          this.updateIssuePins();
+          this.sectionTool.refresh();
+          this.assemblySequence.refresh();
+          this.partVisibility.refresh();
           console.log(`Loaded model: ${name}`);
-          if (this.isHost) {
-            this.socket.emit('model-loaded', { url, name });
-          }
           resolve(container);
         },
         xhr => {},
@@ -850,6 +2259,8 @@ class App {
 
   animate() {
     this.renderer.setAnimationLoop((time, frame) => {
+      const delta = this.lastFrameTime === undefined ? 0 : (time - this.lastFrameTime) / 1000;
+      this.lastFrameTime = time;
       // AR Tap-to-Place Reticle Update (version 2)
       if (this.isARMode && this.isPlacingProduct && this.hitTestSource && frame) {
         const referenceSpace = this.renderer.xr.getReferenceSpace();
@@ -873,31 +2284,49 @@ class App {
       }
       
       // Host Pointer Update (version 1)
-      if (this.isHost && this.pointerActive && this.hostPointer) {
-        const raycaster = new THREE.Raycaster();
-        if (this.renderer.xr && this.renderer.xr.isPresenting && this.interactionManager && this.interactionManager.controller1) {
-          const controller = this.interactionManager.controller1;
-          const matrix = new THREE.Matrix4();
-          matrix.extractRotation(controller.matrixWorld);
-          const direction = new THREE.Vector3(0, 0, -1).applyMatrix4(matrix);
-          raycaster.set(controller.position, direction);
-        } else {
-          raycaster.setFromCamera(this.pointerNDC, this.camera);
-        }
-        const intersects = raycaster.intersectObjects(this.productGroup.children, true);
-        if (intersects.length > 0) {
-          const pointerPosition = intersects[0].point;
-          this.hostPointer.position.copy(pointerPosition);
-          this.socket.emit('host-pointer-update', { position: pointerPosition.toArray() });
+      if (this.isHost && this.pointerActive && this.hostPointer && !this.replayPlayer) {
+        const hit = this.intersectParts(this.getPointerRaycaster());
+        if (hit) {
+          this.hostPointer.position.copy(hit.point);
+          this.socket.emit('host-pointer-update', { position: hit.point.toArray() });
         }
       }
 
+      // Send our own changes and play back everyone else's.
+      if (this.replayPlayer) {
+        this.replayPlayer.update();
+      }
+      this.flushStateSync();
+      this.applyInterpolatedStates();
+      this.updateCameraFlight();
+      if (this.explodeView) {
+        this.explodeView.update(delta);
+      }
+      if (this.assemblySequence) {
+        this.assemblySequence.update();
+      }
+      if (this.outliner) {
+        this.outliner.update();
+      }
+      if (this.transformGizmo) {
+        this.transformGizmo.update();
+      }
+
       if (!this.isDragging) {
         this.orbitControls.update();
       }
       if (this.interactionManager) {
         this.interactionManager.update();
       }
+      if (this.measureTool) {
+        this.measureTool.update();
+      }
+      if (this.sectionTool) {
+        this.sectionTool.update();
+      }
+      if (this.labelManager) {
+        this.labelManager.update();
+      }
       this.renderer.render(this.scene, this.camera);
     });
   }
@@ -1125,8 +2554,70 @@ FileManager.help() - Show this help information
   }
 };
 
+// Create global session management utilities
+window.SessionManager = {
+  // List live and saved sessions
+  listSessions: function() {
+    return fetch('/sessions')
+      .then(response => response.json())
+      .then(sessions => {
+        console.log("=== Sessions ===");
+        if (sessions.length === 0) {
+          console.log("No sessions found");
+        } else {
+          sessions.forEach(session => console.log(`${session.name} (${session.parts.length} parts, updated ${session.updatedAt || 'never'})`));
+        }
+        return sessions;
+      })
+      .catch(error => {
+        console.error("Error listing sessions:", error);
+      });
+  },
+
+  // Resume a session by joining its room
+  openSession: function(name) {
+    app.joinRoom(name);
+  },
+
+  // Delete a saved session, given its host passcode (or with this page's
+  // host invite)
+  deleteSession: function(name, passcode) {
+    const headers = {};
+    if (passcode) {
+      headers['x-host-passcode'] = String(passcode);
+    }
+    if (app.inviteToken) {
+      headers['x-invite'] = app.inviteToken;
+    }
+    return fetch(`/sessions/${encodeURIComponent(name)}`, {
+      method: 'DELETE',
+      headers
+    })
+    .then(response => response.json())
+    .then(data => {
+      console.log(data.message || data.error);
+      return data;
+    })
+    .catch(error => {
+      console.error("Error deleting session:", error);
+    });
+  },
+
+  // Help function to show available commands
+  help: function() {
+    console.log(`
+=== Session Manager Commands ===
+SessionManager.listSessions() - List live and saved sessions
+SessionManager.openSession("name") - Resume a session
+SessionManager.deleteSession("name", "passcode") - Delete a saved session
+SessionManager.help() - Show this help information
+    `);
+  }
+};
+
 // Show help info when initialized
 console.log("File Manager utilities loaded. Type FileManager.help() for available commands.");
+console.log("Session Manager utilities loaded. Type SessionManager.help() for available commands.");
 
 const app = new App();
 export default app;
\ No newline at end of file
@@ -10,6 +10,8 @@ function createModal() {
       <div class="custom-modal">
         <h3 class="custom-modal-title"></h3>
         <p class="custom-modal-message"></p>
+        <input class="custom-modal-input" type="text">
+        <div class="custom-modal-fields"></div>
         <div class="custom-modal-timer"></div>
         <div class="custom-modal-buttons"></div>
       </div>
@@ -18,7 +20,11 @@ function createModal() {
   }
 }
 
-function showModal({ title, message, countdown, buttons }) {
+// `countdownText(secondsLeft)` words the countdown and `timerText` is shown
+// instead when there is none; `input` adds a text field (prefilled with
+// `input.value`) whose value is passed to the buttons' onClick; `fields` lists read-only values ({ label, value })
+// with a copy button each.
+function showModal({ title, message, countdown, countdownText = (seconds) => `Auto-allow in ${seconds}s`, timerText = '', buttons, input, fields }) {
   createModal();
 
   // Clear any previously stored interval and timeout to avoid conflicts.
@@ -35,11 +41,45 @@ function showModal({ title, message, countdown, buttons }) {
   const messageElem = modalOverlay.querySelector('.custom-modal-message');
   const timerElem = modalOverlay.querySelector('.custom-modal-timer');
   const buttonsElem = modalOverlay.querySelector('.custom-modal-buttons');
+  const inputElem = modalOverlay.querySelector('.custom-modal-input');
+  const fieldsElem = modalOverlay.querySelector('.custom-modal-fields');
 
   titleElem.textContent = title;
   messageElem.textContent = message;
+
+  inputElem.value = (input && input.value) || '';
+  inputElem.style.display = input ? 'block' : 'none';
+  if (input) {
+    inputElem.type = input.type || 'text';
+    inputElem.placeholder = input.placeholder || '';
+  }
+
+  fieldsElem.innerHTML = '';
+  if (fields && Array.isArray(fields)) {
+    fields.forEach((field) => {
+      const label = document.createElement('label');
+      label.textContent = field.label;
+      const row = document.createElement('div');
+      row.className = 'custom-modal-field';
+      const value = document.createElement('input');
+      value.type = 'text';
+      value.readOnly = true;
+      value.value = field.value;
+      const copyButton = document.createElement('button');
+      copyButton.textContent = 'Copy';
+      copyButton.onclick = () => {
+        navigator.clipboard.writeText(field.value)
+          .then(() => { copyButton.textContent = 'Copied'; })
+          .catch(() => value.select());
+      };
+      row.appendChild(value);
+      row.appendChild(copyButton);
+      fieldsElem.appendChild(label);
+      fieldsElem.appendChild(row);
+    });
+  }
   timerElem.textContent =
-    typeof countdown === 'number' ? `Auto-allow in ${countdown}s` : '';
+    typeof countdown === 'number' ? countdownText(countdown) : timerText;
   buttonsElem.innerHTML = '';
 
   if (buttons && Array.isArray(buttons)) {
@@ -48,23 +88,34 @@ function showModal({ title, message, countdown, buttons }) {
       button.textContent = btn.text;
       button.style.margin = '0 5px';
       button.onclick = () => {
-        if (btn.onClick) btn.onClick();
+        const value = inputElem.value;
         hideModal();
+        if (btn.onClick) btn.onClick(value);
       };
       buttonsElem.appendChild(button);
     });
   }
 
+  // Pressing Enter in the input field acts like the first button.
+  inputElem.onkeydown = (event) => {
+    if (event.key === 'Enter' && buttonsElem.firstChild) {
+      buttonsElem.firstChild.click();
+    }
+  };
+
   modalOverlay.style.display = 'flex';
+  if (input) {
+    inputElem.focus();
+  }
 
   // Use both an interval (to update display) and a setTimeout to ensure the full countdown time.
   if (typeof countdown === 'number') {
     let timeLeft = countdown;
-    timerElem.textContent = `Auto-allow in ${timeLeft}s`;
+    timerElem.textContent = countdownText(timeLeft);
 
     const interval = setInterval(() => {
       timeLeft--;
-      timerElem.textContent = `Auto-allow in ${timeLeft}s`;
+      timerElem.textContent = countdownText(timeLeft);
     }, 1000);
     modalOverlay._interval = interval;
 
@@ -95,21 +146,28 @@ export function hideModal() {
   }
 }
 
-export function showHostRequestModal(app, data, countdownTime = 30) {
+export function showHostRequestModal(app, data) {
   // This modal is shown on the active host side to allow an incoming host-transfer request.
+  // The countdown and its wording follow the room's handover policy.
+  let timerText = '';
+  if (app.handoverPolicy.mode === 'approval') {
+    timerText = 'The host role only passes if you allow it.';
+  } else if (typeof data.autoTransferIn !== 'number') {
+    timerText = `Request ${data.position} in the queue.`;
+  }
+  app.activeHostRequestId = data.requestId;
   showModal({
     title: 'Host Control Request',
-    message: 'A viewer has requested to take over.',
-    countdown: countdownTime,
+    message: `${data.requesterName || 'A viewer'} has requested to take over.`,
+    countdown: typeof data.autoTransferIn === 'number' ? data.autoTransferIn : undefined,
+    countdownText: (seconds) => `Auto-allow in ${seconds}s`,
+    timerText,
     buttons: [
       {
         text: 'Allow',
         onClick: () => {
           app.socket.emit('release-host', { requestId: data.requestId });
         },
-        autoTimeoutCallback: () => {
-          app.socket.emit('auto-promote', { requestId: data.requestId });
-        },
       },
       {
         text: 'Deny',
@@ -121,12 +179,19 @@ export function showHostRequestModal(app, data, countdownTime = 30) {
   });
 }
 
-export function showViewerRequestModal(app, countdownTime = 30) {
+export function showViewerRequestModal(app, data) {
   // This modal is shown on the viewer side when requesting the host role.
+  // `data` is the server's view of our place in the request queue.
+  let timerText = `You are number ${data.position} in the queue.`;
+  if (data.mode === 'approval') {
+    timerText = `Waiting for the host to approve. You are number ${data.position} in the queue.`;
+  }
   showModal({
     title: 'Host Control Request',
     message: 'Awaiting host to allow.',
-    countdown: countdownTime,
+    countdown: typeof data.autoTransferIn === 'number' ? data.autoTransferIn : undefined,
+    countdownText: (seconds) => `You become host in ${seconds}s unless the host declines.`,
+    timerText,
     buttons: [
       {
         text: 'Cancel',
@@ -134,10 +199,122 @@ export function showViewerRequestModal(app, countdownTime = 30) {
           app.socket.emit('cancel-host-request');
           app.hostRequestPending = false;
         },
-        autoTimeoutCallback: () => {
-          app.socket.emit('auto-promote');
+      },
+    ],
+  });
+}
+
+export function showPasscodeModal(message, onSubmit) {
+  // Ask for the host passcode after the server rejected a host claim.
+  showModal({
+    title: 'Host Passcode',
+    message: message,
+    input: { type: 'password', placeholder: 'Passcode' },
+    buttons: [
+      {
+        text: 'Submit',
+        onClick: (passcode) => {
+          if (passcode) onSubmit(passcode);
         },
       },
+      {
+        text: 'Cancel',
+      },
+    ],
+  });
+}
+
+export function showRejectionModal(message) {
+  // Tell the user the server refused what they asked for.
+  showModal({
+    title: 'Request Rejected',
+    message: message,
+    buttons: [
+      {
+        text: 'OK',
+      },
+    ],
+  });
+}
+
+export function showInviteLinksModal(data) {
+  // Shown to the host: the passcode and links to invite others with.
+  showModal({
+    title: 'Invite Others',
+    message: 'Host links and the passcode let people take over; viewer links only allow watching.',
+    fields: [
+      { label: 'Host passcode', value: data.passcode || '' },
+      { label: 'Host invite link', value: data.hostLink },
+      { label: 'Viewer invite link', value: data.viewerLink },
+    ],
+    buttons: [
+      {
+        text: 'Close',
+      },
+    ],
+  });
+}
+
+export function showAnnotationModal({ number, text = '', author, editable = true, onSave, onDelete }) {
+  // Write a new note, or read and edit an existing one (`number` is set).
+  const buttons = [];
+  if (editable) {
+    buttons.push({
+      text: 'Save',
+      onClick: (value) => {
+        if (value.trim()) onSave(value.trim());
+      },
+    });
+  }
+  if (editable && onDelete) {
+    buttons.push({ text: 'Delete', onClick: () => onDelete() });
+  }
+  buttons.push({ text: editable ? 'Cancel' : 'Close' });
+  let message = 'Describe what to look at here.';
+  if (number) {
+    message = editable ? `By ${author}` : `${text} (by ${author})`;
+  }
+  showModal({
+    title: number ? `Note ${number}` : 'New Note',
+    message,
+    input: editable ? { placeholder: 'Note', value: text } : undefined,
+    buttons,
+  });
+}
+
+export function showRecordingSavedModal(link) {
+  // Shown to the host when a recording stops: the link that replays it.
+  showModal({
+    title: 'Recording Saved',
+    message: 'Share this link with people who missed the review.',
+    fields: [
+      { label: 'Replay link', value: link },
+    ],
+    buttons: [
+      {
+        text: 'Close',
+      },
+    ],
+  });
+}
+
+export function showReportLinksModal(data) {
+  // Shown to the host once a report is generated: where to download it.
+  showModal({
+    title: 'Report Ready',
+    message: 'The report can be opened or downloaded from these links.',
+    fields: [
+      { label: 'HTML report', value: data.html },
+      { label: 'PDF report', value: data.pdf },
+    ],
+    buttons: [
+      {
+        text: 'Open HTML',
+        onClick: () => window.open(data.html, '_blank'),
+      },
+      {
+        text: 'Close',
+      },
     ],
   });
 }
@@ -199,6 +376,40 @@ style.textContent = `
 .custom-modal-buttons button:hover {
   background: #b0001d;
 }
+.custom-modal-input {
+  width: 100%;
+  box-sizing: border-box;
+  padding: 8px 12px;
+  margin-bottom: 10px;
+  border: 1px solid #ccc;
+  border-radius: 9999px;
+}
+.custom-modal-fields label {
+  display: block;
+  text-align: left;
+  font-size: 12px;
+  margin-top: 8px;
+}
+.custom-modal-field {
+  display: flex;
+  gap: 5px;
+  margin-bottom: 5px;
+}
+.custom-modal-field input {
+  flex: 1;
+  min-width: 0;
+  padding: 4px 8px;
+  border: 1px solid #ccc;
+  border-radius: 4px;
+}
+.custom-modal-field button {
+  padding: 4px 10px;
+  border: none;
+  border-radius: 9999px;
+  background: #d00024;
+  color: white;
+  cursor: pointer;
+}
 .custom-modal-timer {
   margin: 10px;
   font-size: small;
@@ -0,0 +1,60 @@
+// Building blocks shared by the floating tool panels, so they all look alike.
+
+// A hidden white panel fixed over the viewport and added to the page.
+// `placement` sets where it sits and how big it gets, e.g.
+// { top: '60px', left: '10px', width: '300px', maxHeight: 'calc(100% - 80px)' }.
+export function createPanel(placement) {
+  const panel = document.createElement('div');
+  panel.style.position = 'fixed';
+  Object.assign(panel.style, placement);
+  panel.style.overflowY = 'auto';
+  panel.style.padding = '10px';
+  panel.style.borderRadius = '8px';
+  panel.style.backgroundColor = 'white';
+  panel.style.boxShadow = '0 2px 8px rgba(0,0,0,0.2)';
+  panel.style.fontFamily = 'sans-serif';
+  panel.style.fontSize = '14px';
+  panel.style.zIndex = '1000';
+  panel.style.display = 'none';
+  document.body.appendChild(panel);
+  return panel;
+}
+
+export function createButton(text) {
+  const button = document.createElement('button');
+  button.textContent = text;
+  button.style.padding = '4px 12px';
+  button.style.border = 'none';
+  button.style.borderRadius = '9999px';
+  button.style.backgroundColor = '#d00024';
+  button.style.color = 'white';
+  button.style.cursor = 'pointer';
+  return button;
+}
+
+// A <select> of [value, label] options with `value` chosen.
+export function createSelect(options, value) {
+  const select = document.createElement('select');
+  options.forEach(([optionValue, label]) => {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = value;
+  return select;
+}
+
+// A row with `text` on the left and `control` on the right.
+export function labelled(text, control) {
+  const label = document.createElement('label');
+  label.style.display = 'flex';
+  label.style.alignItems = 'center';
+  label.style.justifyContent = 'space-between';
+  label.style.gap = '8px';
+  label.style.fontSize = '12px';
+  label.style.marginTop = '6px';
+  label.appendChild(document.createTextNode(text));
+  label.appendChild(control);
+  return label;
+}
@@ -2,7 +2,7 @@
 
 import * as THREE from 'three';
 import { ARButton } from 'three/addons/webxr/ARButton.js';
-import { showViewerRequestModal, showConfirmationModal } from './modalManager.js';
+import { GRID_STEPS } from './PartSnapping.js';
 
 // Create the UI controls and attach them to the app.
 export function setupUIControls(app) {
@@ -62,6 +62,7 @@ export function setupUIControls(app) {
   // Viewer button: if you're host click to give up host role.
   viewerButton.addEventListener('click', () => {
     if (app.isHost) {
+      app.requestedHostRole = false;
       app.socket.emit('give-up-host');
     } else {
       if (app.hostRequestPending) {
@@ -81,20 +82,15 @@ export function setupUIControls(app) {
   // Host button: toggle to become host.
   hostButton.addEventListener('click', () => {
     if (app.isHost) {
+      app.requestedHostRole = false;
       app.socket.emit('give-up-host');
     } else {
       if (!app.currentHostId) {
-        console.log("No active host; becoming host immediately.");
-        app.currentHostId = app.socket.id;
-        app.isHost = true;
-        updateToggleUI(app, viewerButton, hostButton, app.isHost);
-        showConfirmationModal("You're now the host.");
-        app.socket.emit('register-host');
+        console.log("No active host; claiming host.");
+        app.claimHost('register-host');
       } else {
         if (!app.hostRequestPending) {
-          app.hostRequestPending = true;
-          app.socket.emit('request-host');
-          showViewerRequestModal(app, 30);
+          app.claimHost('request-host');
           console.log("Host request modal shown.");
         } else {
           console.log("Host request is already pending.");
@@ -145,7 +141,7 @@ export function setupUIControls(app) {
           method: 'POST',
           headers: {
             'x-socket-id': app.socket.id,
-            'x-uploader-role': app.isHost ? 'host' : 'viewer'
+            'x-socket-secret': app.requestSecret
           },
           body: formData
         });
@@ -232,32 +228,105 @@ export function setupUIControls(app) {
   });
   
   resetButton.onclick = () => {
-    // Reset the transformation (position, rotation, and scale) of all parts.
-    if (app.productGroup) {
-      app.productGroup.children.forEach((child) => {
-        child.position.set(0, 0, 0);
-        child.rotation.set(0, 0, 0);
-        // Reset to the stored original scale or default to (1, 1, 1)
-        if (child.children.length > 0 && child.children[0].userData.originalScale) {
-          child.scale.copy(child.children[0].userData.originalScale);
-        } else {
-          child.scale.set(1, 1, 1);
-        }
-      });
-    }
-    // Reset the camera/viewport to its initial state.
-    if (typeof app.fitCameraToScene === 'function') {
-      app.fitCameraToScene();
+    // The host can undo a reset.
+    app.history.recordReset();
+    app.resetAll();
+  };
+
+  // ------------------------------
+  // Create Undo and Redo buttons (host only).
+  // ------------------------------
+  // Step back and forth through the host's moves, resets, visibility changes
+  // and loads; also Ctrl+Z and Ctrl+Shift+Z.
+  const undoButton = document.createElement('button');
+  undoButton.textContent = 'Undo';
+  undoButton.title = 'Ctrl+Z';
+  undoButton.style.padding = '8px 24px';
+  undoButton.style.border = 'none';
+  undoButton.style.outline = 'none';
+  undoButton.style.borderRadius = '9999px';
+  undoButton.style.backgroundColor = '#d00024';
+  undoButton.style.color = 'white';
+  undoButton.style.cursor = 'pointer';
+  undoButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+  undoButton.style.display = app.isHost ? 'inline-block' : 'none';
+
+  undoButton.addEventListener('mouseover', () => {
+    if (!undoButton.disabled) {
+      undoButton.style.backgroundColor = '#b0001d';
     }
-    // If host, broadcast the reset event to all viewers.
-    if (app.isHost) {
-      app.socket.emit('reset-all');
+  });
+  undoButton.addEventListener('mouseout', () => {
+    undoButton.style.backgroundColor = '#d00024';
+  });
+  undoButton.addEventListener('click', () => app.history.undo());
+
+  const redoButton = document.createElement('button');
+  redoButton.textContent = 'Redo';
+  redoButton.title = 'Ctrl+Shift+Z';
+  redoButton.style.padding = '8px 24px';
+  redoButton.style.border = 'none';
+  redoButton.style.outline = 'none';
+  redoButton.style.borderRadius = '9999px';
+  redoButton.style.backgroundColor = '#d00024';
+  redoButton.style.color = 'white';
+  redoButton.style.cursor = 'pointer';
+  redoButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+  redoButton.style.display = app.isHost ? 'inline-block' : 'none';
+
+  redoButton.addEventListener('mouseover', () => {
+    if (!redoButton.disabled) {
+      redoButton.style.backgroundColor = '#b0001d';
     }
-  };
+  });
+  redoButton.addEventListener('mouseout', () => {
+    redoButton.style.backgroundColor = '#d00024';
+  });
+  redoButton.addEventListener('click', () => app.history.redo());
   
   controlsContainer.appendChild(fileInput);
   controlsContainer.appendChild(browseButton);
   controlsContainer.appendChild(resetButton);
+  controlsContainer.appendChild(undoButton);
+  controlsContainer.appendChild(redoButton);
+
+  // ------------------------------
+  // Create a Magnet button and a grid menu.
+  // ------------------------------
+  // How parts snap when dragged here: into their home pose when let go near
+  // it, and onto a grid.
+  const magnetButton = document.createElement('button');
+  magnetButton.textContent = 'Magnet';
+  magnetButton.title = 'Snap parts let go near where they were loaded back into place';
+  magnetButton.style.padding = '8px 24px';
+  magnetButton.style.border = 'none';
+  magnetButton.style.outline = 'none';
+  magnetButton.style.borderRadius = '9999px';
+  magnetButton.style.backgroundColor = '#d00024';
+  magnetButton.style.color = 'white';
+  magnetButton.style.cursor = 'pointer';
+  magnetButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+  magnetButton.addEventListener('click', () => app.partSnapping.setMagnet(!app.partSnapping.magnet));
+
+  const gridSelect = document.createElement('select');
+  gridSelect.title = 'Grid for dragging parts';
+  gridSelect.style.padding = '8px 16px';
+  gridSelect.style.border = 'none';
+  gridSelect.style.outline = 'none';
+  gridSelect.style.borderRadius = '9999px';
+  gridSelect.style.backgroundColor = 'white';
+  gridSelect.style.color = '#d00024';
+  gridSelect.style.cursor = 'pointer';
+  GRID_STEPS.forEach((step) => {
+    const option = document.createElement('option');
+    option.value = String(step);
+    option.textContent = step ? `Grid ${step} mm` : 'No grid';
+    gridSelect.appendChild(option);
+  });
+  gridSelect.addEventListener('change', () => app.partSnapping.setGridStep(Number(gridSelect.value)));
+
+  controlsContainer.appendChild(magnetButton);
+  controlsContainer.appendChild(gridSelect);
   
   // ------------------------------
   // Create an extra pointer toggle button.
@@ -341,6 +410,601 @@ export function setupUIControls(app) {
   
   controlsContainer.appendChild(pointerToggleButton);
 
+  // ------------------------------
+  // Create an Annotate toggle button.
+  // ------------------------------
+  // While active, clicking a part pins a numbered note to that spot.
+  const annotateButton = document.createElement('button');
+  annotateButton.textContent = 'Annotate';
+  annotateButton.style.padding = '8px 24px';
+  annotateButton.style.border = 'none';
+  annotateButton.style.outline = 'none';
+  annotateButton.style.borderRadius = '9999px';
+  annotateButton.style.backgroundColor = '#d00024';
+  annotateButton.style.color = 'white';
+  annotateButton.style.cursor = 'pointer';
+  annotateButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+
+  annotateButton.addEventListener('click', () => {
+    app.setAnnotationMode(!app.annotationMode);
+    annotateButton.style.backgroundColor = app.annotationMode ? '#ffffff' : '#d00024';
+    annotateButton.style.color = app.annotationMode ? '#d00024' : '#ffffff';
+  });
+
+  controlsContainer.appendChild(annotateButton);
+
+  // ------------------------------
+  // Create a Measure toggle button.
+  // ------------------------------
+  // While active, clicks on parts pick the points to measure between.
+  const measureButton = document.createElement('button');
+  measureButton.textContent = 'Measure';
+  measureButton.style.padding = '8px 24px';
+  measureButton.style.border = 'none';
+  measureButton.style.outline = 'none';
+  measureButton.style.borderRadius = '9999px';
+  measureButton.style.backgroundColor = '#d00024';
+  measureButton.style.color = 'white';
+  measureButton.style.cursor = 'pointer';
+  measureButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+
+  measureButton.addEventListener('click', () => {
+    app.measureTool.toggle();
+    measureButton.style.backgroundColor = app.measureTool.mode ? '#ffffff' : '#d00024';
+    measureButton.style.color = app.measureTool.mode ? '#d00024' : '#ffffff';
+  });
+
+  controlsContainer.appendChild(measureButton);
+
+  // ------------------------------
+  // Create a Section toggle button (host only).
+  // ------------------------------
+  // Opens the clipping plane controls; viewers see the host's section.
+  const sectionButton = document.createElement('button');
+  sectionButton.textContent = 'Section';
+  sectionButton.style.padding = '8px 24px';
+  sectionButton.style.border = 'none';
+  sectionButton.style.outline = 'none';
+  sectionButton.style.borderRadius = '9999px';
+  sectionButton.style.backgroundColor = '#d00024';
+  sectionButton.style.color = 'white';
+  sectionButton.style.cursor = 'pointer';
+  sectionButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+  sectionButton.style.display = app.isHost ? 'inline-block' : 'none';
+
+  sectionButton.addEventListener('click', () => {
+    app.sectionTool.toggle();
+    updateSectionButton(app);
+  });
+
+  controlsContainer.appendChild(sectionButton);
+
+  // ------------------------------
+  // Create an Explode button (host only).
+  // ------------------------------
+  // Opens the exploded view slider; viewers follow the host's factor.
+  const explodeButton = document.createElement('button');
+  explodeButton.textContent = 'Explode';
+  explodeButton.style.padding = '8px 24px';
+  explodeButton.style.border = 'none';
+  explodeButton.style.outline = 'none';
+  explodeButton.style.borderRadius = '9999px';
+  explodeButton.style.backgroundColor = '#d00024';
+  explodeButton.style.color = 'white';
+  explodeButton.style.cursor = 'pointer';
+  explodeButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+  explodeButton.style.display = app.isHost ? 'inline-block' : 'none';
+
+  explodeButton.addEventListener('mouseover', () => {
+    explodeButton.style.backgroundColor = '#b0001d';
+  });
+  explodeButton.addEventListener('mouseout', () => {
+    explodeButton.style.backgroundColor = '#d00024';
+  });
+  explodeButton.addEventListener('click', () => app.explodeView.toggle());
+
+  controlsContainer.appendChild(explodeButton);
+
+  // ------------------------------
+  // Create a Sequence button (host only).
+  // ------------------------------
+  // Opens the assembly sequence steps; viewers follow the step being played.
+  const sequenceButton = document.createElement('button');
+  sequenceButton.textContent = 'Sequence';
+  sequenceButton.style.padding = '8px 24px';
+  sequenceButton.style.border = 'none';
+  sequenceButton.style.outline = 'none';
+  sequenceButton.style.borderRadius = '9999px';
+  sequenceButton.style.backgroundColor = '#d00024';
+  sequenceButton.style.color = 'white';
+  sequenceButton.style.cursor = 'pointer';
+  sequenceButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+  sequenceButton.style.display = app.isHost ? 'inline-block' : 'none';
+
+  sequenceButton.addEventListener('mouseover', () => {
+    sequenceButton.style.backgroundColor = '#b0001d';
+  });
+  sequenceButton.addEventListener('mouseout', () => {
+    sequenceButton.style.backgroundColor = '#d00024';
+  });
+  sequenceButton.addEventListener('click', () => app.assemblySequence.toggle());
+
+  controlsContainer.appendChild(sequenceButton);
+
+  // ------------------------------
+  // Create a Parts button (host only).
+  // ------------------------------
+  // Opens the list of parts to hide, isolate or X-ray for everyone.
+  const partsButton = document.createElement('button');
+  partsButton.textContent = 'Parts';
+  partsButton.style.padding = '8px 24px';
+  partsButton.style.border = 'none';
+  partsButton.style.outline = 'none';
+  partsButton.style.borderRadius = '9999px';
+  partsButton.style.backgroundColor = '#d00024';
+  partsButton.style.color = 'white';
+  partsButton.style.cursor = 'pointer';
+  partsButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+  partsButton.style.display = app.isHost ? 'inline-block' : 'none';
+
+  partsButton.addEventListener('mouseover', () => {
+    partsButton.style.backgroundColor = '#b0001d';
+  });
+  partsButton.addEventListener('mouseout', () => {
+    partsButton.style.backgroundColor = '#d00024';
+  });
+  partsButton.addEventListener('click', () => app.partVisibility.toggle());
+
+  controlsContainer.appendChild(partsButton);
+
+  // ------------------------------
+  // Create a Finishes button (host only).
+  // ------------------------------
+  // Opens the per-part color and finish picker.
+  const finishesButton = document.createElement('button');
+  finishesButton.textContent = 'Finishes';
+  finishesButton.style.padding = '8px 24px';
+  finishesButton.style.border = 'none';
+  finishesButton.style.outline = 'none';
+  finishesButton.style.borderRadius = '9999px';
+  finishesButton.style.backgroundColor = '#d00024';
+  finishesButton.style.color = 'white';
+  finishesButton.style.cursor = 'pointer';
+  finishesButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+  finishesButton.style.display = app.isHost ? 'inline-block' : 'none';
+
+  finishesButton.addEventListener('mouseover', () => {
+    finishesButton.style.backgroundColor = '#b0001d';
+  });
+  finishesButton.addEventListener('mouseout', () => {
+    finishesButton.style.backgroundColor = '#d00024';
+  });
+  finishesButton.addEventListener('click', () => app.materialVariants.toggle());
+
+  controlsContainer.appendChild(finishesButton);
+
+  // ------------------------------
+  // Create a colorway selector.
+  // ------------------------------
+  // Lists the product's material variants; only the host can switch them and
+  // viewers see the one picked. Hidden when the product has none.
+  const variantSelect = document.createElement('select');
+  variantSelect.title = 'Colorway';
+  variantSelect.style.padding = '8px 16px';
+  variantSelect.style.border = 'none';
+  variantSelect.style.outline = 'none';
+  variantSelect.style.borderRadius = '9999px';
+  variantSelect.style.backgroundColor = 'white';
+  variantSelect.style.color = '#d00024';
+  variantSelect.style.cursor = 'pointer';
+  variantSelect.style.display = 'none';
+  variantSelect.addEventListener('change', () => app.materialVariants.chooseVariant(variantSelect.value));
+
+  controlsContainer.appendChild(variantSelect);
+
+  // ------------------------------
+  // Create a Share button (host only).
+  // ------------------------------
+  // Shows the host passcode and invite links for this room.
+  const shareButton = document.createElement('button');
+  shareButton.textContent = 'Share';
+  shareButton.style.padding = '8px 24px';
+  shareButton.style.border = 'none';
+  shareButton.style.outline = 'none';
+  shareButton.style.borderRadius = '9999px';
+  shareButton.style.backgroundColor = '#d00024';
+  shareButton.style.color = 'white';
+  shareButton.style.cursor = 'pointer';
+  shareButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+  shareButton.style.display = app.isHost ? 'inline-block' : 'none';
+
+  shareButton.addEventListener('mouseover', () => {
+    shareButton.style.backgroundColor = '#b0001d';
+  });
+  shareButton.addEventListener('mouseout', () => {
+    shareButton.style.backgroundColor = '#d00024';
+  });
+  shareButton.addEventListener('click', () => {
+    app.socket.emit('get-invite-links');
+  });
+
+  controlsContainer.appendChild(shareButton);
+
+  // ------------------------------
+  // Create a Record button (host only) and a Replays button.
+  // ------------------------------
+  // The host records the session for people who cannot attend; everyone
+  // can replay earlier recordings.
+  const recordButton = document.createElement('button');
+  recordButton.textContent = 'Record';
+  recordButton.style.padding = '8px 24px';
+  recordButton.style.border = 'none';
+  recordButton.style.outline = 'none';
+  recordButton.style.borderRadius = '9999px';
+  recordButton.style.backgroundColor = '#d00024';
+  recordButton.style.color = 'white';
+  recordButton.style.cursor = 'pointer';
+  recordButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+  recordButton.style.display = app.isHost ? 'inline-block' : 'none';
+
+  recordButton.addEventListener('click', () => {
+    app.socket.emit(app.recording.active ? 'stop-recording' : 'start-recording');
+  });
+
+  // Tells everyone in the room that the session is being recorded.
+  const recordingIndicator = document.createElement('span');
+  recordingIndicator.textContent = '● Recording';
+  recordingIndicator.style.padding = '4px 12px';
+  recordingIndicator.style.borderRadius = '9999px';
+  recordingIndicator.style.backgroundColor = 'white';
+  recordingIndicator.style.color = '#d00024';
+  recordingIndicator.style.fontSize = '14px';
+  recordingIndicator.style.display = 'none';
+
+  const replaysButton = document.createElement('button');
+  replaysButton.textContent = 'Replays';
+  replaysButton.style.padding = '8px 24px';
+  replaysButton.style.border = 'none';
+  replaysButton.style.outline = 'none';
+  replaysButton.style.borderRadius = '9999px';
+  replaysButton.style.backgroundColor = '#d00024';
+  replaysButton.style.color = 'white';
+  replaysButton.style.cursor = 'pointer';
+  replaysButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+
+  replaysButton.addEventListener('mouseover', () => {
+    replaysButton.style.backgroundColor = '#b0001d';
+  });
+  replaysButton.addEventListener('mouseout', () => {
+    replaysButton.style.backgroundColor = '#d00024';
+  });
+  replaysButton.addEventListener('click', () => app.showRecordingsInterface());
+
+  controlsContainer.appendChild(recordButton);
+  controlsContainer.appendChild(recordingIndicator);
+  controlsContainer.appendChild(replaysButton);
+
+  // ------------------------------
+  // Create an Issues button.
+  // ------------------------------
+  // Opens the side panel listing the review issues (count of unresolved ones).
+  const issuesButton = document.createElement('button');
+  issuesButton.textContent = 'Issues (0)';
+  issuesButton.style.padding = '8px 24px';
+  issuesButton.style.border = 'none';
+  issuesButton.style.outline = 'none';
+  issuesButton.style.borderRadius = '9999px';
+  issuesButton.style.backgroundColor = '#d00024';
+  issuesButton.style.color = 'white';
+  issuesButton.style.cursor = 'pointer';
+  issuesButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+
+  issuesButton.addEventListener('mouseover', () => {
+    issuesButton.style.backgroundColor = '#b0001d';
+  });
+  issuesButton.addEventListener('mouseout', () => {
+    issuesButton.style.backgroundColor = '#d00024';
+  });
+  issuesButton.addEventListener('click', () => app.issuePanel.toggle());
+
+  controlsContainer.appendChild(issuesButton);
+
+  // ------------------------------
+  // Create an Outliner button.
+  // ------------------------------
+  // Opens the tree of loaded parts and the nodes inside them.
+  const outlinerButton = document.createElement('button');
+  outlinerButton.textContent = 'Outliner';
+  outlinerButton.style.padding = '8px 24px';
+  outlinerButton.style.border = 'none';
+  outlinerButton.style.outline = 'none';
+  outlinerButton.style.borderRadius = '9999px';
+  outlinerButton.style.backgroundColor = '#d00024';
+  outlinerButton.style.color = 'white';
+  outlinerButton.style.cursor = 'pointer';
+  outlinerButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+
+  outlinerButton.addEventListener('mouseover', () => {
+    outlinerButton.style.backgroundColor = '#b0001d';
+  });
+  outlinerButton.addEventListener('mouseout', () => {
+    outlinerButton.style.backgroundColor = '#d00024';
+  });
+  outlinerButton.addEventListener('click', () => app.outliner.toggle());
+
+  controlsContainer.appendChild(outlinerButton);
+
+  // ------------------------------
+  // Create a Materials button.
+  // ------------------------------
+  // Opens the material editor for the selected part; viewers can look and export.
+  const materialsButton = document.createElement('button');
+  materialsButton.textContent = 'Materials';
+  materialsButton.style.padding = '8px 24px';
+  materialsButton.style.border = 'none';
+  materialsButton.style.outline = 'none';
+  materialsButton.style.borderRadius = '9999px';
+  materialsButton.style.backgroundColor = '#d00024';
+  materialsButton.style.color = 'white';
+  materialsButton.style.cursor = 'pointer';
+  materialsButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+
+  materialsButton.addEventListener('mouseover', () => {
+    materialsButton.style.backgroundColor = '#b0001d';
+  });
+  materialsButton.addEventListener('mouseout', () => {
+    materialsButton.style.backgroundColor = '#d00024';
+  });
+  materialsButton.addEventListener('click', () => app.materialEditor.toggle());
+
+  controlsContainer.appendChild(materialsButton);
+
+  // ------------------------------
+  // Create a Transform button.
+  // ------------------------------
+  // Opens the gizmo for moving, rotating and scaling the selected part.
+  const transformButton = document.createElement('button');
+  transformButton.textContent = 'Transform';
+  transformButton.style.padding = '8px 24px';
+  transformButton.style.border = 'none';
+  transformButton.style.outline = 'none';
+  transformButton.style.borderRadius = '9999px';
+  transformButton.style.backgroundColor = '#d00024';
+  transformButton.style.color = 'white';
+  transformButton.style.cursor = 'pointer';
+  transformButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+
+  transformButton.addEventListener('mouseover', () => {
+    transformButton.style.backgroundColor = '#b0001d';
+  });
+  transformButton.addEventListener('mouseout', () => {
+    transformButton.style.backgroundColor = '#d00024';
+  });
+  transformButton.addEventListener('click', () => app.transformGizmo.toggle());
+
+  controlsContainer.appendChild(transformButton);
+
+  // ------------------------------
+  // Create a Report button (host only).
+  // ------------------------------
+  // Opens the panel for the review report's notes, views and generation.
+  const reportButton = document.createElement('button');
+  reportButton.textContent = 'Report';
+  reportButton.style.padding = '8px 24px';
+  reportButton.style.border = 'none';
+  reportButton.style.outline = 'none';
+  reportButton.style.borderRadius = '9999px';
+  reportButton.style.backgroundColor = '#d00024';
+  reportButton.style.color = 'white';
+  reportButton.style.cursor = 'pointer';
+  reportButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+  reportButton.style.display = app.isHost ? 'inline-block' : 'none';
+
+  reportButton.addEventListener('mouseover', () => {
+    reportButton.style.backgroundColor = '#b0001d';
+  });
+  reportButton.addEventListener('mouseout', () => {
+    reportButton.style.backgroundColor = '#d00024';
+  });
+  reportButton.addEventListener('click', () => app.reportPanel.toggle());
+
+  controlsContainer.appendChild(reportButton);
+
+  // ------------------------------
+  // Create the participant panel.
+  // ------------------------------
+  // A collapsible list of everyone in the room showing who holds host.
+  const participantContainer = document.createElement('div');
+  participantContainer.style.position = 'relative';
+
+  const participantButton = document.createElement('button');
+  participantButton.textContent = 'People (0)';
+  participantButton.style.padding = '8px 24px';
+  participantButton.style.border = 'none';
+  participantButton.style.outline = 'none';
+  participantButton.style.borderRadius = '9999px';
+  participantButton.style.backgroundColor = '#d00024';
+  participantButton.style.color = 'white';
+  participantButton.style.cursor = 'pointer';
+  participantButton.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+
+  participantButton.addEventListener('mouseover', () => {
+    participantButton.style.backgroundColor = '#b0001d';
+  });
+  participantButton.addEventListener('mouseout', () => {
+    participantButton.style.backgroundColor = '#d00024';
+  });
+
+  const participantPanel = document.createElement('div');
+  participantPanel.style.position = 'absolute';
+  participantPanel.style.top = 'calc(100% + 8px)';
+  participantPanel.style.left = '0';
+  participantPanel.style.minWidth = '220px';
+  participantPanel.style.maxHeight = '60vh';
+  participantPanel.style.overflowY = 'auto';
+  participantPanel.style.padding = '10px';
+  participantPanel.style.borderRadius = '8px';
+  participantPanel.style.backgroundColor = 'white';
+  participantPanel.style.boxShadow = '0 2px 8px rgba(0,0,0,0.2)';
+  participantPanel.style.fontSize = '14px';
+  participantPanel.style.display = 'none';
+
+  const participantList = document.createElement('ul');
+  participantList.style.listStyle = 'none';
+  participantPanel.appendChild(participantList);
+
+  // Host only: pending host requests in queue order, to allow or deny.
+  const requestSection = document.createElement('div');
+  requestSection.style.display = 'none';
+  requestSection.style.marginTop = '8px';
+  requestSection.style.paddingTop = '8px';
+  requestSection.style.borderTop = '1px solid #eee';
+  const requestTitle = document.createElement('div');
+  requestTitle.textContent = 'Host requests';
+  requestTitle.style.fontWeight = 'bold';
+  requestTitle.style.marginBottom = '4px';
+  const requestList = document.createElement('ol');
+  requestList.style.paddingLeft = '20px';
+  requestSection.appendChild(requestTitle);
+  requestSection.appendChild(requestList);
+  participantPanel.appendChild(requestSection);
+
+  // Host only: how the host role is handed over in this room.
+  const handoverSection = document.createElement('div');
+  handoverSection.style.display = 'none';
+  handoverSection.style.marginTop = '8px';
+  handoverSection.style.paddingTop = '8px';
+  handoverSection.style.borderTop = '1px solid #eee';
+  const handoverTitle = document.createElement('div');
+  handoverTitle.textContent = 'Host handover';
+  handoverTitle.style.fontWeight = 'bold';
+  handoverTitle.style.marginBottom = '4px';
+
+  const handoverModeSelect = document.createElement('select');
+  handoverModeSelect.style.width = '100%';
+  [
+    { value: 'auto-approve', label: 'Hand over immediately' },
+    { value: 'approval', label: 'Require my approval' },
+    { value: 'timed', label: 'Hand over after a timeout' }
+  ].forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    handoverModeSelect.appendChild(option);
+  });
+
+  const handoverTimeoutLabel = document.createElement('label');
+  handoverTimeoutLabel.style.display = 'block';
+  handoverTimeoutLabel.style.marginTop = '4px';
+  handoverTimeoutLabel.textContent = 'Timeout (seconds) ';
+  const handoverTimeoutInput = document.createElement('input');
+  handoverTimeoutInput.type = 'number';
+  handoverTimeoutInput.min = '5';
+  handoverTimeoutInput.max = '600';
+  handoverTimeoutInput.style.width = '60px';
+  handoverTimeoutLabel.appendChild(handoverTimeoutInput);
+
+  // How long the host keeps the role while reconnecting.
+  const handoverGraceLabel = document.createElement('label');
+  handoverGraceLabel.style.display = 'block';
+  handoverGraceLabel.style.marginTop = '4px';
+  handoverGraceLabel.textContent = 'Reconnect grace (seconds) ';
+  const handoverGraceInput = document.createElement('input');
+  handoverGraceInput.type = 'number';
+  handoverGraceInput.min = '0';
+  handoverGraceInput.max = '300';
+  handoverGraceInput.style.width = '60px';
+  handoverGraceLabel.appendChild(handoverGraceInput);
+
+  const emitHandoverPolicy = () => {
+    app.socket.emit('set-handover-policy', {
+      mode: handoverModeSelect.value,
+      timeout: Number(handoverTimeoutInput.value),
+      grace: Number(handoverGraceInput.value)
+    });
+  };
+  handoverModeSelect.addEventListener('change', emitHandoverPolicy);
+  handoverTimeoutInput.addEventListener('change', emitHandoverPolicy);
+  handoverGraceInput.addEventListener('change', emitHandoverPolicy);
+
+  handoverSection.appendChild(handoverTitle);
+  handoverSection.appendChild(handoverModeSelect);
+  handoverSection.appendChild(handoverTimeoutLabel);
+  handoverSection.appendChild(handoverGraceLabel);
+  participantPanel.appendChild(handoverSection);
+
+  // Host only: collaborative mode, letting others move parts.
+  const collaborationSection = document.createElement('div');
+  collaborationSection.style.display = 'none';
+  collaborationSection.style.marginTop = '8px';
+  collaborationSection.style.paddingTop = '8px';
+  collaborationSection.style.borderTop = '1px solid #eee';
+  const collaborationTitle = document.createElement('div');
+  collaborationTitle.textContent = 'Collaboration';
+  collaborationTitle.style.fontWeight = 'bold';
+  collaborationTitle.style.marginBottom = '4px';
+
+  const collaborationLabel = document.createElement('label');
+  collaborationLabel.style.display = 'block';
+  const collaborationCheckbox = document.createElement('input');
+  collaborationCheckbox.type = 'checkbox';
+  collaborationCheckbox.style.marginRight = '6px';
+  collaborationLabel.appendChild(collaborationCheckbox);
+  collaborationLabel.appendChild(document.createTextNode('Let others move parts'));
+
+  const collaborationEditorsSelect = document.createElement('select');
+  collaborationEditorsSelect.style.width = '100%';
+  collaborationEditorsSelect.style.marginTop = '4px';
+  [
+    { value: 'everyone', label: 'Everyone' },
+    { value: 'selected', label: 'People I choose' }
+  ].forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    collaborationEditorsSelect.appendChild(option);
+  });
+
+  const emitCollaboration = () => {
+    app.socket.emit('set-collaboration', {
+      ...app.collaboration,
+      enabled: collaborationCheckbox.checked,
+      editors: collaborationEditorsSelect.value
+    });
+  };
+  collaborationCheckbox.addEventListener('change', emitCollaboration);
+  collaborationEditorsSelect.addEventListener('change', emitCollaboration);
+
+  collaborationSection.appendChild(collaborationTitle);
+  collaborationSection.appendChild(collaborationLabel);
+  collaborationSection.appendChild(collaborationEditorsSelect);
+  participantPanel.appendChild(collaborationSection);
+
+  participantButton.addEventListener('click', () => {
+    participantPanel.style.display = participantPanel.style.display === 'none' ? 'block' : 'none';
+  });
+
+  participantContainer.appendChild(participantButton);
+  participantContainer.appendChild(participantPanel);
+  controlsContainer.appendChild(participantContainer);
+  app.participantUI = {
+    button: participantButton,
+    panel: participantPanel,
+    list: participantList,
+    requestSection,
+    requestList,
+    handoverSection,
+    handoverModeSelect,
+    handoverTimeoutLabel,
+    handoverTimeoutInput,
+    handoverGraceInput,
+    collaborationSection,
+    collaborationCheckbox,
+    collaborationEditorsSelect
+  };
+  updateHandoverPolicyUI(app);
+  updateCollaborationUI(app);
+
   // ------------------------------
   // Optional: AR Button (if supported).
   // ------------------------------
@@ -376,7 +1040,7 @@ export function setupUIControls(app) {
   document.body.appendChild(controlsContainer);
   
   // Save references to the buttons.
-  app.toggleUI = { viewerButton, hostButton, pointerToggleButton };
+  app.toggleUI = { viewerButton, hostButton, pointerToggleButton, shareButton, recordButton, recordingIndicator, issuesButton, reportButton, sectionButton, explodeButton, sequenceButton, partsButton, finishesButton, variantSelect, undoButton, redoButton, magnetButton, gridSelect };
 }
 
 export function updateToggleUI(app, viewerButton, hostButton, isHost) {
@@ -388,6 +1052,23 @@ export function updateToggleUI(app, viewerButton, hostButton, isHost) {
     if (app.toggleUI && app.toggleUI.pointerToggleButton) {
       app.toggleUI.pointerToggleButton.style.display = 'inline-block';
     }
+    if (app.toggleUI && app.toggleUI.shareButton) {
+      app.toggleUI.shareButton.style.display = 'inline-block';
+      app.toggleUI.recordButton.style.display = 'inline-block';
+      app.toggleUI.reportButton.style.display = 'inline-block';
+      app.toggleUI.sectionButton.style.display = 'inline-block';
+      app.toggleUI.explodeButton.style.display = 'inline-block';
+      app.toggleUI.sequenceButton.style.display = 'inline-block';
+      app.toggleUI.partsButton.style.display = 'inline-block';
+      app.toggleUI.finishesButton.style.display = 'inline-block';
+      app.toggleUI.undoButton.style.display = 'inline-block';
+      app.toggleUI.redoButton.style.display = 'inline-block';
+    }
+    if (app.participantUI) {
+      app.participantUI.handoverSection.style.display = 'block';
+      app.participantUI.collaborationSection.style.display = 'block';
+      updateHostRequestQueue(app, app.hostRequestQueue);
+    }
   } else {
     viewerButton.style.backgroundColor = 'white';
     viewerButton.style.color = '#d00024';
@@ -396,5 +1077,210 @@ export function updateToggleUI(app, viewerButton, hostButton, isHost) {
     if (app.toggleUI && app.toggleUI.pointerToggleButton) {
       app.toggleUI.pointerToggleButton.style.display = 'none';
     }
+    if (app.toggleUI && app.toggleUI.shareButton) {
+      app.toggleUI.shareButton.style.display = 'none';
+      app.toggleUI.recordButton.style.display = 'none';
+      app.toggleUI.reportButton.style.display = 'none';
+      if (app.reportPanel) {
+        app.reportPanel.hide();
+      }
+      app.toggleUI.sectionButton.style.display = 'none';
+      app.toggleUI.explodeButton.style.display = 'none';
+      if (app.explodeView) {
+        app.explodeView.hide();
+      }
+      app.toggleUI.sequenceButton.style.display = 'none';
+      if (app.assemblySequence) {
+        app.assemblySequence.hide();
+      }
+      app.toggleUI.partsButton.style.display = 'none';
+      if (app.partVisibility) {
+        app.partVisibility.hide();
+      }
+      app.toggleUI.finishesButton.style.display = 'none';
+      if (app.materialVariants) {
+        app.materialVariants.hide();
+      }
+      app.toggleUI.undoButton.style.display = 'none';
+      app.toggleUI.redoButton.style.display = 'none';
+      if (app.sectionTool && app.sectionTool.editing) {
+        app.sectionTool.setEditing(false);
+        updateSectionButton(app);
+      }
+    }
+    if (app.participantUI) {
+      app.participantUI.handoverSection.style.display = 'none';
+      app.participantUI.collaborationSection.style.display = 'none';
+      app.participantUI.requestSection.style.display = 'none';
+    }
+  }
+  // Only the host gets the outliner's hide, rename and reset actions, and
+  // can switch the colorway, edit materials and move parts with the gizmo.
+  if (app.outliner) {
+    app.outliner.render();
+  }
+  if (app.materialVariants) {
+    app.materialVariants.renderSelect();
+  }
+  if (app.materialEditor) {
+    app.materialEditor.render();
+  }
+  if (app.transformGizmo) {
+    app.transformGizmo.render();
+  }
+  if (app.history) {
+    app.history.renderButtons();
+  }
+}
+// Highlight the Section button while the host edits the section.
+function updateSectionButton(app) {
+  const { sectionButton } = app.toggleUI;
+  sectionButton.style.backgroundColor = app.sectionTool.editing ? '#ffffff' : '#d00024';
+  sectionButton.style.color = app.sectionTool.editing ? '#d00024' : '#ffffff';
+}
+
+// Show whether the room is being recorded.
+export function updateRecordingUI(app) {
+  if (!app.toggleUI) {
+    return;
+  }
+  const { recordButton, recordingIndicator } = app.toggleUI;
+  recordButton.textContent = app.recording.active ? 'Stop recording' : 'Record';
+  recordingIndicator.style.display = app.recording.active ? 'inline-block' : 'none';
+}
+
+// Refresh the participant panel from the server's roster.
+export function updateParticipantPanel(app, participants) {
+  if (!app.participantUI) {
+    return;
+  }
+  const { list } = app.participantUI;
+  updateParticipantButton(app);
+  list.innerHTML = '';
+  participants.forEach((participant) => {
+    const item = document.createElement('li');
+    item.style.display = 'flex';
+    item.style.justifyContent = 'space-between';
+    item.style.alignItems = 'center';
+    item.style.gap = '10px';
+    item.style.padding = '4px 0';
+
+    const name = document.createElement('span');
+    name.textContent = participant.id === app.clientId ? `${participant.name} (you)` : participant.name;
+    if (!participant.connected) {
+      // Kept in the roster during its reconnect grace period.
+      name.textContent += ' (reconnecting…)';
+      name.style.color = '#999';
+    }
+
+    const canEdit = participant.role !== 'host' && isCollaborationEditor(app, participant.id);
+    const role = document.createElement('span');
+    role.textContent = participant.role === 'host' ? 'Host' : (canEdit ? 'Editor' : 'Viewer');
+    role.style.fontSize = '12px';
+    role.style.padding = '2px 8px';
+    role.style.borderRadius = '9999px';
+    if (participant.role === 'host') {
+      role.style.backgroundColor = '#d00024';
+      role.style.color = 'white';
+    } else {
+      role.style.color = '#666';
+    }
+
+    item.appendChild(name);
+    // The host picks editors one by one when collaboration is limited.
+    const { enabled, editors, allowed } = app.collaboration;
+    if (app.isHost && enabled && editors === 'selected' && participant.role !== 'host') {
+      const editToggle = document.createElement('input');
+      editToggle.type = 'checkbox';
+      editToggle.title = 'Can move parts';
+      editToggle.checked = allowed.includes(participant.id);
+      editToggle.addEventListener('change', () => {
+        app.socket.emit('set-collaboration', {
+          ...app.collaboration,
+          allowed: editToggle.checked
+            ? allowed.concat(participant.id)
+            : allowed.filter((clientId) => clientId !== participant.id)
+        });
+      });
+      item.appendChild(editToggle);
+    }
+    item.appendChild(role);
+    list.appendChild(item);
+  });
+}
+
+// Label the participant button with the head count and, for the host, the
+// number of people waiting for the host role.
+function updateParticipantButton(app) {
+  const { button } = app.participantUI;
+  const waiting = app.isHost ? app.hostRequestQueue.length : 0;
+  button.textContent = waiting > 0
+    ? `People (${app.participants.length}) · ${waiting} waiting`
+    : `People (${app.participants.length})`;
+}
+
+// Refresh the host's list of pending host requests.
+export function updateHostRequestQueue(app, requests) {
+  if (!app.participantUI) {
+    return;
+  }
+  const { requestSection, requestList } = app.participantUI;
+  requestList.innerHTML = '';
+  requests.forEach((request) => {
+    const item = document.createElement('li');
+    item.style.padding = '4px 0';
+
+    const name = document.createElement('span');
+    name.textContent = request.requesterName;
+    name.style.marginRight = '8px';
+
+    const allowButton = document.createElement('button');
+    allowButton.textContent = 'Allow';
+    allowButton.addEventListener('click', () => {
+      app.socket.emit('release-host', { requestId: request.requestId });
+    });
+
+    const denyButton = document.createElement('button');
+    denyButton.textContent = 'Deny';
+    denyButton.style.marginLeft = '4px';
+    denyButton.addEventListener('click', () => {
+      app.socket.emit('deny-host', { requestId: request.requestId });
+    });
+
+    item.appendChild(name);
+    item.appendChild(allowButton);
+    item.appendChild(denyButton);
+    requestList.appendChild(item);
+  });
+  requestSection.style.display = app.isHost && requests.length > 0 ? 'block' : 'none';
+  updateParticipantButton(app);
+}
+
+// Reflect the room's handover policy in the host's settings controls.
+export function updateHandoverPolicyUI(app) {
+  if (!app.participantUI) {
+    return;
   }
-}
\ No newline at end of file
+  const { handoverModeSelect, handoverTimeoutLabel, handoverTimeoutInput, handoverGraceInput } = app.participantUI;
+  handoverModeSelect.value = app.handoverPolicy.mode;
+  handoverTimeoutInput.value = app.handoverPolicy.timeout;
+  handoverGraceInput.value = app.handoverPolicy.grace;
+  handoverTimeoutLabel.style.display = app.handoverPolicy.mode === 'timed' ? 'block' : 'none';
+}
+
+// Whether a participant may move parts in collaborative mode.
+function isCollaborationEditor(app, clientId) {
+  const { enabled, editors, allowed } = app.collaboration;
+  return enabled && (editors === 'everyone' || allowed.includes(clientId));
+}
+
+// Reflect the room's collaboration settings in the host's controls.
+export function updateCollaborationUI(app) {
+  if (!app.participantUI) {
+    return;
+  }
+  const { collaborationCheckbox, collaborationEditorsSelect } = app.participantUI;
+  collaborationCheckbox.checked = app.collaboration.enabled;
+  collaborationEditorsSelect.value = app.collaboration.editors;
+  collaborationEditorsSelect.disabled = !app.collaboration.enabled;
+}
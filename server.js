@@ -10,10 +10,19 @@ const { v4: uuidv4 } = require('uuid');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { createJsonStore } = require('./lib/jsonStore');
+const { createRecordingStore } = require('./lib/recordings');
+const invites = require('./lib/invites');
+const issues = require('./lib/issues');
+const reports = require('./lib/reports');
+const { validateEvent, MAX_PAYLOAD_BYTES } = require('./lib/validation');
 
 const app = express();
 const server = http.createServer(app);
-const io = new Server(server);
+// Socket payloads are validated per event; anything far larger is cut off
+// before it is even parsed.
+const io = new Server(server, { maxHttpBufferSize: 4 * MAX_PAYLOAD_BYTES });
 
 // Ensure the uploads folder exists.
 const uploadDir = path.join(__dirname, 'uploads');
@@ -21,6 +30,20 @@ if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir);
 }
 
+// Sessions are saved under the data folder so a restart does not lose them.
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+const sessionStore = createJsonStore(path.join(dataDir, 'sessions'));
+// Annotations and the unit scale are kept per product rather than per room,
+// so they come back whenever the same parts are loaded again.
+const annotationStore = createJsonStore(path.join(dataDir, 'annotations'));
+// Generated review reports.
+const reportStore = createJsonStore(path.join(dataDir, 'reports'));
+// Recorded review sessions, replayed from the viewer.
+const recordingStore = createRecordingStore(path.join(dataDir, 'recordings'));
+
+// Secret used to sign host and viewer invite links.
+const inviteSecret = invites.loadInviteSecret(dataDir);
+
 // Serve static files from 'public' folder.
 app.use(express.static('public'));
 
@@ -39,12 +62,525 @@ const storage = multer.diskStorage({
 });
 const upload = multer({ storage: storage });
 
-// Global state for host management and pending requests.
-let hostSocketId = null;
-let pendingRequests = {}; // { requestId: { timeout: TimeoutObject, requester: socketId } }
+// Room every socket lands in when no ?room= parameter is given.
+const DEFAULT_ROOM = 'default';
+
+// Per-room session state keyed by room name. Each room has its own host,
+// pending host requests and upload buffers so that several teams can review
+// different products on the same deployment without interfering.
+let rooms = {};
+
+// Normalise a requested room name to something safe to use as a key.
+function sanitizeRoomName(name) {
+  if (typeof name !== 'string') {
+    return DEFAULT_ROOM;
+  }
+  const cleaned = name.trim().toLowerCase().replace(/[^a-z0-9_-]/g, '-').slice(0, 64);
+  return cleaned || DEFAULT_ROOM;
+}
+
+// How host handover works in a room: hand over immediately ('auto-approve'),
+// only when the host approves ('approval'), or automatically when the host
+// has not answered within `timeout` seconds ('timed'). `grace` is how many
+// seconds a disconnected host keeps the role while it reconnects.
+const HANDOVER_MODES = ['auto-approve', 'approval', 'timed'];
+const DEFAULT_HANDOVER_POLICY = {
+  mode: 'timed',
+  timeout: 30,
+  grace: Number(process.env.HOST_GRACE_SECONDS) || 30
+};
+
+// Round `value` into [min, max], falling back to `fallback` if it is not a number.
+function clampSeconds(value, fallback, min, max) {
+  const seconds = Math.round(Number(value));
+  return Math.min(max, Math.max(min, Number.isFinite(seconds) ? seconds : fallback));
+}
+
+function sanitizeHandoverPolicy(policy) {
+  const mode = policy && HANDOVER_MODES.includes(policy.mode) ? policy.mode : DEFAULT_HANDOVER_POLICY.mode;
+  return {
+    mode,
+    timeout: clampSeconds(policy && policy.timeout, DEFAULT_HANDOVER_POLICY.timeout, 5, 600),
+    grace: clampSeconds(policy && policy.grace, DEFAULT_HANDOVER_POLICY.grace, 0, 300)
+  };
+}
+
+// How many camera and part updates per second a host sends at most. Viewers
+// interpolate between them, so a lower rate saves bandwidth without stutter.
+const SYNC_RATE = Math.min(60, Math.max(1, Number(process.env.SYNC_RATE) || 20));
+
+// Whether a timestamped update is older than the one already stored from
+// the same sender, i.e. it arrived out of order.
+function isStaleUpdate(previous, update, sender) {
+  return !!previous && previous.sender === sender &&
+    Number.isFinite(previous.seq) && Number.isFinite(update.seq) && update.seq <= previous.seq;
+}
+
+// Collaborative mode lets participants other than the host move parts, one
+// part per person at a time. `editors` is 'everyone' or 'selected', in which
+// case only the client ids in `allowed` may edit.
+const COLLABORATION_EDITORS = ['everyone', 'selected'];
+const DEFAULT_COLLABORATION = { enabled: false, editors: 'everyone', allowed: [] };
+
+// glTF files are in metres, so a scene unit is 1000 mm unless the host says
+// otherwise for a product.
+const DEFAULT_UNIT_SCALE = 1000;
+
+function sanitizeCollaboration(settings) {
+  const editors = settings && COLLABORATION_EDITORS.includes(settings.editors) ? settings.editors : DEFAULT_COLLABORATION.editors;
+  const allowed = settings && Array.isArray(settings.allowed)
+    ? settings.allowed.filter(clientId => typeof clientId === 'string' && clientId.length <= 128).slice(0, 200)
+    : [];
+  return { enabled: !!(settings && settings.enabled), editors, allowed };
+}
+
+// Clients identify themselves with an id kept in localStorage, plus an id for
+// the page load that tells two tabs of the same browser apart. Fall back to
+// the socket id. Client ids are shown to the whole room, so resuming a
+// participant also takes its resume token (see joinRoom).
+function sanitizeClientId(clientId, socketId) {
+  if (typeof clientId === 'string' && /^[A-Za-z0-9-]{8,64}$/.test(clientId)) {
+    return clientId;
+  }
+  return socketId.replace(/[^A-Za-z0-9-]/g, '');
+}
+
+function sanitizeResumeToken(token) {
+  return typeof token === 'string' && /^[a-f0-9]{48}$/.test(token) ? token : null;
+}
+
+function sanitizePageId(pageId, socketId) {
+  const cleaned = typeof pageId === 'string' ? pageId.replace(/[^A-Za-z0-9]/g, '').slice(0, 16) : '';
+  return cleaned || socketId.replace(/[^A-Za-z0-9]/g, '').slice(0, 16);
+}
+
+// Get a room's state, creating it on first use.
+function getRoom(name) {
+  if (!rooms[name]) {
+    rooms[name] = {
+      name,
+      // Client id of the host, kept while the host reconnects.
+      hostClientId: null,
+      // Socket of the host, null while the host is disconnected.
+      hostSocketId: null,
+      // Ordered queue of pending host requests: [{ requestId, requester (client id), requestedAt }]
+      hostRequests: [],
+      handover: { ...DEFAULT_HANDOVER_POLICY },
+      // Countdown for auto-transferring host to the head of the queue.
+      handoverTimer: null,
+      handoverTimerFor: null,
+      handoverDeadline: null,
+      hostUploadBuffers: {}, // Buffer for host uploads keyed by their socket ID.
+      // Everyone in the room keyed by client id: { name, socketId, pageId, resumeToken, hostVerified, graceTimer }.
+      // `socketId` is null while a participant is reconnecting; `resumeToken`
+      // is only ever sent to the participant's own socket.
+      participants: {},
+      // Authoritative scene state, replayed to late joiners as a snapshot.
+      parts: [], // Parts of the product currently loaded: [{ url, name }]
+      transforms: {}, // Latest model-transform payload keyed by part name.
+      camera: null, // Latest camera-update payload from the host.
+      section: null, // Latest section-update payload (clipping planes) from the host.
+      explode: null, // Latest explode-update payload (explode factor) from the host.
+      pointer: { active: false, position: null },
+      ar: { active: false },
+      collaboration: { ...DEFAULT_COLLABORATION },
+      // Parts being moved in collaborative mode: { partName: { clientId, lockedAt } }
+      locks: {},
+      // Notes pinned to the loaded product: [{ id, number, part, position, text, author, authorId, createdAt }]
+      annotations: [],
+      productKey: null,
+      // Millimetres per scene unit for the loaded product, used by measurements.
+      unitScale: DEFAULT_UNIT_SCALE,
+      // Directions parts move in the exploded view, where the host set them: { partName: [x, y, z] }
+      explodeDirections: {},
+      // Assembly sequence saved with the product: [{ id, caption, parts: [{ part, start, end }], camera }]
+      sequence: [],
+      // Step of the sequence being played to the room, or null.
+      sequenceStep: null,
+      // Display labels the host gave parts and their glTF nodes, saved with
+      // the product: [{ part, node?, label }]
+      labels: [],
+      // Parts the host has hidden or selected, and whether the parts not
+      // selected are shown as X-ray ghosts.
+      visibility: emptyVisibility(),
+      // The material variant (colorway) shown, the finishes the host picked
+      // for single parts and the host's material edits:
+      // { variant, finishes: { partName: { color?, roughness, metalness } }, edits: { partName: { slot: edit } } }
+      materials: emptyMaterials(),
+      // Measurements made by the host: [{ id, type, points: [{ part, position }] }]
+      measurements: [],
+      // Review issues raised in this room, kept across product changes.
+      issues: [],
+      // What the host prepares for the review report: free-text notes and
+      // named camera views to take screenshots from.
+      report: { notes: '', viewpoints: [] },
+      // Recorder of the room's scene events while the host records the session.
+      recording: null,
+      // Passcode required to take the host role. Generated for the first host
+      // of a room unless HOST_PASSCODE sets one for every room.
+      hostPasscode: null,
+      // Wrong passcodes entered in this room, by anyone (see tryPasscode).
+      passcodeAttempts: emptyPasscodeAttempts(),
+      createdAt: new Date().toISOString(),
+      updatedAt: null, // Set the first time the session is saved.
+      saveTimer: null
+    };
+  }
+  return rooms[name];
+}
+
+// Delay before a changed session is written, so bursts of camera and
+// transform updates result in a single save.
+const SESSION_SAVE_DELAY = 1000;
+
+// The part of a room's state that survives a restart.
+function serializeSession(room) {
+  return {
+    name: room.name,
+    parts: room.parts,
+    transforms: room.transforms,
+    camera: room.camera,
+    section: room.section,
+    explode: room.explode,
+    sequenceStep: room.sequenceStep,
+    visibility: room.visibility,
+    materials: room.materials,
+    hostPasscode: room.hostPasscode,
+    handover: room.handover,
+    collaboration: room.collaboration,
+    issues: room.issues,
+    report: room.report,
+    measurements: room.measurements,
+    host: room.hostClientId ? {
+      clientId: room.hostClientId,
+      name: getParticipantName(room, room.hostClientId),
+      resumeToken: room.participants[room.hostClientId] ? room.participants[room.hostClientId].resumeToken : null
+    } : null,
+    createdAt: room.createdAt,
+    updatedAt: room.updatedAt
+  };
+}
+
+// Mark a room's session as changed and schedule it to be saved.
+function persistRoom(room) {
+  room.updatedAt = new Date().toISOString();
+  if (room.saveTimer) {
+    return;
+  }
+  room.saveTimer = setTimeout(() => {
+    room.saveTimer = null;
+    sessionStore.save(room.name, serializeSession(room), (err) => {
+      if (err) {
+        console.error(`Error saving session ${room.name}:`, err);
+      }
+    });
+  }, SESSION_SAVE_DELAY);
+}
+
+// Reload saved sessions at boot so reviews resume where they stopped.
+function restoreSessions() {
+  sessionStore.loadAll().forEach((session) => {
+    const room = getRoom(sanitizeRoomName(session.name));
+    room.parts = session.parts || [];
+    room.transforms = session.transforms || {};
+    room.camera = session.camera || null;
+    room.section = session.section || null;
+    room.explode = session.explode || null;
+    room.sequenceStep = typeof session.sequenceStep === 'number' ? session.sequenceStep : null;
+    room.visibility = session.visibility || emptyVisibility();
+    room.materials = { ...emptyMaterials(), ...session.materials };
+    room.hostPasscode = session.hostPasscode || null;
+    room.handover = sanitizeHandoverPolicy(session.handover);
+    room.collaboration = sanitizeCollaboration(session.collaboration);
+    room.issues = session.issues || [];
+    room.report = session.report || { notes: '', viewpoints: [] };
+    room.measurements = session.measurements || [];
+    room.productKey = getProductKey(room.parts);
+    loadProductData(room);
+    room.createdAt = session.createdAt || room.createdAt;
+    room.updatedAt = session.updatedAt || null;
+    // The host gets its grace period to come back after a restart.
+    if (session.host && session.host.clientId) {
+      room.participants[session.host.clientId] = {
+        name: session.host.name,
+        socketId: null,
+        pageId: null,
+        resumeToken: sanitizeResumeToken(session.host.resumeToken),
+        hostVerified: true,
+        graceTimer: null
+      };
+      room.hostClientId = session.host.clientId;
+      startGracePeriod(room, session.host.clientId);
+    }
+  });
+  console.log(`Restored ${Object.keys(rooms).length} saved session(s)`);
+}
+
+// Number of sockets currently joined to a room.
+function getRoomSize(name) {
+  const members = io.sockets.adapter.rooms.get(name);
+  return members ? members.size : 0;
+}
+
+// Replace the room's product, forgetting transforms of the previous one.
+function setRoomParts(room, parts) {
+  room.parts = parts.map(part => ({ url: part.url, name: part.name }));
+  room.transforms = {};
+  room.locks = {};
+  room.visibility = emptyVisibility();
+  room.materials = emptyMaterials();
+  persistRoom(room);
+  broadcastVisibility(room);
+  broadcastMaterials(room);
+  const productKey = getProductKey(room.parts);
+  if (productKey !== room.productKey) {
+    room.productKey = productKey;
+    room.annotations = [];
+    room.unitScale = DEFAULT_UNIT_SCALE;
+    room.measurements = [];
+    room.explodeDirections = {};
+    room.sequence = [];
+    room.sequenceStep = null;
+    room.labels = [];
+    broadcastAnnotations(room);
+    broadcastMeasurements(room);
+    broadcastExplodeDirections(room);
+    broadcastSequence(room);
+    broadcastSequenceStep(room);
+    broadcastLabels(room);
+    loadProductData(room);
+  }
+}
+
+// Identify a product by the files of its parts.
+function getProductKey(parts) {
+  if (parts.length === 0) {
+    return null;
+  }
+  const urls = parts.map(part => part.url).sort();
+  return crypto.createHash('sha256').update(JSON.stringify(urls)).digest('hex').slice(0, 32);
+}
+
+// Load the annotations, unit scale, explode directions, assembly sequence and
+// labels saved with the room's product and send them to the room.
+function loadProductData(room) {
+  const productKey = room.productKey;
+  if (!productKey) {
+    return;
+  }
+  annotationStore.load(productKey, (err, saved) => {
+    if (err) {
+      console.error(`Error loading annotations for room ${room.name}:`, err);
+      return;
+    }
+    // The product may have changed while loading.
+    if (!saved || room.productKey !== productKey) {
+      return;
+    }
+    room.annotations = saved.annotations || [];
+    room.unitScale = saved.unitScale || DEFAULT_UNIT_SCALE;
+    room.explodeDirections = saved.explodeDirections || {};
+    room.sequence = saved.sequence || [];
+    room.labels = saved.labels || [];
+    if (room.sequenceStep !== null && room.sequenceStep >= room.sequence.length) {
+      room.sequenceStep = null;
+    }
+    broadcastAnnotations(room);
+    broadcastMeasurements(room);
+    broadcastExplodeDirections(room);
+    broadcastSequence(room);
+    broadcastSequenceStep(room);
+    broadcastLabels(room);
+  });
+}
+
+// Save the room's annotations, unit scale, explode directions, assembly
+// sequence and labels with its product.
+function saveProductData(room) {
+  const data = {
+    parts: room.parts,
+    annotations: room.annotations,
+    unitScale: room.unitScale,
+    explodeDirections: room.explodeDirections,
+    sequence: room.sequence,
+    labels: room.labels
+  };
+  annotationStore.save(room.productKey, data, (err) => {
+    if (err) {
+      console.error(`Error saving product data for room ${room.name}:`, err);
+    }
+  });
+}
+
+// Save the room's assembly sequence with its product and send it to the
+// room, stopping any playback the change may have broken.
+function updateSequence(room) {
+  saveProductData(room);
+  broadcastSequence(room);
+  if (room.sequenceStep !== null && room.sequenceStep >= room.sequence.length) {
+    room.sequenceStep = null;
+    persistRoom(room);
+    broadcastSequenceStep(room);
+  }
+}
+
+// Save the room's annotations with its product and send them to the room.
+function updateAnnotations(room) {
+  saveProductData(room);
+  broadcastAnnotations(room);
+}
+
+// Save the room's report notes and views and send them to the room.
+function broadcastReport(room) {
+  persistRoom(room);
+  io.to(room.name).emit('report-settings', room.report);
+}
+
+// Who is raising an issue or commenting on one.
+function getIssueAuthor(socket) {
+  return { name: socket.data.name, clientId: socket.data.clientId };
+}
+
+// Save the room's issues with its session and send them to the room.
+function broadcastIssues(room) {
+  persistRoom(room);
+  io.to(room.name).emit('issues', { issues: room.issues });
+}
+
+function broadcastAnnotations(room) {
+  recordEvent(room, 'annotations', { annotations: room.annotations });
+  io.to(room.name).emit('annotations', { annotations: room.annotations });
+}
+
+function broadcastExplodeDirections(room) {
+  recordEvent(room, 'explode-directions', { directions: room.explodeDirections });
+  io.to(room.name).emit('explode-directions', { directions: room.explodeDirections });
+}
+
+function broadcastLabels(room) {
+  recordEvent(room, 'labels', { labels: room.labels });
+  io.to(room.name).emit('labels', { labels: room.labels });
+}
+
+function broadcastSequence(room) {
+  recordEvent(room, 'sequence', { steps: room.sequence });
+  io.to(room.name).emit('sequence', { steps: room.sequence });
+}
+
+function broadcastSequenceStep(room) {
+  const data = { index: room.sequenceStep === null ? -1 : room.sequenceStep };
+  recordEvent(room, 'sequence-step', data);
+  io.to(room.name).emit('sequence-step', data);
+}
+
+// Send the host's measurements and the product's unit scale to the room.
+function broadcastMeasurements(room) {
+  const data = { measurements: room.measurements, unitScale: room.unitScale };
+  persistRoom(room);
+  recordEvent(room, 'measurements', data);
+  io.to(room.name).emit('measurements', data);
+}
 
-// Buffer for host uploads keyed by their socket ID.
-let hostUploadBuffers = {};
+function emptyVisibility() {
+  return { hidden: [], hiddenNodes: [], selected: [], xray: false };
+}
+
+function broadcastVisibility(room) {
+  recordEvent(room, 'visibility', room.visibility);
+  io.to(room.name).emit('visibility', room.visibility);
+}
+
+function emptyMaterials() {
+  return { variant: null, finishes: {}, edits: {} };
+}
+
+function broadcastMaterials(room) {
+  recordEvent(room, 'materials', room.materials);
+  io.to(room.name).emit('materials', room.materials);
+}
+
+// Everything a client needs to reproduce the room's current scene.
+function getSessionSnapshot(room) {
+  return {
+    parts: room.parts,
+    transforms: room.transforms,
+    camera: room.camera,
+    section: room.section,
+    explode: room.explode,
+    explodeDirections: room.explodeDirections,
+    sequence: room.sequence,
+    sequenceStep: room.sequenceStep,
+    visibility: room.visibility,
+    materials: room.materials,
+    labels: room.labels,
+    pointer: room.pointer,
+    ar: room.ar,
+    collaboration: room.collaboration,
+    locks: getLocks(room),
+    annotations: room.annotations,
+    measurements: room.measurements,
+    unitScale: room.unitScale,
+    issues: room.issues,
+    report: room.report
+  };
+}
+
+// Whether the room is being recorded, as sent to its clients.
+function getRecordingState(room) {
+  return room.recording
+    ? { active: true, id: room.recording.id, startedAt: room.recording.startedAt }
+    : { active: false };
+}
+
+// Append a scene event to the room's recording, if one is running.
+function recordEvent(room, event, data) {
+  if (room.recording) {
+    room.recording.append(event, data);
+  }
+}
+
+// Start recording a room's scene events, beginning with its current scene.
+function startRecording(room) {
+  if (room.recording) {
+    return;
+  }
+  room.recording = recordingStore.start(room.name, getSessionSnapshot(room));
+  console.log(`Started recording ${room.recording.id} in room ${room.name}`);
+  io.to(room.name).emit('recording-state', getRecordingState(room));
+}
+
+// Finish a room's recording. The room is told which recording was saved.
+function stopRecording(room, callback = () => {}) {
+  const recording = room.recording;
+  if (!recording) {
+    return callback(null, null);
+  }
+  room.recording = null;
+  io.to(room.name).emit('recording-state', { active: false, savedId: recording.id });
+  recording.stop((err, info) => {
+    if (err) {
+      console.error(`Error saving recording ${recording.id}:`, err);
+    } else {
+      console.log(`Saved recording ${recording.id} (${info.events} events)`);
+    }
+    callback(err, info);
+  });
+}
+
+// Look up the room a connected socket belongs to.
+function getSocketRoom(socketId) {
+  const socket = socketId && io.sockets.sockets.get(socketId);
+  return socket && socket.data.room ? getRoom(socket.data.room) : null;
+}
+
+// The connected socket an HTTP request comes from. Socket ids are sent to
+// everyone in a room, so the request must also carry the secret that only
+// that socket was given.
+function getRequestSocket(req) {
+  const socketId = req.headers['x-socket-id'];
+  const socket = socketId && io.sockets.sockets.get(socketId);
+  return socket && invites.safeEqual(req.headers['x-socket-secret'], socket.data.requestSecret) ? socket : null;
+}
 
 // File Upload Endpoint.
 app.post('/upload', upload.single('model'), (req, res) => {
@@ -58,22 +594,22 @@ app.post('/upload', upload.single('model'), (req, res) => {
 
   const fileUrl = `${baseUrl}/uploads/${req.file.filename}`;
 
-  // Extract uploader's socket id and role from custom headers.
-  const uploaderId = req.headers['x-socket-id'];
-  const uploaderRole = req.headers['x-uploader-role'] || 'viewer';
-
-  // Buffer the file if the uploader is a host.
-  if (uploaderRole === 'host' && uploaderId) {
-    if (!hostUploadBuffers[uploaderId]) {
-      hostUploadBuffers[uploaderId] = [];
+  // Buffer the file in the uploader's room if the uploader is its host, as
+  // proven by its socket's secret.
+  const socket = getRequestSocket(req);
+  const uploaderId = socket && socket.id;
+  const room = getSocketRoom(uploaderId);
+  if (room && room.hostSocketId === uploaderId) {
+    if (!room.hostUploadBuffers[uploaderId]) {
+      room.hostUploadBuffers[uploaderId] = [];
     }
-    hostUploadBuffers[uploaderId].push({
+    room.hostUploadBuffers[uploaderId].push({
       url: fileUrl,
       name: req.file.originalname,
       id: uuidv4(),
       sender: uploaderId
     });
-    console.log(`Buffered upload for host ${uploaderId}: ${req.file.originalname}`);
+    console.log(`Buffered upload for host ${uploaderId} in room ${room.name}: ${req.file.originalname}`);
   } else {
     console.log("Viewer upload detected; not broadcasting upload to other clients.");
   }
@@ -93,13 +629,31 @@ app.get('/list-uploads', (req, res) => {
                           .map(file => {
       return {
         name: file,
-        url: `${baseUrl}/uploads/${file}`
+        url: `${baseUrl}/uploads/${file}`,
+        size: getFileSize(path.join(uploadDir, file))
       };
     });
     res.json(glbFiles);
   });
 });
 
+// Size of a file in bytes, or null if it is missing.
+function getFileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch (err) {
+    return null;
+  }
+}
+
+// File name and size of a loaded part, from its /uploads or /assets URL.
+function describePartFile(part) {
+  const pathname = decodeURIComponent(new URL(part.url, 'http://relative.invalid').pathname);
+  const file = path.basename(pathname);
+  const dir = pathname.startsWith('/assets/') ? path.join(__dirname, 'public', 'assets') : uploadDir;
+  return { name: part.name, file, size: getFileSize(path.join(dir, file)) };
+}
+
 // File deletion endpoint
 app.delete('/delete-upload/:filename', (req, res) => {
   const filename = req.params.filename;
@@ -161,115 +715,1045 @@ app.delete('/delete-all-uploads', (req, res) => {
   });
 });
 
+// Summary of a session for listings.
+function describeSession(room) {
+  return {
+    name: room.name,
+    parts: room.parts.map(part => part.name),
+    participants: getRoomSize(room.name),
+    hasHost: !!room.hostClientId,
+    createdAt: room.createdAt,
+    updatedAt: room.updatedAt
+  };
+}
+
+// List live and saved sessions, most recently changed first.
+app.get('/sessions', (req, res) => {
+  const sessions = Object.values(rooms)
+    .map(describeSession)
+    .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+  res.json(sessions);
+});
+
+// Open a session: its saved state plus the link that joins it.
+app.get('/sessions/:name', (req, res) => {
+  const room = rooms[sanitizeRoomName(req.params.name)];
+  if (!room) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  const baseUrl = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  // The host passcode is only ever handed to the host itself, and the host's
+  // client id and resume token would let anyone take over its participant.
+  const { hostPasscode, host, ...session } = serializeSession(room);
+  res.json({
+    ...describeSession(room),
+    ...session,
+    host: host ? { name: host.name } : null,
+    url: `${baseUrl}/?room=${encodeURIComponent(room.name)}`
+  });
+});
+
+// Delete a saved session. Only someone who could host it may, and sessions
+// with people in them cannot be deleted.
+app.delete('/sessions/:name', (req, res) => {
+  const room = rooms[sanitizeRoomName(req.params.name)];
+  if (!room) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  if (!hasHostHttpCredentials(req, room)) {
+    return res.status(403).json({ error: "The host passcode or a host invite is required" });
+  }
+  if (getRoomSize(room.name) > 0) {
+    return res.status(409).json({ error: "Session is in use" });
+  }
+  clearTimeout(room.saveTimer);
+  stopRecording(room);
+  delete rooms[room.name];
+  sessionStore.remove(room.name, (err) => {
+    if (err) {
+      console.error("Error deleting session:", err);
+      return res.status(500).json({ error: "Failed to delete session" });
+    }
+    console.log(`Deleted session: ${room.name}`);
+    return res.status(200).json({ message: `Session ${room.name} deleted successfully` });
+  });
+});
+
+// List recorded sessions, newest first.
+app.get('/recordings', (req, res) => {
+  recordingStore.list((err, recordings) => {
+    if (err) {
+      console.error("Error listing recordings:", err);
+      return res.status(500).json({ error: "Failed to list recordings" });
+    }
+    const active = Object.values(rooms).filter(room => room.recording).map(room => room.recording.id);
+    res.json(recordings.map(recording => ({ ...recording, active: active.includes(recording.id) })));
+  });
+});
+
+// Download a recording as JSON Lines: a header with the starting scene, then
+// one line per event.
+app.get('/recordings/:id', (req, res) => {
+  const id = req.params.id;
+  if (!recordingStore.isValidId(id)) {
+    return res.status(400).json({ error: "Invalid recording id" });
+  }
+  const stream = recordingStore.createReadStream(id);
+  stream.on('error', (err) => {
+    if (err.code === 'ENOENT') {
+      return res.status(404).json({ error: "Recording not found" });
+    }
+    console.error("Error reading recording:", err);
+    res.status(500).json({ error: "Failed to read recording" });
+  });
+  stream.on('open', () => {
+    res.type('application/x-ndjson');
+    stream.pipe(res);
+  });
+});
+
+// Delete a recording. Only someone who could host the recorded room may, and
+// a recording still in progress cannot be deleted.
+app.delete('/recordings/:id', (req, res) => {
+  const id = req.params.id;
+  if (!recordingStore.isValidId(id)) {
+    return res.status(400).json({ error: "Invalid recording id" });
+  }
+  recordingStore.load(id, (loadErr, info) => {
+    if (loadErr) {
+      console.error("Error loading recording:", loadErr);
+      return res.status(500).json({ error: "Failed to load recording" });
+    }
+    if (!info) {
+      return res.status(404).json({ error: "Recording not found" });
+    }
+    // A room deleted since still has its host invites and HOST_PASSCODE.
+    const room = rooms[info.room] || { name: info.room, hostPasscode: null, passcodeAttempts: emptyPasscodeAttempts() };
+    if (!hasHostHttpCredentials(req, room)) {
+      return res.status(403).json({ error: "The host passcode or a host invite is required" });
+    }
+    if (room.recording && room.recording.id === id) {
+      return res.status(409).json({ error: "Recording is in progress" });
+    }
+    recordingStore.remove(id, (err) => {
+      if (err) {
+        console.error("Error deleting recording:", err);
+        return res.status(500).json({ error: "Failed to delete recording" });
+      }
+      console.log(`Deleted recording: ${id}`);
+      return res.status(200).json({ message: `Recording ${id} deleted successfully` });
+    });
+  });
+});
+
+// List a session's review issues, as JSON or (?format=csv) as a CSV download.
+// Deliberately open: anyone may join a room as a viewer and sees its issues
+// there, so this shows nothing joining wouldn't, and viewers use it to export.
+app.get('/sessions/:name/issues', (req, res) => {
+  const room = rooms[sanitizeRoomName(req.params.name)];
+  if (!room) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  const status = req.query.status;
+  const list = issues.ISSUE_STATUSES.includes(status) ? room.issues.filter(issue => issue.status === status) : room.issues;
+  if (req.query.format === 'csv') {
+    res.attachment(`${room.name}-issues.csv`);
+    return res.type('text/csv').send(issues.issuesToCsv(list));
+  }
+  res.json(list);
+});
+
+// Generate a review report of a session from the host's screenshots. Only
+// the room's host may do this; it identifies itself by its socket and that
+// socket's secret.
+app.post('/sessions/:name/reports', express.json({ limit: '20mb' }), (req, res) => {
+  const room = rooms[sanitizeRoomName(req.params.name)];
+  if (!room) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  const socket = getRequestSocket(req);
+  if (!socket || !room.hostSocketId || socket.id !== room.hostSocketId) {
+    return res.status(403).json({ error: "Only the host can generate a report" });
+  }
+  const views = Array.isArray(req.body && req.body.views) ? req.body.views : [];
+  const validViews = views.filter(view => view && typeof view.name === 'string' && /^data:image\/jpeg;base64,[A-Za-z0-9+/=]+$/.test(view.image || ''));
+  if (validViews.length !== views.length || views.length > 20) {
+    return res.status(400).json({ error: "Views must be up to 20 JPEG screenshots" });
+  }
+  const createdAt = new Date();
+  const report = {
+    id: `${room.name}-${createdAt.toISOString().replace(/[^0-9]/g, '').slice(0, 14)}-${crypto.randomBytes(16).toString('hex')}`,
+    room: room.name,
+    title: typeof req.body.title === 'string' && req.body.title.trim() ? req.body.title.trim().slice(0, 200) : `Design review: ${room.name}`,
+    createdAt: createdAt.toISOString(),
+    notes: room.report.notes,
+    parts: room.parts.map(describePartFile),
+    issues: room.issues.map(({ number, title, status, part, assignee }) => ({ number, title, status, part, assignee })),
+    views: validViews.map(view => ({ name: view.name.slice(0, 100), image: view.image }))
+  };
+  reportStore.save(report.id, report, (err) => {
+    if (err) {
+      console.error("Error saving report:", err);
+      return res.status(500).json({ error: "Failed to save report" });
+    }
+    console.log(`Generated report ${report.id}`);
+    const baseUrl = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+    res.json({
+      id: report.id,
+      html: `${baseUrl}/reports/${report.id}.html`,
+      pdf: `${baseUrl}/reports/${report.id}.pdf`
+    });
+  });
+});
+
+// Download a report as a self-contained HTML page or as a PDF.
+app.get('/reports/:id.:format(html|pdf)', (req, res) => {
+  const id = req.params.id;
+  if (!/^[a-z0-9_-]+$/i.test(id)) {
+    return res.status(400).json({ error: "Invalid report id" });
+  }
+  reportStore.load(id, (err, report) => {
+    if (err) {
+      console.error("Error loading report:", err);
+      return res.status(500).json({ error: "Failed to load report" });
+    }
+    if (!report) {
+      return res.status(404).json({ error: "Report not found" });
+    }
+    if (req.params.format === 'pdf') {
+      res.attachment(`${id}.pdf`);
+      return res.type('application/pdf').send(reports.renderReportPdf(report));
+    }
+    res.type('html').send(reports.renderReportHtml(report));
+  });
+});
+
+// Normalise a display name, falling back to a short guest name.
+function sanitizeDisplayName(name, socketId) {
+  const cleaned = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ').slice(0, 40) : '';
+  return cleaned || `Guest ${socketId.slice(0, 4)}`;
+}
+
+// The room's participants with their current roles. `connected` is false
+// while a participant is within its reconnect grace period.
+function getRoster(room) {
+  return Object.keys(room.participants).map(clientId => ({
+    id: clientId,
+    name: room.participants[clientId].name,
+    role: clientId === room.hostClientId ? 'host' : 'viewer',
+    connected: !!room.participants[clientId].socketId
+  }));
+}
+
+// Send the roster to everyone in the room after a join, leave, rename or
+// role change.
+function broadcastRoster(room) {
+  io.to(room.name).emit('roster-update', { participants: getRoster(room) });
+}
+
+// Display name of a participant for log and prompt messages.
+function getParticipantName(room, clientId) {
+  const participant = room.participants[clientId];
+  return participant ? participant.name : clientId;
+}
+
+// Send an event to a participant's current socket, if it is connected.
+function emitToClient(room, clientId, event, data) {
+  const participant = room.participants[clientId];
+  if (participant && participant.socketId) {
+    io.to(participant.socketId).emit(event, data);
+  }
+}
+
+// Whether a participant may move parts: the host always, others only in
+// collaborative mode.
+function canEditParts(room, clientId) {
+  if (clientId === room.hostClientId) {
+    return true;
+  }
+  const { enabled, editors, allowed } = room.collaboration;
+  return enabled && (editors === 'everyone' || allowed.includes(clientId));
+}
+
+// The room's part locks with the names of whoever holds them.
+function getLocks(room) {
+  return Object.keys(room.locks).map(part => ({
+    part,
+    clientId: room.locks[part].clientId,
+    name: getParticipantName(room, room.locks[part].clientId)
+  }));
+}
+
+function broadcastLocks(room) {
+  io.to(room.name).emit('part-locks', { locks: getLocks(room) });
+}
+
+// Drop the locks held by clients matching `predicate`.
+function releaseLocks(room, predicate) {
+  const parts = Object.keys(room.locks).filter(part => predicate(room.locks[part].clientId));
+  parts.forEach(part => delete room.locks[part]);
+  if (parts.length > 0) {
+    broadcastLocks(room);
+  }
+}
+
+// Wrong host passcodes a socket, or everyone in a room together, may enter
+// before passcode claims are locked out. The lockout starts at
+// PASSCODE_LOCKOUT_MS and doubles with every further wrong passcode, up to
+// PASSCODE_MAX_LOCKOUT_MS.
+const PASSCODE_MAX_FAILURES = 5;
+const PASSCODE_LOCKOUT_MS = 30 * 1000;
+const PASSCODE_MAX_LOCKOUT_MS = 15 * 60 * 1000;
+
+function emptyPasscodeAttempts() {
+  return { failures: 0, lockedUntil: 0 };
+}
+
+// Compare an offered host passcode, counting a wrong one against each of
+// `attempts` (the claimant's and the room's). Returns 'locked' while any of
+// them is locked out, otherwise whether the passcode matched.
+function tryPasscode(attempts, offered, passcode) {
+  const now = Date.now();
+  if (attempts.some(record => record.lockedUntil > now)) {
+    return 'locked';
+  }
+  if (invites.safeEqual(offered, passcode)) {
+    attempts.forEach(record => Object.assign(record, emptyPasscodeAttempts()));
+    return true;
+  }
+  attempts.forEach((record) => {
+    record.failures++;
+    if (record.failures >= PASSCODE_MAX_FAILURES) {
+      const lockout = PASSCODE_LOCKOUT_MS * 2 ** (record.failures - PASSCODE_MAX_FAILURES);
+      record.lockedUntil = now + Math.min(lockout, PASSCODE_MAX_LOCKOUT_MS);
+    }
+  });
+  return false;
+}
+
+// Passcode guarding the host role of a room, if any.
+function getHostPasscode(room) {
+  return room.hostPasscode || process.env.HOST_PASSCODE || null;
+}
+
+// Whether an HTTP request carries the room's host credentials: a host invite
+// for the room (x-invite) or its host passcode (x-host-passcode).
+function hasHostHttpCredentials(req, room) {
+  const invite = invites.verifyInviteToken(inviteSecret, req.headers['x-invite']);
+  if (invite && invite.room === room.name && invite.role === 'host') {
+    return true;
+  }
+  const passcode = getHostPasscode(room);
+  const offered = req.headers['x-host-passcode'];
+  return !!passcode && typeof offered === 'string' && tryPasscode([room.passcodeAttempts], offered, passcode) === true;
+}
+
+// Decide whether a socket may take the host role in its room. Returns null
+// when allowed, otherwise a rejection { code, reason } for the client.
+function checkHostCredentials(socket, room, credentials) {
+  if (socket.data.inviteRole === 'viewer') {
+    return { code: 'viewer-invite', reason: 'This invite link only allows viewing.' };
+  }
+  const participant = room.participants[socket.data.clientId];
+  if (socket.data.inviteRole === 'host' || participant.hostVerified) {
+    return null;
+  }
+  const passcode = getHostPasscode(room);
+  if (!passcode) {
+    // Nobody has claimed this room yet; its first host sets the passcode.
+    return null;
+  }
+  const offered = credentials && credentials.passcode;
+  if (!offered) {
+    return { code: 'passcode-required', reason: 'Enter the host passcode to take over.' };
+  }
+  const result = tryPasscode([socket.data.passcodeAttempts, room.passcodeAttempts], String(offered), passcode);
+  if (result === 'locked') {
+    return { code: 'too-many-attempts', reason: 'Too many wrong host passcodes. Try again in a few minutes.' };
+  }
+  if (!result) {
+    return { code: 'invalid-passcode', reason: 'That host passcode is not correct.' };
+  }
+  participant.hostVerified = true;
+  return null;
+}
+
+// Seconds left before the head of the queue is made host, or null.
+function getAutoTransferIn(room) {
+  if (!room.handoverTimer) {
+    return null;
+  }
+  return Math.max(0, Math.ceil((room.handoverDeadline - Date.now()) / 1000));
+}
+
+// Tell the host the queue of requests and each requester its place in it.
+function broadcastHostRequests(room) {
+  const autoTransferIn = getAutoTransferIn(room);
+  const requests = room.hostRequests.map((request, index) => ({
+    requestId: request.requestId,
+    requester: request.requester,
+    requesterName: getParticipantName(room, request.requester),
+    requestedAt: request.requestedAt,
+    position: index + 1
+  }));
+  if (room.hostSocketId) {
+    io.to(room.hostSocketId).emit('host-request-queue', { requests, autoTransferIn });
+  }
+  requests.forEach((request, index) => {
+    emitToClient(room, request.requester, 'host-request-queued', {
+      requestId: request.requestId,
+      position: request.position,
+      mode: room.handover.mode,
+      autoTransferIn: index === 0 ? autoTransferIn : null
+    });
+  });
+}
+
+// Start the auto-transfer countdown for the head of the queue when the policy
+// is timed. A running countdown is kept as long as the head is unchanged.
+function scheduleHandover(room) {
+  const head = room.hostRequests[0];
+  const shouldRun = room.handover.mode === 'timed' && head && room.hostSocketId;
+  if (shouldRun && room.handoverTimer && room.handoverTimerFor === head.requestId) {
+    return;
+  }
+  clearTimeout(room.handoverTimer);
+  room.handoverTimer = null;
+  room.handoverTimerFor = null;
+  room.handoverDeadline = null;
+  if (!shouldRun) {
+    return;
+  }
+  const delay = room.handover.timeout * 1000;
+  room.handoverTimerFor = head.requestId;
+  room.handoverDeadline = Date.now() + delay;
+  room.handoverTimer = setTimeout(() => {
+    room.handoverTimer = null;
+    console.log(`Auto transferring host role to ${head.requester} for request ${head.requestId}`);
+    assignHost(room, head.requester);
+  }, delay);
+}
+
+// Call after the queue, the host or the policy changed.
+function updateHostRequests(room) {
+  scheduleHandover(room);
+  broadcastHostRequests(room);
+}
+
+// Drop queued requests matching `predicate`, returning the removed ones.
+function removeHostRequests(room, predicate) {
+  const removed = room.hostRequests.filter(predicate);
+  room.hostRequests = room.hostRequests.filter(request => !predicate(request));
+  return removed;
+}
+
+// Tell the room who hosts it. `hostSocketId` is null while a host reconnects.
+function getHostState(room) {
+  return { hostClientId: room.hostClientId, hostSocketId: room.hostSocketId };
+}
+
+// Give the host role to a participant, handing out the room passcode if this
+// is the first host of an unclaimed room.
+function assignHost(room, clientId) {
+  room.hostClientId = clientId;
+  room.hostSocketId = room.participants[clientId].socketId;
+  removeHostRequests(room, request => request.requester === clientId);
+  persistRoom(room);
+  io.to(room.name).emit('host-changed', getHostState(room));
+  broadcastRoster(room);
+  // A new host gets the full timeout to answer whoever is waiting.
+  clearTimeout(room.handoverTimer);
+  room.handoverTimer = null;
+  updateHostRequests(room);
+  if (!getHostPasscode(room)) {
+    room.hostPasscode = invites.generatePasscode();
+    emitToClient(room, clientId, 'host-credentials', { passcode: room.hostPasscode });
+  }
+}
+
+// Whether a socket holds the resume token of a participant.
+function ownsParticipant(socket, participant) {
+  return invites.safeEqual(socket.data.resumeToken, participant.resumeToken);
+}
+
+// Put a socket into a room and tell it who currently hosts there. A client
+// coming back within its grace period with its resume token resumes its
+// participant, including the host role.
+function joinRoom(socket, roomName) {
+  const room = getRoom(roomName);
+  const pageId = socket.data.pageId;
+  let clientId = socket.data.requestedClientId;
+  let participant = room.participants[clientId];
+  if (participant && (!ownsParticipant(socket, participant) || (participant.socketId && participant.pageId !== pageId))) {
+    // Someone else has this id, or the same browser is already here in
+    // another tab; keep them apart.
+    clientId = `${clientId}-${pageId}`;
+    participant = room.participants[clientId];
+    if (participant && !ownsParticipant(socket, participant)) {
+      clientId = `${socket.data.requestedClientId}-${crypto.randomBytes(4).toString('hex')}`;
+      participant = null;
+    }
+  }
+  if (participant && participant.socketId && participant.socketId !== socket.id) {
+    // This page reconnected before its old connection timed out.
+    const staleSocket = io.sockets.sockets.get(participant.socketId);
+    participant.socketId = null;
+    releaseLocks(room, holder => holder === clientId);
+    if (staleSocket) {
+      staleSocket.disconnect(true);
+    }
+  }
+  socket.data.clientId = clientId;
+  socket.join(room.name);
+  socket.data.room = room.name;
+  // Invite links only grant their role in the room they were issued for.
+  const invite = socket.data.invite;
+  socket.data.inviteRole = invite && invite.room === room.name ? invite.role : null;
+
+  const resumed = !!participant;
+  if (resumed) {
+    clearTimeout(participant.graceTimer);
+    participant.graceTimer = null;
+    participant.socketId = socket.id;
+    participant.pageId = pageId;
+    participant.name = socket.data.name;
+  } else {
+    participant = room.participants[clientId] = {
+      name: socket.data.name,
+      socketId: socket.id,
+      pageId,
+      resumeToken: crypto.randomBytes(24).toString('hex'),
+      hostVerified: false,
+      graceTimer: null
+    };
+  }
+  console.log(`${socket.data.name} (${clientId}) ${resumed ? 'rejoined' : 'joined'} room ${room.name}`);
+  socket.emit('room-joined', { room: room.name, clientId, resumeToken: participant.resumeToken, resumed, syncRate: SYNC_RATE });
+  if (resumed && clientId === room.hostClientId) {
+    room.hostSocketId = socket.id;
+    io.to(room.name).emit('host-changed', getHostState(room));
+    updateHostRequests(room);
+  } else {
+    socket.emit('host-changed', getHostState(room));
+    if (resumed && room.hostRequests.some(request => request.requester === clientId)) {
+      broadcastHostRequests(room);
+    }
+  }
+  socket.emit('session-snapshot', getSessionSnapshot(room));
+  socket.emit('handover-policy', room.handover);
+  socket.emit('recording-state', getRecordingState(room));
+  broadcastRoster(room);
+  return room;
+}
+
+// Leave a room without a host. The host's pointer and AR session go with it,
+// and the first connected participant waiting in the queue takes over.
+function releaseHost(room) {
+  room.hostClientId = null;
+  room.hostSocketId = null;
+  room.ar = { active: false };
+  if (room.pointer.active) {
+    io.to(room.name).emit('host-pointer-toggle', { active: false });
+  }
+  room.pointer = { active: false, position: null };
+  persistRoom(room);
+  const next = room.hostRequests.find(request => room.participants[request.requester] && room.participants[request.requester].socketId);
+  if (next) {
+    assignHost(room, next.requester);
+    return;
+  }
+  io.to(room.name).emit('host-changed', getHostState(room));
+  broadcastRoster(room);
+  updateHostRequests(room);
+}
+
+// Remove a participant from a room for good, releasing the host role and
+// any pending host requests it holds there.
+function removeParticipant(room, clientId) {
+  const participant = room.participants[clientId];
+  if (!participant) {
+    return;
+  }
+  clearTimeout(participant.graceTimer);
+  delete room.participants[clientId];
+  if (clientId === room.hostClientId) {
+    releaseHost(room);
+  }
+  if (removeHostRequests(room, request => request.requester === clientId).length > 0) {
+    updateHostRequests(room);
+  }
+  console.log(`${participant.name} (${clientId}) left room ${room.name}`);
+  broadcastRoster(room);
+  if (Object.keys(room.participants).length === 0) {
+    stopRecording(room);
+  }
+
+  // Forget rooms nobody is using any more, unless they hold a saved session.
+  if (Object.keys(room.participants).length === 0 && getRoomSize(room.name) === 0 && !room.updatedAt) {
+    delete rooms[room.name];
+  }
+}
+
+// Keep a disconnected participant, and the host role if it holds it, for the
+// room's grace period before removing it.
+function startGracePeriod(room, clientId) {
+  const participant = room.participants[clientId];
+  const grace = room.handover.grace;
+  if (grace === 0) {
+    removeParticipant(room, clientId);
+    return;
+  }
+  participant.socketId = null;
+  if (clientId === room.hostClientId) {
+    room.hostSocketId = null;
+    io.to(room.name).emit('host-reconnecting', { hostClientId: clientId, graceSeconds: grace });
+    // Nobody can answer requests while the host is away.
+    updateHostRequests(room);
+  }
+  broadcastRoster(room);
+  participant.graceTimer = setTimeout(() => {
+    participant.graceTimer = null;
+    console.log(`Grace period of ${participant.name} (${clientId}) in room ${room.name} ended`);
+    removeParticipant(room, clientId);
+  }, grace * 1000);
+}
+
+// Take a socket out of its room. On disconnect (`reconnectable`) its
+// participant is kept for the grace period; switching rooms removes it.
+function leaveRoom(socket, { reconnectable = false } = {}) {
+  // Read the room from the socket itself: on disconnect it is no longer
+  // registered with the namespace.
+  const room = socket.data.room && rooms[socket.data.room];
+  if (!room) {
+    return;
+  }
+  delete room.hostUploadBuffers[socket.id];
+  socket.leave(room.name);
+  socket.data.room = null;
+  console.log(`Socket ${socket.id} left room ${room.name}`);
+  const participant = room.participants[socket.data.clientId];
+  if (!participant || participant.socketId !== socket.id) {
+    return;
+  }
+  // Nobody can finish a drag for a disconnected client.
+  releaseLocks(room, clientId => clientId === socket.data.clientId);
+  if (reconnectable) {
+    startGracePeriod(room, socket.data.clientId);
+  } else {
+    removeParticipant(room, socket.data.clientId);
+  }
+}
+
 // Socket communication.
 io.on('connection', (socket) => {
   console.log(`Client connected: ${socket.id}`);
+  socket.data.invite = invites.verifyInviteToken(inviteSecret, socket.handshake.query.invite);
+  socket.data.name = sanitizeDisplayName(socket.handshake.query.name, socket.id);
+  socket.data.requestedClientId = sanitizeClientId(socket.handshake.query.clientId, socket.id);
+  socket.data.pageId = sanitizePageId(socket.handshake.query.pageId, socket.id);
+  socket.data.resumeToken = sanitizeResumeToken(socket.handshake.query.resumeToken);
+  socket.data.passcodeAttempts = emptyPasscodeAttempts();
+  joinRoom(socket, sanitizeRoomName(socket.handshake.query.room));
+  // Proves HTTP requests come from this socket; sent to nobody else.
+  socket.data.requestSecret = crypto.randomBytes(24).toString('hex');
+  socket.emit('request-secret', { secret: socket.data.requestSecret });
+
+  // Validate every incoming event before its handler runs. Rejected events
+  // are dropped and reported back to the sender.
+  socket.use(([event, ...args], next) => {
+    const hosts = [socket.handshake.headers.host];
+    if (process.env.PUBLIC_URL) {
+      hosts.push(new URL(process.env.PUBLIC_URL).host);
+    }
+    const error = validateEvent(event, args, { hosts });
+    if (error) {
+      console.log(`Rejected ${event} from ${socket.id}: ${error}`);
+      socket.emit('event-rejected', { event, reason: error });
+      return;
+    }
+    next();
+  });
+
+  // Switch to another room without reconnecting.
+  socket.on('join-room', (data) => {
+    const roomName = sanitizeRoomName(data && data.room);
+    if (socket.data.room === roomName) {
+      return;
+    }
+    leaveRoom(socket);
+    joinRoom(socket, roomName);
+  });
+
+  // Change the display name shown in the participant roster.
+  socket.on('set-display-name', (data) => {
+    const room = getSocketRoom(socket.id);
+    socket.data.name = sanitizeDisplayName(data && data.name, socket.id);
+    room.participants[socket.data.clientId].name = socket.data.name;
+    broadcastRoster(room);
+  });
 
-  socket.on('register-host', () => {
-    console.log(`register-host from ${socket.id}`);
-    hostSocketId = socket.id;
-    io.emit('host-changed', { hostSocketId });
+  socket.on('register-host', (credentials) => {
+    const room = getSocketRoom(socket.id);
+    console.log(`register-host from ${socket.id} in room ${room.name}`);
+    const rejection = checkHostCredentials(socket, room, credentials);
+    if (rejection) {
+      console.log(`Rejected register-host from ${socket.id}: ${rejection.code}`);
+      socket.emit('host-auth-rejected', rejection);
+      return;
+    }
+    assignHost(room, socket.data.clientId);
   });
 
-  socket.on('request-host', () => {
-    console.log(`request-host from ${socket.id}`);
-    if (!hostSocketId) {
-      hostSocketId = socket.id;
-      io.emit('host-changed', { hostSocketId });
-    } else if (hostSocketId === socket.id) {
-      console.log(`Socket ${socket.id} is already the host.`);
+  socket.on('request-host', (credentials) => {
+    const room = getSocketRoom(socket.id);
+    console.log(`request-host from ${socket.id} in room ${room.name}`);
+    const rejection = checkHostCredentials(socket, room, credentials);
+    if (rejection) {
+      console.log(`Rejected request-host from ${socket.id}: ${rejection.code}`);
+      socket.emit('host-auth-rejected', rejection);
+      return;
+    }
+    const clientId = socket.data.clientId;
+    if (!room.hostClientId || room.handover.mode === 'auto-approve') {
+      assignHost(room, clientId);
+    } else if (room.hostClientId === clientId) {
+      console.log(`Client ${clientId} is already the host.`);
+    } else if (room.hostRequests.some(request => request.requester === clientId)) {
+      console.log(`Client ${clientId} already has a pending host request.`);
     } else {
       const requestId = uuidv4();
-      const timeout = setTimeout(() => {
-        console.log(`Auto transferring host role to ${socket.id} for request ${requestId}`);
-        hostSocketId = socket.id;
-        io.emit('host-changed', { hostSocketId });
-        delete pendingRequests[requestId];
-      }, 30000);
-      pendingRequests[requestId] = { timeout, requester: socket.id };
-      io.to(hostSocketId).emit('host-transfer-request', { requestId, requester: socket.id });
+      room.hostRequests.push({ requestId, requester: clientId, requestedAt: new Date().toISOString() });
+      updateHostRequests(room);
+      const isHead = room.hostRequests[0].requestId === requestId;
+      emitToClient(room, room.hostClientId, 'host-transfer-request', {
+        requestId,
+        requester: clientId,
+        requesterName: getParticipantName(room, clientId),
+        position: room.hostRequests.length,
+        autoTransferIn: isHead ? getAutoTransferIn(room) : null
+      });
     }
   });
 
+  // The host changes how handover requests are handled in this room.
+  socket.on('set-handover-policy', (policy) => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id !== room.hostSocketId) {
+      return;
+    }
+    room.handover = sanitizeHandoverPolicy(policy);
+    persistRoom(room);
+    io.to(room.name).emit('handover-policy', room.handover);
+    // Switching to auto-approve hands over to the first person waiting.
+    if (room.handover.mode === 'auto-approve' && room.hostRequests.length > 0) {
+      assignHost(room, room.hostRequests[0].requester);
+    } else {
+      updateHostRequests(room);
+    }
+  });
+
+  // Only the current host may answer host requests.
   socket.on('release-host', (data) => {
+    const room = getSocketRoom(socket.id);
     const { requestId } = data;
-    if (pendingRequests[requestId]) {
-      const { timeout, requester } = pendingRequests[requestId];
-      clearTimeout(timeout);
-      hostSocketId = requester;
-      io.emit('host-changed', { hostSocketId });
-      delete pendingRequests[requestId];
+    if (socket.id !== room.hostSocketId) {
+      return;
+    }
+    const [request] = removeHostRequests(room, request => request.requestId === requestId);
+    if (request) {
+      assignHost(room, request.requester);
     }
   });
 
   socket.on('deny-host', (data) => {
+    const room = getSocketRoom(socket.id);
     const { requestId } = data;
-    if (pendingRequests[requestId]) {
-      const { timeout, requester } = pendingRequests[requestId];
-      clearTimeout(timeout);
-      io.to(requester).emit('transfer-denied', { requestId });
-      delete pendingRequests[requestId];
+    if (socket.id !== room.hostSocketId) {
+      return;
+    }
+    const [request] = removeHostRequests(room, request => request.requestId === requestId);
+    if (request) {
+      emitToClient(room, request.requester, 'transfer-denied', { requestId });
+      updateHostRequests(room);
     }
   });
 
+  // Give the host the passcode and fresh invite links to share.
+  socket.on('get-invite-links', () => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id !== room.hostSocketId) {
+      return;
+    }
+    const origin = process.env.PUBLIC_URL || socket.handshake.headers.origin || `http://${socket.handshake.headers.host}`;
+    const roomParam = encodeURIComponent(room.name);
+    const hostToken = invites.createInviteToken(inviteSecret, room.name, 'host');
+    const viewerToken = invites.createInviteToken(inviteSecret, room.name, 'viewer');
+    socket.emit('invite-links', {
+      passcode: getHostPasscode(room),
+      hostLink: `${origin}/?room=${roomParam}&role=host&invite=${hostToken}`,
+      viewerLink: `${origin}/?room=${roomParam}&invite=${viewerToken}`
+    });
+  });
+
   socket.on('cancel-host-request', () => {
-    console.log(`Received cancel-host-request from ${socket.id}`);
-    let found = false;
-    for (const reqId in pendingRequests) {
-      if (pendingRequests[reqId].requester === socket.id) {
-        console.log(`Found pending request ${reqId} for ${socket.id}`);
-        clearTimeout(pendingRequests[reqId].timeout);
-        delete pendingRequests[reqId];
-        found = true;
-        // Emit the cancellation event to the current host.
-        if (hostSocketId) {
-          io.to(hostSocketId).emit('host-request-cancelled', { requestId: reqId });
-        }
+    const room = getSocketRoom(socket.id);
+    const clientId = socket.data.clientId;
+    console.log(`Received cancel-host-request from ${clientId}`);
+    const removed = removeHostRequests(room, request => request.requester === clientId);
+    removed.forEach((request) => {
+      console.log(`Found pending request ${request.requestId} for ${clientId}`);
+      // Emit the cancellation event to the current host.
+      if (room.hostSocketId) {
+        io.to(room.hostSocketId).emit('host-request-cancelled', { requestId: request.requestId });
       }
-    }
-    if (!found) {
-      console.log(`No pending host request found for ${socket.id}`);
+    });
+    if (removed.length > 0) {
+      updateHostRequests(room);
+    } else {
+      console.log(`No pending host request found for ${clientId}`);
     }
   });
 
   socket.on('give-up-host', () => {
-    if (socket.id === hostSocketId) {
-      hostSocketId = null;
-      io.emit('host-changed', { hostSocketId: null });
+    const room = getSocketRoom(socket.id);
+    if (socket.id === room.hostSocketId) {
+      releaseHost(room);
     }
   });
 
+  //
+  // --- Collaborative Editing ---
+  //
+  // The host turns collaborative mode on or off and chooses who may edit.
+  socket.on('set-collaboration', (settings) => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id !== room.hostSocketId) {
+      return;
+    }
+    room.collaboration = sanitizeCollaboration(settings);
+    persistRoom(room);
+    io.to(room.name).emit('collaboration-settings', room.collaboration);
+    // Whoever may no longer edit lets go of their part.
+    releaseLocks(room, clientId => !canEditParts(room, clientId));
+  });
+
+  // Grab a part for the duration of a drag. The lock is refused when the
+  // client may not edit or someone else is already moving the part.
+  socket.on('lock-part', (data) => {
+    const room = getSocketRoom(socket.id);
+    const clientId = socket.data.clientId;
+    const { part } = data;
+    const lock = room.locks[part];
+    if (!canEditParts(room, clientId)) {
+      socket.emit('part-lock-denied', { part, reason: 'You are not allowed to move parts.' });
+    } else if (lock && lock.clientId !== clientId) {
+      socket.emit('part-lock-denied', { part, reason: `${getParticipantName(room, lock.clientId)} is moving this part.` });
+    } else if (!lock) {
+      // One part per person: grabbing another part lets go of the last one.
+      Object.keys(room.locks).forEach((lockedPart) => {
+        if (room.locks[lockedPart].clientId === clientId) {
+          delete room.locks[lockedPart];
+        }
+      });
+      room.locks[part] = { clientId, lockedAt: new Date().toISOString() };
+      broadcastLocks(room);
+    }
+  });
+
+  socket.on('unlock-part', (data) => {
+    const room = getSocketRoom(socket.id);
+    const part = data && data.part;
+    const lock = room.locks[part];
+    if (lock && lock.clientId === socket.data.clientId) {
+      delete room.locks[part];
+      broadcastLocks(room);
+    }
+  });
+
+  // The host moves parts freely unless someone else holds the part; in
+  // collaborative mode editors move the parts they have locked.
   socket.on('model-transform', (modelState) => {
-    if (socket.id === hostSocketId) {
-      socket.broadcast.emit('model-transform', modelState);
+    const room = getSocketRoom(socket.id);
+    const clientId = socket.data.clientId;
+    const lock = room.locks[modelState.customId];
+    const allowed = lock
+      ? lock.clientId === clientId
+      : socket.id === room.hostSocketId;
+    if (allowed && !isStaleUpdate(room.transforms[modelState.customId], modelState, socket.id)) {
+      // Stamp the sending connection so viewers can order updates per sender.
+      const update = { ...modelState, sender: socket.id };
+      room.transforms[modelState.customId] = update;
+      persistRoom(room);
+      recordEvent(room, 'model-transform', update);
+      socket.to(room.name).emit('model-transform', update);
     }
   });
   
   socket.on('camera-update', (cameraState) => {
-    if (socket.id === hostSocketId) {
-      socket.broadcast.emit('camera-update', cameraState);
+    const room = getSocketRoom(socket.id);
+    if (socket.id === room.hostSocketId && !isStaleUpdate(room.camera, cameraState, socket.id)) {
+      const update = { ...cameraState, sender: socket.id };
+      room.camera = update;
+      persistRoom(room);
+      recordEvent(room, 'camera-update', update);
+      socket.to(room.name).emit('camera-update', update);
+    }
+  });
+  
+  socket.on('section-update', (section) => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id === room.hostSocketId && !isStaleUpdate(room.section, section, socket.id)) {
+      const update = { ...section, sender: socket.id };
+      room.section = update;
+      persistRoom(room);
+      recordEvent(room, 'section-update', update);
+      socket.to(room.name).emit('section-update', update);
     }
   });
   
+  socket.on('explode-update', (explode) => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id === room.hostSocketId && !isStaleUpdate(room.explode, explode, socket.id)) {
+      const update = { ...explode, sender: socket.id };
+      room.explode = update;
+      persistRoom(room);
+      recordEvent(room, 'explode-update', update);
+      socket.to(room.name).emit('explode-update', update);
+    }
+  });
+
+  // The host may send a part in a fixed direction when exploded, or back to
+  // moving away from the centre when `direction` is left out.
+  socket.on('set-explode-direction', (data) => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id !== room.hostSocketId || !room.productKey || !room.parts.some(part => part.name === data.part)) {
+      return;
+    }
+    if (data.direction && data.direction.some(value => value !== 0)) {
+      room.explodeDirections[data.part] = data.direction;
+    } else {
+      delete room.explodeDirections[data.part];
+    }
+    saveProductData(room);
+    broadcastExplodeDirections(room);
+  });
+
+  // The host picks the colorway everyone sees, from the product's
+  // KHR_materials_variants, or the parts' own materials with no variant.
+  socket.on('set-material-variant', (data) => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id === room.hostSocketId) {
+      room.materials.variant = data.variant || null;
+      persistRoom(room);
+      broadcastMaterials(room);
+    }
+  });
+
+  // The host gives a part a color and finish, or puts back its own material
+  // when `finish` is left out.
+  socket.on('set-part-finish', (data) => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id !== room.hostSocketId || !room.parts.some(part => part.name === data.part)) {
+      return;
+    }
+    if (data.finish) {
+      room.materials.finishes[data.part] = data.finish;
+    } else {
+      delete room.materials.finishes[data.part];
+    }
+    persistRoom(room);
+    broadcastMaterials(room);
+  });
+
+  // The host edits a material slot of a part (see the material editor), or
+  // drops the edit when `edit` is left out.
+  socket.on('set-material-edit', (data) => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id !== room.hostSocketId || !Number.isInteger(data.slot) ||
+        !room.parts.some(part => part.name === data.part)) {
+      return;
+    }
+    const edits = room.materials.edits[data.part] || {};
+    if (data.edit && Object.keys(data.edit).length > 0) {
+      edits[data.slot] = data.edit;
+    } else {
+      delete edits[data.slot];
+    }
+    if (Object.keys(edits).length > 0) {
+      room.materials.edits[data.part] = edits;
+    } else {
+      delete room.materials.edits[data.part];
+    }
+    persistRoom(room);
+    broadcastMaterials(room);
+  });
+
+  // The host names parts and their nodes for everyone, or puts back the
+  // original name with an empty label.
+  socket.on('set-label', (data) => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id !== room.hostSocketId || !room.productKey || !room.parts.some(part => part.name === data.part)) {
+      return;
+    }
+    const node = data.node || null;
+    const labels = room.labels.filter(item => item.part !== data.part || (item.node || null) !== node);
+    const label = data.label.trim();
+    if (label) {
+      if (labels.length >= 1000) {
+        return;
+      }
+      labels.push(node ? { part: data.part, node, label } : { part: data.part, label });
+    }
+    room.labels = labels;
+    saveProductData(room);
+    broadcastLabels(room);
+  });
+
+  // The host hides, selects and X-rays parts for everyone.
+  socket.on('set-visibility', (data) => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id !== room.hostSocketId) {
+      return;
+    }
+    const isPart = (name) => room.parts.some(part => part.name === name);
+    room.visibility = {
+      hidden: data.hidden.filter(isPart),
+      hiddenNodes: data.hiddenNodes.filter(item => isPart(item.part)),
+      selected: data.selected.filter(isPart),
+      xray: data.xray
+    };
+    persistRoom(room);
+    broadcastVisibility(room);
+  });
+  
   socket.on('reset-all', (resetAll) => {
-    if (socket.id === hostSocketId) {
-      socket.broadcast.emit('reset-all', resetAll);
+    const room = getSocketRoom(socket.id);
+    if (socket.id === room.hostSocketId) {
+      room.transforms = {};
+      room.visibility = emptyVisibility();
+      persistRoom(room);
+      recordEvent(room, 'reset-all', null);
+      socket.to(room.name).emit('reset-all', resetAll);
+      broadcastVisibility(room);
     }
   });
 
   // When the host signals the upload is complete,
-  // broadcast the aggregated product information.
+  // broadcast the aggregated product information to the room.
   socket.on('product-upload-complete', () => {
+    const room = getSocketRoom(socket.id);
     const uploaderId = socket.id;
-    const partsBuffer = hostUploadBuffers[uploaderId] || [];
+    const partsBuffer = room.hostUploadBuffers[uploaderId] || [];
     if (partsBuffer.length > 0) {
-      console.log(`Broadcasting complete product for host ${uploaderId}`);
-      io.emit('product-upload-complete', {
+      console.log(`Broadcasting complete product for host ${uploaderId} in room ${room.name}`);
+      setRoomParts(room, partsBuffer);
+      recordEvent(room, 'product-upload-complete', { parts: room.parts });
+      io.to(room.name).emit('product-upload-complete', {
         parts: partsBuffer,
         sender: uploaderId
       });
       // Clear the buffer once broadcast is complete.
-      hostUploadBuffers[uploaderId] = [];
+      room.hostUploadBuffers[uploaderId] = [];
     } else {
       console.log(`No buffered parts found for host ${uploaderId}`);
     }
@@ -278,32 +1762,300 @@ io.on('connection', (socket) => {
   //
   // --- Pointer Broadcasting Logic ---
   //
-  // Relay the pointer toggle event.
+  // Relay the pointer toggle event to the rest of the room.
   socket.on('host-pointer-toggle', (data) => {
-    socket.broadcast.emit('host-pointer-toggle', data);
+    const room = getSocketRoom(socket.id);
+    if (socket.id === room.hostSocketId) {
+      room.pointer = { active: !!data.active, position: null };
+      recordEvent(room, 'host-pointer-toggle', data);
+    }
+    socket.to(room.name).emit('host-pointer-toggle', data);
   });
-  // Relay the pointer position update.
+  // Relay the pointer position update to the rest of the room.
   socket.on('host-pointer-update', (data) => {
-    socket.broadcast.emit('host-pointer-update', data);
+    const room = getSocketRoom(socket.id);
+    if (socket.id === room.hostSocketId) {
+      room.pointer.position = data.position;
+      recordEvent(room, 'host-pointer-update', data);
+    }
+    socket.to(room.name).emit('host-pointer-update', data);
   });
 
-  socket.on('disconnect', () => {
-    if (socket.id === hostSocketId) {
-      hostSocketId = null;
-      io.emit('host-changed', { hostSocketId: null });
-    }
-    for (const reqId in pendingRequests) {
-      if (pendingRequests[reqId].requester === socket.id) {
-        clearTimeout(pendingRequests[reqId].timeout);
-        delete pendingRequests[reqId];
-      }
+  //
+  // --- AR State ---
+  //
+  // Track whether the host is presenting in AR so late joiners know too.
+  socket.on('ar-session-start', () => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id === room.hostSocketId) {
+      room.ar = { active: true };
+      socket.to(room.name).emit('host-ar-state', room.ar);
+    }
+  });
+  socket.on('ar-session-end', () => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id === room.hostSocketId) {
+      room.ar = { active: false };
+      socket.to(room.name).emit('host-ar-state', room.ar);
+    }
+  });
+
+  // The host cleared its scene, undoing the first product it loaded.
+  socket.on('models-cleared', () => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id === room.hostSocketId) {
+      setRoomParts(room, []);
+      recordEvent(room, 'models-cleared', null);
+      socket.to(room.name).emit('models-cleared');
     }
   });
 
+  //
+  // --- Annotations ---
+  //
+  // Anyone may pin a note to a part; its author and the host may edit or
+  // remove it.
+  socket.on('add-annotation', (data) => {
+    const room = getSocketRoom(socket.id);
+    const text = data.text.trim();
+    if (!text || !room.parts.some(part => part.name === data.part)) {
+      return;
+    }
+    const number = room.annotations.reduce((max, annotation) => Math.max(max, annotation.number), 0) + 1;
+    room.annotations.push({
+      id: uuidv4(),
+      number,
+      part: data.part,
+      position: data.position,
+      text,
+      author: socket.data.name,
+      authorId: socket.data.clientId,
+      createdAt: new Date().toISOString()
+    });
+    updateAnnotations(room);
+  });
+
+  socket.on('update-annotation', (data) => {
+    const room = getSocketRoom(socket.id);
+    const annotation = room.annotations.find(item => item.id === data.id);
+    const text = data.text.trim();
+    if (annotation && text && (annotation.authorId === socket.data.clientId || socket.id === room.hostSocketId)) {
+      annotation.text = text;
+      updateAnnotations(room);
+    }
+  });
+
+  socket.on('remove-annotation', (data) => {
+    const room = getSocketRoom(socket.id);
+    const annotation = room.annotations.find(item => item.id === data.id);
+    if (annotation && (annotation.authorId === socket.data.clientId || socket.id === room.hostSocketId)) {
+      room.annotations = room.annotations.filter(item => item !== annotation);
+      updateAnnotations(room);
+    }
+  });
+
+  //
+  // --- Assembly sequence ---
+  //
+  // The host writes the steps showing how the product goes together, then
+  // plays them step by step on every client.
+  socket.on('add-sequence-step', (data) => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id !== room.hostSocketId || !room.productKey || room.sequence.length >= 100) {
+      return;
+    }
+    const index = typeof data.index === 'number' ? Math.min(Math.floor(data.index), room.sequence.length) : room.sequence.length;
+    room.sequence.splice(index, 0, { id: uuidv4(), ...data.step });
+    updateSequence(room);
+  });
+
+  socket.on('update-sequence-step', (data) => {
+    const room = getSocketRoom(socket.id);
+    const index = room.sequence.findIndex(step => step.id === data.id);
+    if (socket.id === room.hostSocketId && index !== -1) {
+      room.sequence[index] = { id: data.id, ...data.step };
+      updateSequence(room);
+    }
+  });
+
+  socket.on('remove-sequence-step', (data) => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id === room.hostSocketId) {
+      room.sequence = room.sequence.filter(step => step.id !== data.id);
+      updateSequence(room);
+    }
+  });
+
+  socket.on('move-sequence-step', (data) => {
+    const room = getSocketRoom(socket.id);
+    const index = room.sequence.findIndex(step => step.id === data.id);
+    if (socket.id === room.hostSocketId && index !== -1) {
+      const [step] = room.sequence.splice(index, 1);
+      room.sequence.splice(Math.min(Math.floor(data.index), room.sequence.length), 0, step);
+      updateSequence(room);
+    }
+  });
+
+  // Play a step on every client, or stop playing with index -1.
+  socket.on('play-sequence-step', (data) => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id !== room.hostSocketId) {
+      return;
+    }
+    const index = Math.floor(data.index);
+    room.sequenceStep = index >= 0 && index < room.sequence.length ? index : null;
+    persistRoom(room);
+    broadcastSequenceStep(room);
+  });
+
+  //
+  // --- Measurements ---
+  //
+  // Measurements the host makes are shown to everyone; viewers' own
+  // measurements stay on their screen. The host also sets the product's unit
+  // scale.
+  socket.on('add-measurement', (data) => {
+    const room = getSocketRoom(socket.id);
+    const pointCount = data.type === 'angle' ? 3 : 2;
+    if (socket.id !== room.hostSocketId || data.points.length !== pointCount ||
+        !data.points.every(point => room.parts.some(part => part.name === point.part))) {
+      return;
+    }
+    room.measurements.push({ id: uuidv4(), type: data.type, points: data.points });
+    broadcastMeasurements(room);
+  });
+
+  socket.on('remove-measurement', (data) => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id === room.hostSocketId) {
+      room.measurements = room.measurements.filter(measurement => measurement.id !== data.id);
+      broadcastMeasurements(room);
+    }
+  });
+
+  socket.on('clear-measurements', () => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id === room.hostSocketId) {
+      room.measurements = [];
+      broadcastMeasurements(room);
+    }
+  });
+
+  socket.on('set-unit-scale', (data) => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id === room.hostSocketId && room.productKey) {
+      room.unitScale = data.scale;
+      saveProductData(room);
+      broadcastMeasurements(room);
+    }
+  });
+
+  //
+  // --- Issues ---
+  //
+  // Everyone in the review can raise issues, discuss them and move them
+  // along; only their author or the host can delete them.
+  socket.on('create-issue', (data) => {
+    const room = getSocketRoom(socket.id);
+    if (!room.parts.some(part => part.name === data.part)) {
+      return;
+    }
+    const number = room.issues.reduce((max, issue) => Math.max(max, issue.number), 0) + 1;
+    const issue = issues.createIssue(data, getIssueAuthor(socket), number);
+    if (issue) {
+      room.issues.push(issue);
+      broadcastIssues(room);
+    }
+  });
+
+  socket.on('update-issue', (data) => {
+    const room = getSocketRoom(socket.id);
+    const issue = room.issues.find(item => item.id === data.id);
+    if (issue && issues.updateIssue(issue, data)) {
+      broadcastIssues(room);
+    }
+  });
+
+  socket.on('comment-issue', (data) => {
+    const room = getSocketRoom(socket.id);
+    const issue = room.issues.find(item => item.id === data.id);
+    if (issue && issues.addComment(issue, data.text, getIssueAuthor(socket))) {
+      broadcastIssues(room);
+    }
+  });
+
+  socket.on('delete-issue', (data) => {
+    const room = getSocketRoom(socket.id);
+    const issue = room.issues.find(item => item.id === data.id);
+    if (issue && (issue.authorId === socket.data.clientId || socket.id === room.hostSocketId)) {
+      room.issues = room.issues.filter(item => item !== issue);
+      broadcastIssues(room);
+    }
+  });
+
+  //
+  // --- Report ---
+  //
+  // The host writes notes and saves views for the review report as the
+  // session goes on.
+  socket.on('set-report-notes', (data) => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id === room.hostSocketId) {
+      room.report.notes = data.notes;
+      broadcastReport(room);
+    }
+  });
+
+  socket.on('add-viewpoint', (data) => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id === room.hostSocketId && room.report.viewpoints.length < 20) {
+      room.report.viewpoints.push({ id: uuidv4(), name: data.name.trim() || `View ${room.report.viewpoints.length + 1}`, camera: data.camera });
+      broadcastReport(room);
+    }
+  });
+
+  socket.on('remove-viewpoint', (data) => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id === room.hostSocketId) {
+      room.report.viewpoints = room.report.viewpoints.filter(viewpoint => viewpoint.id !== data.id);
+      broadcastReport(room);
+    }
+  });
+
+  //
+  // --- Recording ---
+  //
+  // The host records the session's scene events for people who missed it.
+  socket.on('start-recording', () => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id === room.hostSocketId) {
+      startRecording(room);
+    }
+  });
+  socket.on('stop-recording', () => {
+    const room = getSocketRoom(socket.id);
+    if (socket.id === room.hostSocketId) {
+      stopRecording(room);
+    }
+  });
+
+  // Resend the room's scene, e.g. after leaving replay mode.
+  socket.on('get-session-snapshot', () => {
+    const room = getSocketRoom(socket.id);
+    socket.emit('session-snapshot', getSessionSnapshot(room));
+  });
+
+  socket.on('disconnect', () => {
+    leaveRoom(socket, { reconnectable: true });
+  });
+
   socket.on('browse-selection', (data) => {
-    if (socket.id === hostSocketId) {
-      // Broadcast the host's selections to all clients
-      io.emit('product-upload-complete', {
+    const room = getSocketRoom(socket.id);
+    if (socket.id === room.hostSocketId) {
+      // Broadcast the host's selections to everyone in the room
+      setRoomParts(room, data.parts);
+      recordEvent(room, 'product-upload-complete', { parts: room.parts });
+      io.to(room.name).emit('product-upload-complete', {
         parts: data.parts,
         sender: socket.id
       });
@@ -314,7 +2066,38 @@ io.on('connection', (socket) => {
 
 
 
+// Write pending session saves and finish running recordings before exiting
+// so a restart loses nothing.
+function shutdown() {
+  const dirtyRooms = Object.values(rooms).filter(room => room.saveTimer);
+  const recordingRooms = Object.values(rooms).filter(room => room.recording);
+  let remaining = dirtyRooms.length + recordingRooms.length;
+  if (remaining === 0) {
+    process.exit(0);
+  }
+  const done = () => {
+    remaining--;
+    if (remaining === 0) {
+      process.exit(0);
+    }
+  };
+  dirtyRooms.forEach((room) => {
+    clearTimeout(room.saveTimer);
+    room.saveTimer = null;
+    sessionStore.save(room.name, serializeSession(room), (err) => {
+      if (err) {
+        console.error(`Error saving session ${room.name}:`, err);
+      }
+      done();
+    });
+  });
+  recordingRooms.forEach(room => stopRecording(room, done));
+}
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
 // Start the server.
+restoreSessions();
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`Server listening on port ${PORT}`);